@@ -0,0 +1,277 @@
+/**
+ * AlarmSystem.js
+ * Compound-wide alarm: siren, flashing lights, lockdown orders and reinforcement waves
+ *
+ * Level alarm data (LevelBuilder.alarm):
+ *   lights      Red lights that flash while the alarm sounds
+ *   posts       { position, rotation } lockdown positions for guards to hold
+ *   safeRoom    Where the target shelters, with a door post for the escort (may be null)
+ *   gates       Points reinforcements arrive at
+ *   waves       { delay, guards: [{ gate, patrol }] } seconds after the alarm starts
+ *   resetTime   Seconds without contact before the alarm stands down
+ */
+
+// Orders given to guards and the target while the alarm sounds
+const AlarmOrder = {
+    POST: 'POST',         // Hold a lockdown position
+    ESCORT: 'ESCORT',     // Stay with the target, then guard the safe room door (or the vehicle)
+    SHELTER: 'SHELTER',   // The target heads for the safe room
+    EVACUATE: 'EVACUATE'  // The target runs for the getaway vehicle (see EvacuationSystem)
+};
+
+class AlarmSystem {
+    constructor(alarm, stealthSystem, audioManager, uiManager) {
+        this.lights = alarm.lights;
+        this.posts = alarm.posts;
+        this.safeRoom = alarm.safeRoom;
+        this.gates = alarm.gates;
+        this.waves = alarm.waves;
+        this.stealthSystem = stealthSystem;
+        this.audioManager = audioManager;
+        this.uiManager = uiManager;
+
+        // Alarm parameters
+        this.resetTime = alarm.resetTime || 60; // Seconds without contact before standing down
+        this.flashRate = 4;                     // Light flashes per second
+
+        // State
+        this.isActive = false;
+        this.elapsed = 0;        // Seconds since the alarm started
+        this.quietTime = 0;      // Seconds since a fighting guard last saw the player
+        this.waveIndex = 0;      // Next wave to arrive; each wave comes once per mission
+        this.arrivedWaves = [];  // Every wave that has arrived this mission, in order
+        this.ordersIssued = false;
+    }
+
+    /**
+     * Sound the alarm (no effect if already sounding). A repeat alarm only brings
+     * the waves that have not arrived yet, timed from the new start.
+     */
+    trigger() {
+        if (this.isActive) return;
+
+        this.isActive = true;
+        this.elapsed = 0;
+        this.quietTime = 0;
+        this.ordersIssued = false;
+
+        this.audioManager.startSiren();
+        this.uiManager.showNotification('ALARM RAISED', 3000);
+    }
+
+    /**
+     * Update the alarm. Returns reinforcement spawn points that arrived this frame.
+     */
+    update(deltaTime, enemies, player) {
+        if (!this.isActive) return [];
+
+        this.elapsed += deltaTime;
+
+        // Orders go out once positions are known (also after loading)
+        if (!this.ordersIssued) {
+            this.issueOrders(enemies);
+        }
+
+        // Contact keeps the alarm going
+        this.quietTime = this.hasContact(enemies, player) ? 0 : this.quietTime + deltaTime;
+        if (this.quietTime >= this.resetTime) {
+            this.standDown(enemies);
+            return [];
+        }
+
+        this.updateLights();
+
+        return this.spawnDueWaves();
+    }
+
+    /**
+     * Check if any guard in a firefight can actually see the player
+     */
+    hasContact(enemies, player) {
+        if (!player.isAlive || player.isHidden) return false;
+
+        const playerPos = player.position.clone();
+        playerPos.y = player.isCrouching ? 0.5 : 1.2;
+
+        return enemies.some(enemy => enemy.isAlive && enemy.alertState === AlertState.COMBAT &&
+            this.stealthSystem.canSeePosition(enemy, playerPos));
+    }
+
+    /**
+     * Send the target to the safe room with an escort and the rest to lockdown posts.
+     * An evacuation already under way keeps the target and their bodyguards. Without a
+     * safe room the target stays where they are and every guard is free for a post.
+     */
+    issueOrders(enemies) {
+        this.ordersIssued = true;
+
+        const target = enemies.find(enemy => enemy.isTarget && enemy.isAlive && !enemy.alarmOrders);
+        const guards = enemies.filter(enemy => !enemy.isTarget && enemy.isAlive && !enemy.isCivilian &&
+            !enemy.alarmOrders);
+
+        if (target && this.safeRoom) {
+            target.alarmOrders = {
+                type: AlarmOrder.SHELTER,
+                position: this.safeRoom.position,
+                rotation: this.safeRoom.rotation
+            };
+
+            // Nearest guard escorts the target there
+            const escort = this.safeRoom.door && AlarmSystem.takeNearest(guards, target.position);
+            if (escort) {
+                escort.alarmOrders = {
+                    type: AlarmOrder.ESCORT,
+                    escortee: target,
+                    position: this.safeRoom.door.position,
+                    rotation: this.safeRoom.door.rotation
+                };
+            }
+        }
+
+        // Each post goes to the nearest guard still without orders
+        for (const post of this.posts) {
+            const guard = AlarmSystem.takeNearest(guards, post.position);
+            if (!guard) break;
+
+            guard.alarmOrders = {
+                type: AlarmOrder.POST,
+                position: post.position,
+                rotation: post.rotation
+            };
+        }
+    }
+
+    /**
+     * Remove and return the enemy nearest to a position
+     */
+    static takeNearest(enemies, position) {
+        let nearestIndex = -1;
+        let nearestDistance = Infinity;
+
+        enemies.forEach((enemy, i) => {
+            const distance = enemy.flatDistanceTo(position);
+            if (distance < nearestDistance) {
+                nearestIndex = i;
+                nearestDistance = distance;
+            }
+        });
+
+        return nearestIndex === -1 ? null : enemies.splice(nearestIndex, 1)[0];
+    }
+
+    /**
+     * Get spawn points for every wave whose time has come
+     */
+    spawnDueWaves() {
+        const spawned = [];
+
+        while (this.waveIndex < this.waves.length &&
+            this.elapsed >= this.waves[this.waveIndex].delay) {
+            spawned.push(...this.getWaveSpawnPoints(this.waves[this.waveIndex]));
+            this.arrivedWaves.push(this.waveIndex);
+            this.waveIndex++;
+            this.uiManager.showNotification('Reinforcements have arrived', 2500);
+        }
+
+        return spawned;
+    }
+
+    /**
+     * Turn a wave definition into guard spawn points at its gates
+     */
+    getWaveSpawnPoints(wave) {
+        return wave.guards.map(guard => ({
+            pos: this.gates[guard.gate].clone(),
+            patrol: guard.patrol,
+            outfit: 'guard'
+        }));
+    }
+
+    /**
+     * Flash the alarm lights
+     */
+    updateLights() {
+        const on = Math.floor(this.elapsed * this.flashRate) % 2 === 0;
+        for (const alarmLight of this.lights) {
+            alarmLight.light.intensity = on ? alarmLight.intensity : 0;
+            alarmLight.beacon.material.emissiveIntensity = on ? 1 : 0.1;
+        }
+    }
+
+    /**
+     * No contact for long enough: silence the alarm and send everyone back to routine.
+     * Reinforcements stay on their patrols; an evacuation carries on.
+     */
+    standDown(enemies) {
+        this.isActive = false;
+
+        for (const enemy of enemies) {
+            if (enemy.alarmOrders && !enemy.alarmOrders.evacuation) {
+                enemy.alarmOrders = null;
+            }
+        }
+
+        this.turnOff();
+        this.uiManager.showNotification('Alarm reset', 2500);
+    }
+
+    /**
+     * Silence the siren and darken the lights
+     */
+    turnOff() {
+        this.audioManager.stopSiren();
+        for (const alarmLight of this.lights) {
+            alarmLight.light.intensity = 0;
+            alarmLight.beacon.material.emissiveIntensity = 0.1;
+        }
+    }
+
+    /**
+     * Snapshot alarm state for saving
+     */
+    serialize() {
+        return {
+            isActive: this.isActive,
+            elapsed: this.elapsed,
+            quietTime: this.quietTime,
+            waveIndex: this.waveIndex,
+            arrivedWaves: this.arrivedWaves
+        };
+    }
+
+    /**
+     * Restore alarm state from a snapshot. Returns spawn points of the reinforcements
+     * that had already arrived, to be recreated before enemies are restored.
+     */
+    deserialize(data) {
+        const spawned = [];
+        for (const index of data.arrivedWaves) {
+            spawned.push(...this.getWaveSpawnPoints(this.waves[index]));
+        }
+
+        this.isActive = data.isActive;
+        this.elapsed = data.elapsed;
+        this.quietTime = data.quietTime;
+        this.waveIndex = data.waveIndex;
+        this.arrivedWaves = [...data.arrivedWaves];
+        this.ordersIssued = false;
+
+        if (this.isActive) {
+            this.audioManager.startSiren();
+        }
+
+        return spawned;
+    }
+
+    /**
+     * Stop the siren and lights
+     */
+    cleanup() {
+        this.isActive = false;
+        this.turnOff();
+    }
+}
+
+// Export
+window.AlarmOrder = AlarmOrder;
+window.AlarmSystem = AlarmSystem;
@@ -10,6 +10,7 @@ class AudioManager {
         this.masterGain = null;
         this.initialized = false;
         this.muted = false;
+        this.volume = 0.5;
         
         // Sound pools for reuse
         this.sounds = new Map();
@@ -25,7 +26,7 @@ class AudioManager {
             this.context = new (window.AudioContext || window.webkitAudioContext)();
             this.masterGain = this.context.createGain();
             this.masterGain.connect(this.context.destination);
-            this.masterGain.gain.value = 0.5;
+            this.masterGain.gain.value = this.volume;
             this.initialized = true;
             console.log('Audio initialized');
         } catch (e) {
@@ -42,12 +43,22 @@ class AudioManager {
         }
     }
 
+    /**
+     * Suspend audio context (used while the game is paused)
+     */
+    suspend() {
+        if (this.context && this.context.state === 'running') {
+            this.context.suspend();
+        }
+    }
+
     /**
      * Set master volume
      */
     setVolume(value) {
-        if (this.masterGain) {
-            this.masterGain.gain.value = Math.max(0, Math.min(1, value));
+        this.volume = Math.max(0, Math.min(1, value));
+        if (this.masterGain && !this.muted) {
+            this.masterGain.gain.value = this.volume;
         }
     }
 
@@ -57,7 +68,7 @@ class AudioManager {
     toggleMute() {
         this.muted = !this.muted;
         if (this.masterGain) {
-            this.masterGain.gain.value = this.muted ? 0 : 0.5;
+            this.masterGain.gain.value = this.muted ? 0 : this.volume;
         }
         return this.muted;
     }
@@ -257,6 +268,133 @@ class AudioManager {
         }
     }
 
+    /**
+     * Play a thrown item landing (coin clink or breaking glass)
+     */
+    playThrowImpact(breaking = false) {
+        if (!this.initialized) return;
+        this.resume();
+
+        const now = this.context.currentTime;
+
+        if (breaking) {
+            // Shatter: short burst of bright noise
+            const noise = this.context.createBufferSource();
+            noise.buffer = this.createNoiseBuffer(0.25);
+
+            const filter = this.context.createBiquadFilter();
+            filter.type = 'highpass';
+            filter.frequency.value = 3000;
+
+            const gain = this.context.createGain();
+            gain.gain.setValueAtTime(0.4, now);
+            gain.gain.exponentialRampToValueAtTime(0.001, now + 0.25);
+
+            noise.connect(filter);
+            filter.connect(gain);
+            gain.connect(this.masterGain);
+
+            noise.start(now);
+            noise.stop(now + 0.25);
+            return;
+        }
+
+        // Clink: two quick metallic pings
+        [0, 0.08].forEach((delay, i) => {
+            const osc = this.context.createOscillator();
+            const gain = this.context.createGain();
+
+            osc.type = 'triangle';
+            osc.frequency.value = i === 0 ? 2400 : 2000;
+
+            gain.gain.setValueAtTime(0.15, now + delay);
+            gain.gain.exponentialRampToValueAtTime(0.001, now + delay + 0.1);
+
+            osc.connect(gain);
+            gain.connect(this.masterGain);
+
+            osc.start(now + delay);
+            osc.stop(now + delay + 0.1);
+        });
+    }
+
+    /**
+     * Play one double ring of a telephone
+     */
+    playPhoneRing() {
+        if (!this.initialized) return;
+        this.resume();
+
+        const now = this.context.currentTime;
+
+        [0, 0.5].forEach(delay => {
+            // Two close tones give the classic warble
+            [440, 480].forEach(frequency => {
+                const osc = this.context.createOscillator();
+                const gain = this.context.createGain();
+
+                osc.type = 'sine';
+                osc.frequency.value = frequency;
+
+                gain.gain.setValueAtTime(0.08, now + delay);
+                gain.gain.setValueAtTime(0.08, now + delay + 0.35);
+                gain.gain.exponentialRampToValueAtTime(0.001, now + delay + 0.4);
+
+                osc.connect(gain);
+                gain.connect(this.masterGain);
+
+                osc.start(now + delay);
+                osc.stop(now + delay + 0.4);
+            });
+        });
+    }
+
+    /**
+     * Play a radio squelch and chirp as a guard keys the mic
+     */
+    playRadio() {
+        if (!this.initialized) return;
+        this.resume();
+
+        const now = this.context.currentTime;
+
+        // Squelch: band-limited static
+        const noise = this.context.createBufferSource();
+        noise.buffer = this.createNoiseBuffer(0.3);
+
+        const filter = this.context.createBiquadFilter();
+        filter.type = 'bandpass';
+        filter.frequency.value = 1800;
+        filter.Q.value = 2;
+
+        const noiseGain = this.context.createGain();
+        noiseGain.gain.setValueAtTime(0.15, now);
+        noiseGain.gain.exponentialRampToValueAtTime(0.001, now + 0.3);
+
+        noise.connect(filter);
+        filter.connect(noiseGain);
+        noiseGain.connect(this.masterGain);
+
+        noise.start(now);
+        noise.stop(now + 0.3);
+
+        // Chirp
+        const osc = this.context.createOscillator();
+        const gain = this.context.createGain();
+
+        osc.type = 'square';
+        osc.frequency.value = 1200;
+
+        gain.gain.setValueAtTime(0.05, now);
+        gain.gain.exponentialRampToValueAtTime(0.001, now + 0.08);
+
+        osc.connect(gain);
+        gain.connect(this.masterGain);
+
+        osc.start(now);
+        osc.stop(now + 0.08);
+    }
+
     /**
      * Play alert sound
      */
@@ -418,7 +556,7 @@ class AudioManager {
      * Play ambient sound (continuous)
      */
     startAmbient() {
-        if (!this.initialized || this.ambientSource) return;
+        if (!this.initialized || this.ambientOsc) return;
         this.resume();
 
         // Create subtle ambient drone
@@ -452,6 +590,50 @@ class AudioManager {
         }
     }
 
+    /**
+     * Start the wailing alarm siren
+     */
+    startSiren() {
+        if (!this.initialized || this.sirenOsc) return;
+        this.resume();
+
+        // Tone swept up and down by a slow oscillator
+        this.sirenOsc = this.context.createOscillator();
+        this.sirenLfo = this.context.createOscillator();
+        const lfoGain = this.context.createGain();
+        this.sirenGain = this.context.createGain();
+
+        this.sirenOsc.type = 'sawtooth';
+        this.sirenOsc.frequency.value = 700;
+
+        this.sirenLfo.type = 'sine';
+        this.sirenLfo.frequency.value = 0.5;
+        lfoGain.gain.value = 250;
+
+        this.sirenGain.gain.value = 0.04;
+
+        this.sirenLfo.connect(lfoGain);
+        lfoGain.connect(this.sirenOsc.frequency);
+        this.sirenOsc.connect(this.sirenGain);
+        this.sirenGain.connect(this.masterGain);
+
+        this.sirenLfo.start();
+        this.sirenOsc.start();
+    }
+
+    /**
+     * Stop the alarm siren
+     */
+    stopSiren() {
+        if (this.sirenOsc) {
+            this.sirenOsc.stop();
+            this.sirenLfo.stop();
+            this.sirenOsc = null;
+            this.sirenLfo = null;
+            this.sirenGain = null;
+        }
+    }
+
     /**
      * Play empty gun click
      */
@@ -0,0 +1,290 @@
+/**
+ * Civilian.js
+ * Non-hostile NPCs: staff, visitors and gardeners who wander, panic and report to guards
+ */
+
+// Civilian roles: name, clothing color and the pose struck while idling
+const CivilianRoles = {
+    staff: {
+        name: 'Staff',
+        color: 0x5a5a66,
+        pose: 'talk'
+    },
+    visitor: {
+        name: 'Visitor',
+        color: 0x5a3a4a,
+        pose: 'look'
+    },
+    gardener: {
+        name: 'Gardener',
+        color: 0x4a5a2a,
+        pose: null
+    }
+};
+
+const CivilianState = {
+    WANDER: 'WANDER',
+    PANIC: 'PANIC',  // Running to the nearest guard
+    COWER: 'COWER'   // Reported (or nobody to tell), waiting to calm down
+};
+
+class Civilian extends EnemyAI {
+    /**
+     * @param {Array} route - points to wander between, in random order
+     * @param {string} role - key into CivilianRoles
+     */
+    constructor(scene, position, route, role) {
+        super(scene, position, route, false, {
+            civilian: true,
+            color: CivilianRoles[role].color
+        });
+        this.role = role;
+        this.state = CivilianState.WANDER;
+
+        // Civilians notice less and go down quicker than guards
+        this.detectionRange = 10;
+        this.health = 50;
+        this.maxHealth = this.health;
+
+        // Wandering
+        this.wanderWaitDuration = 5;
+        this.wanderSpeed = this.walkSpeed * 0.7;
+
+        // Panic
+        this.panicSource = null; // Where the trouble happened
+        this.panicBody = null;   // Body to report, if any
+        this.knownBodies = [];   // Bodies already panicked about
+        this.reportRange = 2;
+        this.calmDownTime = 0;
+        this.calmDownDuration = 20;
+    }
+
+    /**
+     * Update civilian behavior
+     */
+    update(deltaTime, player, stealthSystem, enemies, bodies, colliders) {
+        if (this.isUnconscious) {
+            this.updateUnconscious(deltaTime, stealthSystem);
+            return;
+        }
+        if (!this.isAlive) return;
+
+        this.activity = null;
+
+        if (this.state === CivilianState.WANDER) {
+            this.checkForTrouble(stealthSystem, bodies, player);
+        }
+
+        switch (this.state) {
+            case CivilianState.WANDER:
+                this.wander(deltaTime, colliders);
+                break;
+            case CivilianState.PANIC:
+                this.runForHelp(deltaTime, stealthSystem, enemies, colliders);
+                break;
+            case CivilianState.COWER:
+                this.cower(deltaTime);
+                break;
+        }
+
+        this.updateMesh(deltaTime);
+    }
+
+    /**
+     * Listen and watch for violence and look for bodies
+     */
+    checkForTrouble(stealthSystem, bodies, player) {
+        const sound = stealthSystem.checkSoundDetection(this);
+        if (sound && (sound.type === 'gunshot' || sound.type === 'impact')) {
+            this.panic(sound.position, null);
+            return;
+        }
+
+        const violence = stealthSystem.checkViolenceWitness(this, player);
+        if (violence) {
+            this.panic(violence, null);
+            return;
+        }
+
+        for (const body of bodies) {
+            if (body === this || body.isAlive || body.isHidden || this.knownBodies.includes(body)) continue;
+
+            if (stealthSystem.canSeeBody(this, body)) {
+                this.knownBodies.push(body);
+                this.panic(body.position, body.bodyFound ? null : body);
+                return;
+            }
+        }
+    }
+
+    /**
+     * Drop everything and run for help
+     */
+    panic(source, body) {
+        this.state = CivilianState.PANIC;
+        this.alertState = AlertState.ALERTED;
+        this.panicSource = new THREE.Vector3(source.x, 0, source.z);
+        this.panicBody = body;
+        this.patrolWaitTime = 0;
+    }
+
+    /**
+     * Stroll between route points in random order, idling at each
+     */
+    wander(deltaTime, colliders) {
+        if (this.patrolRoute.length === 0) return;
+
+        if (this.patrolWaitTime > 0) {
+            this.patrolWaitTime -= deltaTime;
+            this.activity = CivilianRoles[this.role].pose;
+            return;
+        }
+
+        const target = this.patrolRoute[this.currentPatrolIndex];
+        if (this.flatDistanceTo(target) > 0.5 && !this.hasReachedPathEnd(target)) {
+            this.navigateTo(target, this.wanderSpeed, deltaTime, colliders);
+            return;
+        }
+
+        // Arrived: linger, then pick somewhere else
+        this.patrolWaitTime = this.wanderWaitDuration * (0.5 + Math.random());
+        if (this.patrolRoute.length > 1) {
+            const next = Math.floor(Math.random() * (this.patrolRoute.length - 1));
+            this.currentPatrolIndex = next >= this.currentPatrolIndex ? next + 1 : next;
+        }
+    }
+
+    /**
+     * Run to the nearest guard and tell them what happened
+     */
+    runForHelp(deltaTime, stealthSystem, enemies, colliders) {
+        const guard = this.findNearestGuard(enemies);
+        if (!guard) {
+            this.startCowering();
+            return;
+        }
+
+        if (this.flatDistanceTo(guard.position) > this.reportRange) {
+            this.navigateTo(guard.position, this.runSpeed * 0.9, deltaTime, colliders);
+            return;
+        }
+
+        this.facePosition(guard.position, deltaTime);
+        this.report(guard, stealthSystem);
+        this.startCowering();
+    }
+
+    /**
+     * Find the closest conscious guard
+     */
+    findNearestGuard(enemies) {
+        let nearest = null;
+        let nearestDistance = Infinity;
+
+        for (const enemy of enemies) {
+            if (!enemy.isAlive || enemy.isTarget) continue;
+
+            const distance = this.flatDistanceTo(enemy.position);
+            if (distance < nearestDistance) {
+                nearest = enemy;
+                nearestDistance = distance;
+            }
+        }
+
+        return nearest;
+    }
+
+    /**
+     * Hand the guard a body (found through the usual body awareness) or a place to search
+     */
+    report(guard, stealthSystem) {
+        if (this.panicBody && !this.panicBody.bodyFound && !this.panicBody.isHidden) {
+            stealthSystem.exposedBodies.push({ body: this.panicBody, finder: guard });
+        } else {
+            guard.receiveReport(this.panicSource, stealthSystem);
+        }
+        this.panicBody = null;
+    }
+
+    /**
+     * Stay put with hands over the head
+     */
+    startCowering() {
+        this.state = CivilianState.COWER;
+        this.alertState = AlertState.IDLE;
+        this.calmDownTime = this.calmDownDuration;
+    }
+
+    /**
+     * Count down until calm enough to get back to wandering
+     */
+    cower(deltaTime) {
+        this.activity = 'cower';
+
+        this.calmDownTime -= deltaTime;
+        if (this.calmDownTime <= 0) {
+            this.state = CivilianState.WANDER;
+            this.panicSource = null;
+        }
+    }
+
+    /**
+     * Check if calm and upright, i.e. part of a crowd the player can blend into
+     */
+    isCalm() {
+        return this.isAlive && this.state === CivilianState.WANDER;
+    }
+
+    /**
+     * Take damage, running for help if it wasn't fatal
+     */
+    takeDamage(amount, isHeadshot = false) {
+        const killed = super.takeDamage(amount, isHeadshot);
+        if (!killed && this.isAlive) {
+            this.panic(this.position, null);
+        }
+        return killed;
+    }
+
+    /**
+     * Come to and panic about whoever knocked them out
+     */
+    wakeUp(stealthSystem) {
+        this.isUnconscious = false;
+        this.isAlive = true;
+        this.bodyFound = false;
+
+        this.group.rotation.x = 0;
+        this.group.position.y = 0;
+
+        this.panic(this.position, null);
+    }
+
+    /**
+     * Snapshot civilian state for saving
+     */
+    serialize() {
+        return {
+            ...super.serialize(),
+            state: this.state,
+            panicSource: this.panicSource ? this.panicSource.toArray() : null,
+            calmDownTime: this.calmDownTime
+        };
+    }
+
+    /**
+     * Restore civilian state from a snapshot
+     */
+    deserialize(data) {
+        super.deserialize(data);
+        this.state = data.state;
+        this.panicSource = data.panicSource ? new THREE.Vector3().fromArray(data.panicSource) : null;
+        this.calmDownTime = data.calmDownTime;
+        this.alertState = this.state === CivilianState.PANIC ? AlertState.ALERTED : AlertState.IDLE;
+    }
+}
+
+// Export
+window.CivilianRoles = CivilianRoles;
+window.CivilianState = CivilianState;
+window.Civilian = Civilian;
@@ -0,0 +1,55 @@
+/**
+ * DisguiseSystem.js
+ * Outfits, zone access and taking disguises from downed guards
+ */
+
+// Outfits by id. `access` lists the restricted zone ids the outfit may enter.
+const Outfits = {
+    suit: {
+        name: 'Suit',
+        access: [],
+        colors: { suit: 0x1a1a1a, shirt: 0xffffff, tie: 0x8b0000 }
+    },
+    guard: {
+        name: 'Guard',
+        access: ['storage'],
+        colors: { suit: 0x1a2a1a, shirt: 0x2a3a2a, tie: 0x1a2a1a }
+    },
+    security: {
+        name: 'Security',
+        access: ['storage', 'office'],
+        colors: { suit: 0x1a1a2e, shirt: 0x2a2a3e, tie: 0x1a1a2e }
+    }
+};
+
+class DisguiseSystem {
+    constructor(player, uiManager) {
+        this.player = player;
+        this.uiManager = uiManager;
+    }
+
+    /**
+     * Check if a body has an outfit the player can take
+     */
+    canTakeOutfit(body) {
+        return !body.isAlive && !body.outfitTaken &&
+            Outfits[body.outfit] !== undefined && body.outfit !== this.player.outfit;
+    }
+
+    /**
+     * Change into a body's outfit
+     */
+    takeOutfit(body) {
+        if (!this.canTakeOutfit(body)) return false;
+
+        this.player.setOutfit(body.outfit);
+        body.stripOutfit();
+
+        this.uiManager.showNotification(`Disguised as ${Outfits[body.outfit].name}`, 2000);
+        return true;
+    }
+}
+
+// Export
+window.Outfits = Outfits;
+window.DisguiseSystem = DisguiseSystem;
@@ -6,10 +6,21 @@
 let enemyIdCounter = 0;
 
 class EnemyAI {
-    constructor(scene, position, patrol, isTarget = false) {
+    /**
+     * @param {Object} options - outfit id and enforcer flag from the spawn point,
+     *   or civilian flag and clothing color for non-hostile NPCs
+     */
+    constructor(scene, position, patrol, isTarget = false, options = {}) {
         this.scene = scene;
         this.id = ++enemyIdCounter;
         this.isTarget = isTarget;
+        this.isCivilian = options.civilian || false;
+        this.clothingColor = options.color || null;
+
+        // Disguise
+        this.outfit = options.outfit || null;
+        this.isEnforcer = options.enforcer || false;
+        this.outfitTaken = false;
 
         // Position and movement
         this.position = position.clone();
@@ -25,6 +36,7 @@ class EnemyAI {
         // Detection
         this.detectionRange = isTarget ? 8 : 12;
         this.detectionAngle = Math.PI / 3;
+        this.eyeHeight = 1;
         this.alertLevel = 0;
         this.alertState = AlertState.IDLE;
         this.alertDecayRate = 0.15;
@@ -33,6 +45,11 @@ class EnemyAI {
         this.health = isTarget ? 50 : 100;
         this.maxHealth = this.health;
         this.isAlive = true;
+
+        // Knockouts (not alive, but wakes up unless hidden)
+        this.isUnconscious = false;
+        this.unconsciousTime = 0;
+        this.knockoutDuration = 30;
         this.shootCooldown = 0;
         this.shootInterval = 0.8;
         this.shootRange = 20;
@@ -41,20 +58,79 @@ class EnemyAI {
 
         // AI State
         this.lastKnownPlayerPos = null;
+        this.reactionTime = 0;
         this.investigateTime = 0;
         this.investigateDuration = 5;
-        this.lostPlayerTime = 0;
+        this.lostPlayerTime = 0;      // Seconds since the player was last seen (shared by the squad)
+        this.lostContactTime = 6;     // Seconds without a sighting before a firefight turns into a search
         this.searchTime = 0;
+        this.searchPlan = null;       // Points to check, from LevelBuilder.getSearchPoints
+        this.searchIndex = 0;
+        this.searchOrigin = null;     // Where the plan was made around
+        this.searchPointTime = 0;     // Seconds spent at the current point
+        this.searchedSpots = [];
+        this.searchRadius = 15;
+        this.maxSearchPoints = 5;
+        this.searchLookDuration = 2.5;
+        this.maxSearchTime = 45;
+        this.returningToPatrol = false;
+
+        // Routine (TargetSchedule) followed instead of the patrol route, and
+        // the pose of the activity being performed
+        this.schedule = null;
+        this.activity = null;
+        this.activityTime = 0;
+
+        // Orders while the compound alarm sounds (AlarmSystem)
+        this.alarmOrders = null;
+
+        // Role in a firefight (SquadCoordinator)
+        this.squadOrders = null;
+
+        // Thrown object noise, checked out without raising suspicion
+        this.distractionPos = null;
+        this.heardDistraction = null;
 
         // Movement
         this.walkSpeed = 2;
         this.runSpeed = 5;
         this.turnSpeed = 3;
 
-        // Cover
+        // Navigation
+        this.navGrid = null;
+        this.path = null;
+        this.pathIndex = 0;
+        this.pathGoal = null;
+        this.repathTimer = 0;
+
+        // Radio call in progress (run by StealthSystem), and whether the
+        // current alert has been called in
+        this.radioCall = null;
+        this.hasRadioed = false;
+
+        // Set once another enemy has seen this one's body
+        this.bodyFound = false;
+        this.isHidden = false;
+
+        // Cover (LevelBuilder cover objects, used in combat)
         this.inCover = false;
         this.coverPosition = null;
-        this.coverTime = 0;
+        this.coverTime = 0;           // Seconds behind the current cover
+        this.coverObject = null;
+        this.peekPosition = null;     // Where to lean out and shoot from
+        this.coverCheckTime = 0;      // Countdown to looking for cover again
+        this.coverSearchRadius = 12;
+        this.minCoverDistance = 4;    // Closest to the player a cover spot may be
+        this.hideDuration = 2;        // Seconds ducked between peeks
+        this.peekDuration = 1.5;
+        this.flankAngle = Math.PI / 3; // How far round the player a flanking run goes
+        this.flankPosition = null;    // Open ground a flanking run heads for, when there is no cover
+        this.fallBackHealth = 0.3;    // Fraction of health at which to fall back
+        this.isPeeking = false;
+        this.isCrouching = false;
+        this.isFlanking = false;
+        this.isFallingBack = false;
+        this.strafeTime = 0;          // Strafing rhythm when fighting in the open
 
         // Create mesh
         this.createMesh();
@@ -68,7 +144,8 @@ class EnemyAI {
 
         // Different appearance for target
         const bodyColor = this.isTarget ? 0x4a0000 : 0x2a3a2a;
-        const uniformColor = this.isTarget ? 0x1a0000 : 0x1a2a1a;
+        const uniformColor = Outfits[this.outfit] ? Outfits[this.outfit].colors.suit :
+            (this.clothingColor || (this.isTarget ? 0x1a0000 : 0x1a2a1a));
 
         const bodyMaterial = new THREE.MeshStandardMaterial({
             color: bodyColor,
@@ -81,6 +158,7 @@ class EnemyAI {
             roughness: 0.8,
             metalness: 0.1
         });
+        this.uniformMaterial = uniformMaterial;
 
         const skinMaterial = new THREE.MeshStandardMaterial({
             color: 0xc4956a,
@@ -107,14 +185,14 @@ class EnemyAI {
         this.head.userData.isHead = true;
         this.group.add(this.head);
 
-        // Hat/helmet for guards, bald for target
-        if (!this.isTarget) {
+        // Hat/helmet for guards, bald for target and civilians
+        if (!this.isTarget && !this.isCivilian) {
             const hatGeo = new THREE.BoxGeometry(0.28, 0.1, 0.28);
             const hatMat = new THREE.MeshStandardMaterial({ color: 0x1a1a1a });
             const hat = new THREE.Mesh(hatGeo, hatMat);
             hat.position.y = 1.73;
             this.group.add(hat);
-        } else {
+        } else if (this.isTarget) {
             // Target has a distinctive appearance
             const crownGeo = new THREE.BoxGeometry(0.26, 0.05, 0.26);
             const crownMat = new THREE.MeshStandardMaterial({ 
@@ -151,8 +229,17 @@ class EnemyAI {
         this.rightArm.castShadow = true;
         this.group.add(this.rightArm);
 
+        // Armband marks enforcers, who see through their own uniform
+        if (this.isEnforcer) {
+            const bandGeo = new THREE.BoxGeometry(0.12, 0.08, 0.12);
+            const bandMat = new THREE.MeshStandardMaterial({ color: 0xcccccc });
+            const band = new THREE.Mesh(bandGeo, bandMat);
+            band.position.y = 0.08;
+            this.leftArm.add(band);
+        }
+
         // Weapon (simple box)
-        if (!this.isTarget) {
+        if (!this.isTarget && !this.isCivilian) {
             const weaponGeo = new THREE.BoxGeometry(0.05, 0.05, 0.3);
             const weaponMat = new THREE.MeshStandardMaterial({ 
                 color: 0x2a2a2a, 
@@ -164,6 +251,14 @@ class EnemyAI {
             this.rightArm.add(this.weapon);
         }
 
+        // Tag every part so line of sight checks and shots can identify it
+        this.group.traverse((obj) => {
+            if (obj.isMesh) {
+                obj.userData.isEnemy = true;
+                obj.userData.enemyId = this.id;
+            }
+        });
+
         // Position group
         this.group.position.copy(this.position);
         this.scene.add(this.group);
@@ -175,11 +270,15 @@ class EnemyAI {
     /**
      * Update enemy AI
      */
-    update(deltaTime, player, stealthSystem, audioManager, colliders) {
+    update(deltaTime, player, stealthSystem, audioManager, colliders, enemies = []) {
+        if (this.isUnconscious) {
+            this.updateUnconscious(deltaTime, stealthSystem);
+            return;
+        }
         if (!this.isAlive) return;
 
-        // Decay alert level
-        if (this.alertLevel > 0 && this.alertState !== AlertState.COMBAT) {
+        // Decay alert level (held while working through a search)
+        if (this.alertLevel > 0 && this.alertState !== AlertState.COMBAT && !this.searchPlan) {
             this.alertLevel -= this.alertDecayRate * deltaTime;
             if (this.alertLevel < 0) this.alertLevel = 0;
         }
@@ -188,53 +287,226 @@ class EnemyAI {
         const detectionAmount = stealthSystem.checkDetection(this, player, deltaTime);
         if (detectionAmount > 0) {
             this.alertLevel += detectionAmount;
-            this.lastKnownPlayerPos = player.position.clone();
+            this.spotPlayer(player);
+        } else {
+            this.lostPlayerTime += deltaTime;
         }
 
         // Check for sounds
         const sound = stealthSystem.checkSoundDetection(this);
         if (sound && sound.type === 'gunshot') {
             this.alertLevel = Math.max(this.alertLevel, 0.5);
-            if (!this.lastKnownPlayerPos) {
+            // In a firefight every shot gives the player's position away
+            if (!this.lastKnownPlayerPos || this.alertState === AlertState.COMBAT) {
                 this.lastKnownPlayerPos = sound.position.clone();
+                this.lostPlayerTime = 0;
+            }
+        } else if (sound && sound.type === 'distraction') {
+            if (this.alertState === AlertState.IDLE) {
+                this.hearDistraction(sound);
             }
+        } else if (sound && this.alertState !== AlertState.COMBAT) {
+            this.hearSound(sound, stealthSystem);
         }
 
         // Update alert state
         this.alertState = stealthSystem.getStateFromLevel(this.alertLevel);
 
-        // Execute behavior based on state
+        // Call in contact once per alert; the target has nobody to call
+        if (this.alertState === AlertState.COMBAT && !this.hasRadioed && !this.isTarget) {
+            stealthSystem.startRadioCall(this, this.lastKnownPlayerPos || player.position, 'combat');
+            this.hasRadioed = true;
+        } else if (this.alertState === AlertState.IDLE) {
+            this.hasRadioed = false;
+        }
+
+        // Set again by the routine while an activity is being performed
+        this.activity = null;
+
+        // Alarm orders come first, unless in a firefight (the target and their bodyguards always run)
+        const orders = this.alarmOrders;
+        const followOrders = orders && (this.alertState !== AlertState.COMBAT || this.isTarget || orders.evacuation);
+
+        // Cover is only held while fighting
+        if (this.coverObject && (followOrders || this.alertState !== AlertState.COMBAT)) {
+            this.leaveCover();
+        }
+        if (this.alertState !== AlertState.COMBAT) {
+            this.isFallingBack = false;
+        }
+
+        if (followOrders) {
+            this.followAlarmOrders(deltaTime, colliders);
+
+            // Bodyguards shoot back on the move
+            if (this.alertState === AlertState.COMBAT && !this.isTarget) {
+                this.returnFire(player, stealthSystem, audioManager);
+            }
+        } else {
+            this.executeState(deltaTime, player, stealthSystem, audioManager, colliders, enemies);
+        }
+
+        // Update cooldowns
+        if (this.shootCooldown > 0) {
+            this.shootCooldown -= deltaTime;
+        }
+
+        // Update mesh
+        this.updateMesh(deltaTime);
+
+        // Update vision cone
+        stealthSystem.updateVisionCone(this);
+    }
+
+    /**
+     * Run the behavior for the current alert state
+     */
+    executeState(deltaTime, player, stealthSystem, audioManager, colliders, enemies) {
         switch (this.alertState) {
             case AlertState.IDLE:
-                this.patrol(deltaTime, colliders);
+                this.searchPlan = null;
+                this.searchedSpots = [];
+                if (this.distractionPos) {
+                    this.investigate(deltaTime, colliders);
+                } else {
+                    this.patrol(deltaTime, colliders);
+                }
                 break;
             case AlertState.SUSPICIOUS:
                 this.investigate(deltaTime, colliders);
                 break;
             case AlertState.ALERTED:
-                this.search(deltaTime, player, colliders);
+                this.search(deltaTime, player, colliders, stealthSystem, enemies);
                 break;
             case AlertState.COMBAT:
-                this.combat(deltaTime, player, audioManager, colliders);
+                this.searchPlan = null;
+                this.combat(deltaTime, player, stealthSystem, audioManager, colliders, enemies);
                 break;
         }
+    }
 
-        // Update cooldowns
-        if (this.shootCooldown > 0) {
-            this.shootCooldown -= deltaTime;
+    /**
+     * Carry out alarm orders: run to the post (or stay with the target), then hold it
+     */
+    followAlarmOrders(deltaTime, colliders) {
+        const orders = this.alarmOrders;
+        const escortee = orders.escortee;
+
+        // Stay close to the target until they reach the safe room (or vehicle)
+        if (orders.type === AlarmOrder.ESCORT && escortee.isAlive && escortee.alarmOrders &&
+            escortee.flatDistanceTo(escortee.alarmOrders.position) > 1) {
+            if (this.flatDistanceTo(escortee.position) > 2) {
+                this.navigateTo(escortee.position, this.runSpeed, deltaTime, colliders);
+            } else {
+                this.facePosition(escortee.position, deltaTime);
+            }
+            return;
         }
 
-        // Update mesh
-        this.updateMesh(deltaTime);
+        // The target hurries, but not so fast the escort falls behind
+        const speed = this.isTarget ? this.walkSpeed * 1.5 : this.runSpeed;
+        if (this.flatDistanceTo(orders.position) > 0.5 && !this.hasReachedPathEnd(orders.position)) {
+            this.navigateTo(orders.position, speed, deltaTime, colliders);
+            return;
+        }
 
-        // Update vision cone
-        stealthSystem.updateVisionCone(this);
+        // In position: watch the assigned direction
+        const lookAt = orders.position.clone().add(
+            new THREE.Vector3(-Math.sin(orders.rotation), 0, -Math.cos(orders.rotation))
+        );
+        this.facePosition(lookAt, deltaTime);
+    }
+
+    /**
+     * Take a shot at the player without breaking off, if they are in sight and range
+     */
+    returnFire(player, stealthSystem, audioManager) {
+        if (!player.isAlive || player.isHidden || this.shootCooldown > 0) return;
+        if (this.position.distanceTo(player.position) > this.shootRange) return;
+
+        const playerPos = player.position.clone();
+        playerPos.y = player.isCrouching ? 0.5 : 1.2;
+        if (!stealthSystem.canSeePosition(this, playerPos)) return;
+
+        this.spotPlayer(player);
+        this.shoot(player, audioManager);
+    }
+
+    /**
+     * Note where the player is right now
+     */
+    spotPlayer(player) {
+        this.lastKnownPlayerPos = player.position.clone();
+        this.lostPlayerTime = 0;
+    }
+
+    /**
+     * React to a noise (footsteps etc.): turn towards it and investigate
+     */
+    hearSound(sound, stealthSystem) {
+        // Stop and turn before walking over, unless already investigating
+        if (this.alertState === AlertState.IDLE) {
+            this.reactionTime = 0.8;
+        }
+
+        this.alertLevel = Math.max(this.alertLevel, stealthSystem.suspiciousThreshold);
+        this.lastKnownPlayerPos = sound.position.clone();
+        this.investigateTime = 0;
+    }
+
+    /**
+     * React to a thrown distraction: go take a look while staying calm
+     */
+    hearDistraction(sound) {
+        // A sound stays audible for a while, only react to it once
+        if (sound.position === this.heardDistraction) return;
+        this.heardDistraction = sound.position;
+
+        this.distractionPos = new THREE.Vector3(sound.position.x, 0, sound.position.z);
+        this.reactionTime = 0.8;
+        this.investigateTime = 0;
+    }
+
+    /**
+     * Found a body: raise the alarm and go check it out
+     */
+    discoverBody(body, stealthSystem) {
+        // Stay searching a little longer than the rest of the compound
+        const level = (stealthSystem.alertedThreshold + stealthSystem.combatThreshold) / 2;
+        this.alertLevel = Math.max(this.alertLevel, level);
+        this.alertState = stealthSystem.getStateFromLevel(this.alertLevel);
+        this.lastKnownPlayerPos = body.position.clone();
+        this.investigateTime = 0;
+        this.searchTime = 0;
+    }
+
+    /**
+     * A civilian reported trouble: go search where it happened
+     */
+    receiveReport(position, stealthSystem) {
+        this.alertLevel = Math.max(this.alertLevel, stealthSystem.alertedThreshold + 0.1);
+        this.alertState = stealthSystem.getStateFromLevel(this.alertLevel);
+        this.lastKnownPlayerPos = position.clone();
+        this.investigateTime = 0;
+        this.searchTime = 0;
     }
 
     /**
      * Patrol behavior
      */
     patrol(deltaTime, colliders) {
+        if (this.schedule && this.schedule.hasRoutine()) {
+            this.schedule.followRoutine(deltaTime, colliders);
+            return;
+        }
+
+        // Back from a search: pick the route up at the nearest point, after a look round
+        if (this.returningToPatrol) {
+            this.returningToPatrol = false;
+            this.currentPatrolIndex = this.getNearestPatrolIndex();
+            this.patrolWaitTime = this.patrolWaitDuration;
+        }
+
         if (this.patrolRoute.length === 0) {
             // Idle rotation
             this.rotation += Math.sin(Date.now() * 0.001) * 0.01;
@@ -259,7 +531,7 @@ class EnemyAI {
             this.patrolWaitTime = this.patrolWaitDuration;
         } else {
             // Move towards target
-            this.moveTowards(target, this.walkSpeed, deltaTime, colliders);
+            this.navigateTo(target, this.walkSpeed, deltaTime, colliders);
         }
     }
 
@@ -267,20 +539,38 @@ class EnemyAI {
      * Investigate behavior
      */
     investigate(deltaTime, colliders) {
-        if (!this.lastKnownPlayerPos) {
+        // Calm guards only check out distractions
+        const target = this.alertState === AlertState.IDLE ?
+            this.distractionPos : (this.lastKnownPlayerPos || this.distractionPos);
+        if (!target) {
             this.patrol(deltaTime, colliders);
             return;
         }
 
-        this.investigateTime += deltaTime;
+        // Turn to face the disturbance first
+        if (this.reactionTime > 0) {
+            this.reactionTime -= deltaTime;
+            this.facePosition(target, deltaTime);
+            return;
+        }
 
         // Move towards last known position
-        const distance = this.position.distanceTo(this.lastKnownPlayerPos);
+        const distance = this.position.distanceTo(target);
+
+        if (target !== this.distractionPos) {
+            this.investigateTime += deltaTime;
 
-        if (distance > 1) {
-            this.moveTowards(this.lastKnownPlayerPos, this.walkSpeed * 1.5, deltaTime, colliders);
+            if (distance > 1) {
+                this.navigateTo(target, this.walkSpeed * 1.5, deltaTime, colliders);
+            } else {
+                // Look around
+                this.rotation += Math.sin(Date.now() * 0.003) * 0.05;
+            }
+        } else if (distance > 1.5 && !this.hasReachedPathEnd(target)) {
+            // Distractions are only timed once reached, however far they landed
+            this.navigateTo(target, this.walkSpeed, deltaTime, colliders);
         } else {
-            // Look around
+            this.investigateTime += deltaTime;
             this.rotation += Math.sin(Date.now() * 0.003) * 0.05;
         }
 
@@ -288,60 +578,294 @@ class EnemyAI {
         if (this.investigateTime > this.investigateDuration) {
             this.investigateTime = 0;
             this.lastKnownPlayerPos = null;
+            this.distractionPos = null;
             this.alertLevel = 0;
         }
     }
 
     /**
-     * Search behavior
+     * Get the index of the patrol point closest to the current position
      */
-    search(deltaTime, player, colliders) {
+    getNearestPatrolIndex() {
+        let nearest = 0;
+        this.patrolRoute.forEach((point, i) => {
+            if (this.flatDistanceTo(point) < this.flatDistanceTo(this.patrolRoute[nearest])) {
+                nearest = i;
+            }
+        });
+        return nearest;
+    }
+
+    /**
+     * Search behavior: work through a plan of places the player could be,
+     * then head back to the routine
+     */
+    search(deltaTime, player, colliders, stealthSystem, enemies) {
         this.searchTime += deltaTime;
 
-        if (this.lastKnownPlayerPos) {
-            const distance = this.position.distanceTo(this.lastKnownPlayerPos);
+        if (!this.lastKnownPlayerPos) {
+            this.finishSearch();
+            return;
+        }
 
-            if (distance > 1) {
-                this.moveTowards(this.lastKnownPlayerPos, this.runSpeed * 0.8, deltaTime, colliders);
-            } else {
-                // Search area
-                this.rotation += deltaTime * 2;
+        // New lead: plan again around it
+        if (!this.searchPlan || this.searchOrigin.distanceTo(this.lastKnownPlayerPos) > 3) {
+            this.planSearch(stealthSystem, enemies);
+        }
+
+        const point = this.searchPlan[this.searchIndex];
+        if (!point || this.searchTime > this.maxSearchTime) {
+            this.finishSearch();
+            return;
+        }
+
+        if (this.flatDistanceTo(point.position) > 1 && !this.hasReachedPathEnd(point.position)) {
+            this.navigateTo(point.position, this.runSpeed * 0.8, deltaTime, colliders);
+            return;
+        }
+
+        this.searchPointTime += deltaTime;
+
+        if (point.hidingSpot) {
+            // Take a moment to open it up
+            this.facePosition(point.hidingSpot.position, deltaTime);
+            if (this.searchPointTime > 1) {
+                stealthSystem.searchHidingSpot(this, point.hidingSpot, player);
+                this.searchedSpots.push(point.hidingSpot);
+                this.nextSearchPoint();
             }
+            return;
+        }
+
+        // Sweep a look across the area beyond the point
+        const sweep = Math.sin(this.searchPointTime * 2) * 0.8;
+        const lookDir = point.lookDir.clone().applyAxisAngle(new THREE.Vector3(0, 1, 0), sweep);
+        this.facePosition(point.position.clone().add(lookDir), deltaTime);
+
+        if (this.searchPointTime > this.searchLookDuration) {
+            this.nextSearchPoint();
         }
+    }
+
+    /**
+     * Plan a search around the last known position. Guards searching the same area
+     * share the points out instead of all checking the same ones.
+     */
+    planSearch(stealthSystem, enemies) {
+        const origin = new THREE.Vector3(this.lastKnownPlayerPos.x, 0, this.lastKnownPlayerPos.z);
+        this.searchOrigin = origin;
+        this.searchIndex = 0;
+        this.searchPointTime = 0;
+        this.searchTime = 0;
+
+        const searchers = enemies.filter(enemy => enemy !== this && enemy.isAlive && !enemy.isCivilian &&
+            stealthSystem.getStateFromLevel(enemy.alertLevel) === AlertState.ALERTED && enemy.lastKnownPlayerPos &&
+            enemy.lastKnownPlayerPos.distanceTo(origin) < this.searchRadius);
+        const planned = searchers.filter(enemy => enemy.searchPlan &&
+            enemy.searchOrigin.distanceTo(origin) < this.searchRadius);
+        const claimed = planned.flatMap(enemy => enemy.searchPlan.slice(enemy.searchIndex).map(point => point.key));
+
+        // The spot itself, then whatever is nearest to it
+        const candidates = [{ position: origin, key: 'lastKnown' }]
+            .concat(stealthSystem.levelBuilder.getSearchPoints(origin, this.searchRadius)
+                .sort((a, b) => a.position.distanceTo(origin) - b.position.distanceTo(origin)))
+            .filter(point => !claimed.includes(point.key) &&
+                !this.searchedSpots.includes(point.hidingSpot) &&
+                (!this.navGrid || this.navGrid.isWalkablePosition(point.position)));
+
+        // A fair share for each guard still to plan
+        const share = Math.ceil(candidates.length / (searchers.length - planned.length + 1));
+        const points = candidates.slice(0, Math.min(share, this.maxSearchPoints));
+
+        // Visit them in an order that doesn't double back
+        this.searchPlan = [];
+        let from = this.position;
+        while (points.length > 0) {
+            points.sort((a, b) => a.position.distanceTo(from) - b.position.distanceTo(from));
+            const point = points.shift();
+
+            // Look on past the point, away from where the search started
+            point.lookDir = point.position.clone().sub(point.key === 'lastKnown' ? from : origin);
+            point.lookDir.y = 0;
+            if (point.lookDir.lengthSq() < 0.01) {
+                point.lookDir.set(-Math.sin(this.rotation), 0, -Math.cos(this.rotation));
+            }
+            point.lookDir.normalize().multiplyScalar(3);
 
-        // Escalate or calm down
-        if (this.searchTime > 10) {
-            this.searchTime = 0;
-            this.alertLevel -= 0.3;
+            this.searchPlan.push(point);
+            from = point.position;
         }
     }
 
     /**
-     * Combat behavior
+     * Move on to the next point of the search plan
      */
-    combat(deltaTime, player, audioManager, colliders) {
+    nextSearchPoint() {
+        this.searchIndex++;
+        this.searchPointTime = 0;
+    }
+
+    /**
+     * Nothing found: stand down and go back to the routine
+     */
+    finishSearch() {
+        this.searchPlan = null;
+        this.lastKnownPlayerPos = null;
+        this.alertLevel = 0;
+        this.alertState = AlertState.IDLE;
+        this.returningToPatrol = true;
+    }
+
+    /**
+     * Combat behavior: fight from cover where there is some, in the open otherwise,
+     * playing any part the squad has given (SquadCoordinator)
+     */
+    combat(deltaTime, player, stealthSystem, audioManager, colliders, enemies) {
         if (!player.isAlive) {
             this.alertLevel = 0.5;
             return;
         }
 
-        // Update last known position
-        this.lastKnownPlayerPos = player.position.clone();
+        // Lost track of a player who climbed into a container: search for them
+        if (player.isHidden) {
+            this.alertLevel = 0.9;
+            return;
+        }
 
-        const distance = this.position.distanceTo(player.position);
+        // Shot at out of nowhere: the shooter gave themselves away
+        if (!this.lastKnownPlayerPos) {
+            this.spotPlayer(player);
+        }
+
+        // The target has no gun to fight back with
+        if (this.isTarget) {
+            this.fightInOpen(deltaTime, player, stealthSystem, audioManager, colliders);
+            return;
+        }
+
+        // Nobody in the squad has seen the player for a while: close in on the last sighting
+        // and search from there
+        if (this.lostPlayerTime > this.lostContactTime) {
+            this.leaveCover();
+            if (this.flatDistanceTo(this.lastKnownPlayerPos) < 2) {
+                this.alertLevel = stealthSystem.alertedThreshold + 0.1;
+                return;
+            }
+            this.fightInOpen(deltaTime, player, stealthSystem, audioManager, colliders);
+            return;
+        }
+
+        const orders = this.squadOrders;
+        if (orders && orders.role === SquadRole.GUARD_TARGET) {
+            this.guardTarget(deltaTime, orders.protectee, player, stealthSystem, audioManager, colliders);
+            return;
+        }
+
+        // Badly hurt: break off to cover further from the player, if there is any
+        if (!this.isFallingBack && this.health <= this.maxHealth * this.fallBackHealth) {
+            this.isFallingBack = true;
+            const retreat = this.findCover(stealthSystem, enemies, 'fallBack');
+            if (retreat) {
+                this.takeCover(retreat);
+            }
+        }
+
+        // Work round the side while the suppressor keeps the player's head down
+        if (orders && orders.role === SquadRole.FLANK && !orders.started && !this.isFallingBack) {
+            orders.started = true;
+            this.startFlank(orders.side, stealthSystem, enemies);
+        }
+
+        if (this.flankPosition) {
+            if (this.flatDistanceTo(this.flankPosition) > 0.5 && !this.hasReachedPathEnd(this.flankPosition)) {
+                this.navigateTo(this.flankPosition, this.runSpeed, deltaTime, colliders);
+                return;
+            }
+            this.flankPosition = null;
+            this.isFlanking = false;
+        }
+
+        // The player has moved round the cover
+        if (this.coverObject && !this.isCoverSafe(this.coverObject, this.coverPosition, stealthSystem)) {
+            this.leaveCover();
+        }
+
+        if (!this.coverObject) {
+            this.coverCheckTime -= deltaTime;
+            if (this.coverCheckTime <= 0) {
+                this.coverCheckTime = 0.5;
+                this.takeCover(this.findCover(stealthSystem, enemies, 'hold'));
+            }
+        }
+
+        if (!this.coverObject) {
+            this.fightInOpen(deltaTime, player, stealthSystem, audioManager, colliders);
+            return;
+        }
+
+        // Run to the cover
+        if (!this.inCover) {
+            if (this.flatDistanceTo(this.coverPosition) > 0.4 && !this.hasReachedPathEnd(this.coverPosition)) {
+                this.navigateTo(this.coverPosition, this.runSpeed, deltaTime, colliders);
+                return;
+            }
+            this.inCover = true;
+            this.isFlanking = false;
+            this.coverTime = 0;
+        }
+
+        this.fightFromCover(deltaTime, player, stealthSystem, audioManager, colliders, enemies);
+    }
+
+    /**
+     * Hold cover: duck and peek out to shoot, or stay up pinning the player down
+     * while a teammate flanks if this guard is the squad's suppressor
+     */
+    fightFromCover(deltaTime, player, stealthSystem, audioManager, colliders, enemies) {
+        this.coverTime += deltaTime;
+        this.facePosition(this.lastKnownPlayerPos, deltaTime);
+
+        const suppressing = !this.isFallingBack && this.squadOrders &&
+            this.squadOrders.role === SquadRole.SUPPRESS &&
+            enemies.some(enemy => enemy !== this && enemy.isAlive && enemy.isFlanking);
+
+        // Duck and peek in turns (longer ducked when hurt)
+        const hideDuration = this.isFallingBack ? this.hideDuration * 2 : this.hideDuration;
+        const cycle = this.coverTime % (hideDuration + this.peekDuration);
+        this.isPeeking = suppressing || cycle >= hideDuration;
+        this.isCrouching = !this.isPeeking;
+
+        this.shiftTo(this.isPeeking ? this.peekPosition : this.coverPosition, deltaTime, colliders);
+
+        if (this.isPeeking && this.shootCooldown <= 0 && this.hasShotAt(player, stealthSystem)) {
+            if (suppressing) {
+                // Suppressing fire: faster and looser
+                this.shoot(player, audioManager, 0.5);
+                this.shootCooldown = this.shootInterval * 0.5;
+            } else {
+                this.shoot(player, audioManager);
+            }
+        }
+    }
+
+    /**
+     * Old-style firefight with no cover around: close in, strafe and shoot
+     */
+    fightInOpen(deltaTime, player, stealthSystem, audioManager, colliders) {
+        const threat = this.lastKnownPlayerPos;
+        const distance = this.flatDistanceTo(threat);
 
         // Face player
-        this.facePosition(player.position, deltaTime);
+        this.facePosition(threat, deltaTime);
 
         // Combat logic
-        if (distance > this.shootRange) {
-            // Move closer
-            this.moveTowards(player.position, this.runSpeed, deltaTime, colliders);
+        if (distance > this.shootRange || this.lostPlayerTime > 1) {
+            // Move closer, or to where the player was last seen
+            this.navigateTo(threat, this.runSpeed, deltaTime, colliders);
         } else if (distance < 8) {
-            // Take cover or strafe
-            this.coverTime += deltaTime;
-            if (this.coverTime > 2) {
-                // Strafe
+            // Strafe every other couple of seconds
+            this.strafeTime += deltaTime;
+            if (this.strafeTime > 2) {
                 const strafeDir = new THREE.Vector3(
                     Math.cos(this.rotation + Math.PI / 2),
                     0,
@@ -353,27 +877,217 @@ class EnemyAI {
                     this.position.add(strafeDir);
                 }
 
-                if (this.coverTime > 4) {
-                    this.coverTime = 0;
+                if (this.strafeTime > 4) {
+                    this.strafeTime = 0;
                 }
             }
+        }
 
-            // Shoot at player
-            if (this.shootCooldown <= 0 && !this.isTarget) {
-                this.shoot(player, audioManager);
-            }
+        // Shoot at player
+        if (this.shootCooldown <= 0 && !this.isTarget && this.hasShotAt(player, stealthSystem)) {
+            this.shoot(player, audioManager);
+        }
+    }
+
+    /**
+     * Stay between the target and the player, shooting from there
+     */
+    guardTarget(deltaTime, protectee, player, stealthSystem, audioManager, colliders) {
+        this.leaveCover();
+
+        const toThreat = new THREE.Vector3()
+            .subVectors(this.lastKnownPlayerPos, protectee.position)
+            .setY(0)
+            .normalize();
+        const spot = protectee.position.clone().addScaledVector(toThreat, 1.5);
+
+        if (this.flatDistanceTo(spot) > 0.5) {
+            this.navigateTo(spot, this.runSpeed, deltaTime, colliders);
         } else {
-            // Optimal range - shoot
-            if (this.shootCooldown <= 0 && !this.isTarget) {
-                this.shoot(player, audioManager);
+            this.facePosition(this.lastKnownPlayerPos, deltaTime);
+        }
+
+        if (this.shootCooldown <= 0 && this.hasShotAt(player, stealthSystem)) {
+            this.shoot(player, audioManager);
+        }
+    }
+
+    /**
+     * Check for a clear shot at the player (which counts as seeing them).
+     * A missing shot isn't looked for again straight away.
+     */
+    hasShotAt(player, stealthSystem) {
+        const eye = this.position.clone();
+        eye.y = this.eyeHeight;
+        const playerPos = player.position.clone();
+        playerPos.y = player.isCrouching ? 0.5 : 1.2;
+
+        if (eye.distanceTo(playerPos) <= this.shootRange && stealthSystem.hasLineOfSight(eye, playerPos)) {
+            this.spotPlayer(player);
+            return true;
+        }
+
+        this.shootCooldown = 0.25;
+        return false;
+    }
+
+    /**
+     * Head for cover (or open ground) on one side of the player
+     */
+    startFlank(side, stealthSystem, enemies) {
+        const cover = this.findCover(stealthSystem, enemies, 'flank', side);
+        if (cover) {
+            this.takeCover(cover);
+            this.isFlanking = true;
+            return;
+        }
+
+        const flankPoint = this.getFlankPoint(side);
+        if (flankPoint) {
+            this.leaveCover();
+            this.flankPosition = flankPoint;
+            this.isFlanking = true;
+        }
+    }
+
+    /**
+     * Point on open ground round to one side of the player (1 = anticlockwise seen from above)
+     */
+    getFlankPoint(side) {
+        const threat = this.lastKnownPlayerPos;
+        const from = new THREE.Vector3().subVectors(this.position, threat).setY(0).normalize();
+        const angle = side * this.flankAngle;
+        const distance = THREE.MathUtils.clamp(this.flatDistanceTo(threat), this.minCoverDistance + 2, this.shootRange * 0.6);
+
+        const point = new THREE.Vector3(
+            from.x * Math.cos(angle) - from.z * Math.sin(angle),
+            0,
+            from.x * Math.sin(angle) + from.z * Math.cos(angle)
+        ).multiplyScalar(distance).add(threat).setY(0);
+
+        if (!this.navGrid) return point;
+
+        const cell = this.navGrid.findNearestWalkable(this.navGrid.worldToCell(point));
+        return cell ? this.navGrid.cellToWorld(cell.col, cell.row) : null;
+    }
+
+    /**
+     * Pick the nearest free cover object that hides this guard from the player.
+     * mode: 'hold' takes any, 'fallBack' only cover further from the player, and
+     * 'flank' looks further afield for cover round to the given side.
+     */
+    findCover(stealthSystem, enemies, mode, side = 0) {
+        const threat = this.lastKnownPlayerPos;
+        const coverObjects = stealthSystem.levelBuilder.coverObjects;
+        const threatDistance = this.flatDistanceTo(threat);
+        const fromThreat = new THREE.Vector3().subVectors(this.position, threat).setY(0).normalize();
+        const searchRadius = mode === 'flank' ? this.coverSearchRadius * 1.5 : this.coverSearchRadius;
+
+        let best = null;
+        let bestDistance = Infinity;
+
+        for (const cover of coverObjects) {
+            if (cover === this.coverObject) continue;
+            if (enemies.some(enemy => enemy !== this && enemy.isAlive && enemy.coverObject === cover)) continue;
+
+            const spot = this.getCoverSpot(cover, threat);
+            const distance = this.flatDistanceTo(spot);
+            if (distance > searchRadius || distance >= bestDistance) continue;
+
+            // Close enough to shoot from, not so close the player can walk round it
+            const spotToThreat = Math.hypot(spot.x - threat.x, spot.z - threat.z);
+            if (spotToThreat < this.minCoverDistance || spotToThreat > this.shootRange) continue;
+
+            if (mode === 'fallBack' && spotToThreat < threatDistance + 2) continue;
+            if (mode === 'flank') {
+                const spotDir = new THREE.Vector3().subVectors(spot, threat).setY(0).normalize();
+                if (spotDir.dot(fromThreat) > Math.cos(this.flankAngle / 2)) continue;
+                if ((fromThreat.x * spotDir.z - fromThreat.z * spotDir.x) * side <= 0) continue;
             }
+
+            if (this.navGrid && !this.navGrid.isWalkablePosition(spot)) continue;
+            if (!this.isCoverSafe(cover, spot, stealthSystem)) continue;
+
+            best = cover;
+            bestDistance = distance;
         }
+
+        return best;
     }
 
     /**
-     * Shoot at player
+     * Crouching spot on the far side of a cover object from the player
      */
-    shoot(player, audioManager) {
+    getCoverSpot(cover, threatPosition) {
+        const away = new THREE.Vector3(cover.position.x - threatPosition.x, 0, cover.position.z - threatPosition.z)
+            .normalize();
+        return new THREE.Vector3(cover.position.x, 0, cover.position.z)
+            .addScaledVector(away, cover.radius + 0.7);
+    }
+
+    /**
+     * Check that a cover object blocks the view from where the player was last seen
+     * of a guard crouching behind it
+     */
+    isCoverSafe(cover, spot, stealthSystem) {
+        const crouched = new THREE.Vector3(spot.x, 0.8, spot.z);
+        const playerEye = new THREE.Vector3(this.lastKnownPlayerPos.x, 1.6, this.lastKnownPlayerPos.z);
+        return stealthSystem.isInCover(crouched, playerEye, [cover]);
+    }
+
+    /**
+     * Claim a cover object, working out where to crouch and where to lean out from
+     */
+    takeCover(cover) {
+        this.leaveCover();
+        if (!cover) return;
+
+        this.coverObject = cover;
+        this.coverPosition = this.getCoverSpot(cover, this.lastKnownPlayerPos);
+
+        // Lean out on whichever side is open
+        const away = new THREE.Vector3().subVectors(this.coverPosition, cover.position).setY(0).normalize();
+        const side = new THREE.Vector3(-away.z, 0, away.x).multiplyScalar(cover.radius + 0.4);
+        this.peekPosition = this.coverPosition.clone().add(side);
+        if (this.navGrid && !this.navGrid.isWalkablePosition(this.peekPosition)) {
+            this.peekPosition = this.coverPosition.clone().sub(side);
+        }
+    }
+
+    /**
+     * Give up the current cover object (or flanking run)
+     */
+    leaveCover() {
+        this.coverObject = null;
+        this.coverPosition = null;
+        this.peekPosition = null;
+        this.flankPosition = null;
+        this.inCover = false;
+        this.isPeeking = false;
+        this.isCrouching = false;
+        this.isFlanking = false;
+        this.coverCheckTime = 0;
+    }
+
+    /**
+     * Side-step towards a nearby point without turning (ducking back and leaning out)
+     */
+    shiftTo(point, deltaTime, colliders) {
+        const offset = new THREE.Vector3(point.x - this.position.x, 0, point.z - this.position.z);
+        const distance = offset.length();
+        if (distance < 0.05) return;
+
+        const step = Math.min(distance, this.walkSpeed * deltaTime);
+        const newPos = this.position.clone().addScaledVector(offset.normalize(), step);
+        if (!this.checkCollision(newPos, colliders)) {
+            this.position.copy(newPos);
+        }
+    }
+
+    /**
+     * Shoot at player (accuracyScale below 1 for suppressing fire)
+     */
+    shoot(player, audioManager, accuracyScale = 1) {
         this.shootCooldown = this.shootInterval;
 
         // Play sound
@@ -383,7 +1097,7 @@ class EnemyAI {
 
         // Calculate hit chance
         const distance = this.position.distanceTo(player.position);
-        let hitChance = this.accuracy * (1 - distance / this.shootRange * 0.5);
+        let hitChance = this.accuracy * accuracyScale * (1 - distance / this.shootRange * 0.5);
 
         // Reduce accuracy if player is moving
         if (player.isMoving) hitChance *= 0.7;
@@ -457,6 +1171,16 @@ class EnemyAI {
         // Check collision
         if (!this.checkCollision(newPosition, colliders)) {
             this.position.copy(newPosition);
+            return;
+        }
+
+        // Slide along whichever axis is free (wall corners)
+        const alongX = new THREE.Vector3(newPosition.x, this.position.y, this.position.z);
+        const alongZ = new THREE.Vector3(this.position.x, this.position.y, newPosition.z);
+        if (!this.checkCollision(alongX, colliders)) {
+            this.position.copy(alongX);
+        } else if (!this.checkCollision(alongZ, colliders)) {
+            this.position.copy(alongZ);
         } else {
             // Try to move around obstacle
             const slideDir = new THREE.Vector3(direction.z, 0, -direction.x);
@@ -469,6 +1193,60 @@ class EnemyAI {
         }
     }
 
+    /**
+     * Use a navigation grid for pathfinding
+     */
+    setNavigation(navGrid) {
+        this.navGrid = navGrid;
+        this.path = null;
+    }
+
+    /**
+     * Move towards a target along a path around obstacles
+     */
+    navigateTo(target, speed, deltaTime, colliders) {
+        if (!this.navGrid) {
+            this.moveTowards(target, speed, deltaTime, colliders);
+            return;
+        }
+
+        // Replan when the goal moves or every so often
+        this.repathTimer -= deltaTime;
+        if (!this.pathGoal || this.pathGoal.distanceTo(target) > 1 || this.repathTimer <= 0) {
+            this.path = this.navGrid.findPath(this.position, target);
+            this.pathIndex = 0;
+            this.pathGoal = target.clone();
+            this.repathTimer = 1;
+        }
+
+        // Skip waypoints already reached
+        while (this.path && this.pathIndex < this.path.length - 1 &&
+               this.flatDistanceTo(this.path[this.pathIndex]) < 0.3) {
+            this.pathIndex++;
+        }
+
+        const waypoint = this.path && this.pathIndex < this.path.length ?
+            this.path[this.pathIndex] : target;
+        this.moveTowards(waypoint, speed, deltaTime, colliders);
+    }
+
+    /**
+     * Check if the path to a target has been walked to its last waypoint
+     * (the closest reachable point when the target itself is blocked)
+     */
+    hasReachedPathEnd(target) {
+        if (!this.path || this.path.length === 0 || this.pathGoal.distanceTo(target) > 1) return false;
+        return this.pathIndex === this.path.length - 1 &&
+            this.flatDistanceTo(this.path[this.pathIndex]) < 0.3;
+    }
+
+    /**
+     * Horizontal distance to a point
+     */
+    flatDistanceTo(point) {
+        return Math.hypot(point.x - this.position.x, point.z - this.position.z);
+    }
+
     /**
      * Face a position
      */
@@ -514,7 +1292,9 @@ class EnemyAI {
         }
 
         // Level bounds
-        if (Math.abs(position.x) > 24 || Math.abs(position.z) > 29) {
+        const bounds = this.navGrid && this.navGrid.bounds;
+        if (bounds && (position.x < bounds.min.x || position.x > bounds.max.x ||
+            position.z < bounds.min.z || position.z > bounds.max.z)) {
             return true;
         }
 
@@ -550,13 +1330,65 @@ class EnemyAI {
         if (this.alertState === AlertState.COMBAT && !this.isTarget) {
             this.rightArm.rotation.x = -Math.PI / 3;
         }
+
+        // Duck down behind cover
+        const height = this.isCrouching ? 0.65 : 1;
+        this.group.scale.y += (height - this.group.scale.y) * Math.min(1, deltaTime * 10);
+
+        // Activity pose
+        if (this.activity) {
+            this.updateActivityPose(deltaTime);
+        } else {
+            this.activityTime = 0;
+            this.rightArm.rotation.z *= 0.9;
+        }
+
+        // Hand up to the shoulder radio while calling in
+        if (this.radioCall) {
+            this.leftArm.rotation.x = -2.2;
+            this.leftArm.rotation.z = -0.5;
+        } else {
+            this.leftArm.rotation.z *= 0.9;
+        }
+    }
+
+    /**
+     * Animate the arms for a scheduled activity
+     */
+    updateActivityPose(deltaTime) {
+        this.activityTime += deltaTime;
+        const t = this.activityTime;
+
+        switch (this.activity) {
+            case 'phone':
+                // Hand held up to the ear
+                this.rightArm.rotation.x = -2.6;
+                this.rightArm.rotation.z = 0.4;
+                break;
+            case 'talk':
+                // Gesturing
+                this.leftArm.rotation.x = -0.5 + Math.sin(t * 2.5) * 0.3;
+                this.rightArm.rotation.x = -0.6 + Math.sin(t * 1.9 + 1) * 0.4;
+                break;
+            case 'look':
+                // Hands behind the back
+                this.leftArm.rotation.x = 0.4;
+                this.rightArm.rotation.x = 0.4;
+                break;
+            case 'cower':
+                // Hands over the head, shaking
+                this.leftArm.rotation.x = -2.8 + Math.sin(t * 20) * 0.05;
+                this.rightArm.rotation.x = -2.8 + Math.sin(t * 20 + 1) * 0.05;
+                break;
+        }
     }
 
     /**
      * Take damage
      */
     takeDamage(amount, isHeadshot = false) {
-        if (!this.isAlive) return false;
+        // Unconscious enemies can still be finished off
+        if (!this.isAlive && !this.isUnconscious) return false;
 
         // Headshot multiplier
         if (isHeadshot) {
@@ -582,8 +1414,10 @@ class EnemyAI {
             }
         }, 100);
 
-        if (this.health <= 0) {
-            this.die();
+        if (this.health <= 0 || this.isUnconscious) {
+            this.health = Math.min(this.health, 0);
+            this.isUnconscious = false;
+            if (this.isAlive) this.die();
             return true;
         }
 
@@ -599,6 +1433,8 @@ class EnemyAI {
      */
     die() {
         this.isAlive = false;
+        this.leaveCover();
+        this.group.scale.y = 1;
 
         // Ragdoll effect
         let fallProgress = 0;
@@ -614,12 +1450,141 @@ class EnemyAI {
         fallAnimation();
     }
 
+    /**
+     * Knock out: falls like a body, wakes up after a while
+     */
+    knockOut() {
+        this.isUnconscious = true;
+        this.unconsciousTime = this.knockoutDuration;
+        this.die();
+    }
+
+    /**
+     * Count down to waking up (hidden enemies stay out)
+     */
+    updateUnconscious(deltaTime, stealthSystem) {
+        if (this.isHidden) return;
+
+        this.unconsciousTime -= deltaTime;
+        if (this.unconsciousTime <= 0) {
+            this.wakeUp(stealthSystem);
+        }
+    }
+
+    /**
+     * Get back up and start searching for whoever did it
+     */
+    wakeUp(stealthSystem) {
+        this.isUnconscious = false;
+        this.isAlive = true;
+        this.bodyFound = false;
+
+        this.group.rotation.x = 0;
+        this.group.position.y = 0;
+
+        this.alertLevel = stealthSystem.alertedThreshold + 0.1;
+        this.alertState = stealthSystem.getStateFromLevel(this.alertLevel);
+        this.lastKnownPlayerPos = this.position.clone();
+        this.searchTime = 0;
+
+        stealthSystem.createVisionCone(this);
+    }
+
+    /**
+     * Move a dead body (dragging)
+     */
+    moveBody(position, rotation) {
+        this.position.set(position.x, 0, position.z);
+        this.rotation = rotation;
+        this.group.position.x = position.x;
+        this.group.position.z = position.z;
+        this.group.rotation.y = rotation;
+    }
+
+    /**
+     * Put a dead body into (or take it out of) a hiding spot
+     */
+    setHidden(hidden, position) {
+        this.isHidden = hidden;
+        this.group.visible = !hidden;
+        if (position) {
+            this.moveBody(position, this.rotation);
+        }
+    }
+
+    /**
+     * Leave the body in its undershirt once the player takes the uniform
+     */
+    stripOutfit() {
+        this.outfitTaken = true;
+        this.uniformMaterial.color.setHex(0x8a8a80);
+    }
+
+    /**
+     * Snapshot enemy state for saving
+     */
+    serialize() {
+        return {
+            position: this.position.toArray(),
+            rotation: this.rotation,
+            currentPatrolIndex: this.currentPatrolIndex,
+            patrolWaitTime: this.patrolWaitTime,
+            alertLevel: this.alertLevel,
+            lastKnownPlayerPos: this.lastKnownPlayerPos ? this.lastKnownPlayerPos.toArray() : null,
+            distractionPos: this.distractionPos ? this.distractionPos.toArray() : null,
+            health: this.health,
+            isAlive: this.isAlive,
+            isUnconscious: this.isUnconscious,
+            unconsciousTime: this.unconsciousTime,
+            bodyFound: this.bodyFound,
+            hasRadioed: this.hasRadioed,
+            outfitTaken: this.outfitTaken
+        };
+    }
+
+    /**
+     * Restore enemy state from a snapshot
+     */
+    deserialize(data) {
+        this.position.fromArray(data.position);
+        this.rotation = data.rotation;
+        this.currentPatrolIndex = data.currentPatrolIndex;
+        this.patrolWaitTime = data.patrolWaitTime;
+        this.alertLevel = data.alertLevel;
+        this.lastKnownPlayerPos = data.lastKnownPlayerPos ?
+            new THREE.Vector3().fromArray(data.lastKnownPlayerPos) : null;
+        this.distractionPos = data.distractionPos ?
+            new THREE.Vector3().fromArray(data.distractionPos) : null;
+        this.health = data.health;
+        this.isAlive = data.isAlive;
+        this.isUnconscious = data.isUnconscious;
+        this.unconsciousTime = data.unconsciousTime;
+        this.bodyFound = data.bodyFound;
+        this.hasRadioed = data.hasRadioed || false;
+        if (data.outfitTaken) {
+            this.stripOutfit();
+        }
+
+        this.group.position.copy(this.position);
+        this.group.rotation.y = this.rotation;
+
+        // Dead enemies are restored lying down, without the fall animation
+        if (!this.isAlive) {
+            this.group.rotation.x = -Math.PI / 2;
+            this.group.position.y = 0;
+        }
+    }
+
     /**
      * Clean up
      */
     cleanup() {
         if (this.group) {
             this.scene.remove(this.group);
+            this.group.traverse((obj) => {
+                if (obj.geometry) obj.geometry.dispose();
+                if (obj.material) obj.material.dispose();
+            });
         }
     }
 }
@@ -0,0 +1,147 @@
+/**
+ * EvacuationSystem.js
+ * Gets the target out once shooting starts: bodyguards escort them to a getaway vehicle
+ *
+ * Level evacuation data (LevelBuilder.evacuation):
+ *   boarding     { position, rotation } where the target gets into the vehicle
+ *   guardPosts   { position, rotation } where the bodyguards cover the boarding
+ *   boardTime    Seconds the target needs at the vehicle to get away
+ *
+ * A sabotaged vehicle (disable()) still draws the target to it, but never gets away.
+ * A level without evacuation data (null) has no getaway: the target never flees.
+ */
+
+class EvacuationSystem {
+    constructor(evacuation, uiManager) {
+        this.boarding = evacuation ? evacuation.boarding : null;
+        this.guardPosts = evacuation ? evacuation.guardPosts : [];
+        this.boardTime = evacuation ? evacuation.boardTime : 0;
+        this.uiManager = uiManager;
+
+        // State
+        this.isActive = false;
+        this.boardTimer = 0;       // Seconds spent getting in so far
+        this.targetEscaped = false;
+        this.ordersIssued = false;
+        this.disabled = false;     // Vehicle sabotaged
+    }
+
+    /**
+     * Update the evacuation. Starts it once the compound is in combat;
+     * sets targetEscaped when the target drives off.
+     */
+    update(deltaTime, enemies, target, globalAlert) {
+        if (!this.boarding || !target.isAlive || this.targetEscaped) return;
+
+        if (!this.isActive) {
+            if (globalAlert !== AlertState.COMBAT) return;
+            this.start();
+        }
+
+        // Orders go out once positions are known (also after loading)
+        if (!this.ordersIssued) {
+            this.issueOrders(enemies, target);
+        }
+
+        // Get in and go
+        if (target.flatDistanceTo(this.boarding.position) > 1) return;
+
+        this.boardTimer += deltaTime;
+        if (this.boardTimer >= this.boardTime) {
+            if (this.disabled) {
+                this.stall();
+            } else {
+                this.escape(target);
+            }
+        }
+    }
+
+    /**
+     * The target makes a run for the vehicle (once per mission)
+     */
+    start() {
+        this.isActive = true;
+        this.boardTimer = 0;
+        this.uiManager.showNotification('The target is fleeing to a vehicle', 3000);
+        this.uiManager.updateObjective('Stop the target before they escape');
+    }
+
+    /**
+     * Send the target to the vehicle with the nearest guards as bodyguards.
+     * Overrides any alarm orders they had.
+     */
+    issueOrders(enemies, target) {
+        this.ordersIssued = true;
+
+        target.alarmOrders = {
+            type: AlarmOrder.EVACUATE,
+            evacuation: true,
+            position: this.boarding.position,
+            rotation: this.boarding.rotation
+        };
+
+        const guards = enemies.filter(enemy => !enemy.isTarget && enemy.isAlive && !enemy.isCivilian);
+        for (const post of this.guardPosts) {
+            const guard = AlarmSystem.takeNearest(guards, target.position);
+            if (!guard) break;
+
+            guard.alarmOrders = {
+                type: AlarmOrder.ESCORT,
+                evacuation: true,
+                escortee: target,
+                position: post.position,
+                rotation: post.rotation
+            };
+        }
+    }
+
+    /**
+     * Sabotage the vehicle so the target cannot get away in it
+     */
+    disable() {
+        this.disabled = true;
+    }
+
+    /**
+     * The sabotaged vehicle will not start; the target keeps trying
+     */
+    stall() {
+        this.boardTimer = 0;
+        this.uiManager.showNotification('The getaway vehicle won\'t start', 2500);
+    }
+
+    /**
+     * The target is in the vehicle and away
+     */
+    escape(target) {
+        this.targetEscaped = true;
+        target.setHidden(true);
+    }
+
+    /**
+     * Snapshot evacuation state for saving
+     */
+    serialize() {
+        return {
+            isActive: this.isActive,
+            boardTimer: this.boardTimer
+        };
+    }
+
+    /**
+     * Restore evacuation state from a snapshot
+     */
+    deserialize(data) {
+        this.isActive = data.isActive;
+        this.boardTimer = data.boardTimer;
+        this.targetEscaped = false;
+        this.ordersIssued = false;
+
+        if (this.isActive) {
+            this.uiManager.updateObjective('Stop the target before they escape');
+        }
+    }
+}
+
+// Export
+window.EvacuationSystem = EvacuationSystem;
@@ -11,13 +11,16 @@ const GameState = {
     TARGET_ELIMINATED: 'TARGET_ELIMINATED',
     ESCAPE: 'ESCAPE',
     MISSION_COMPLETE: 'MISSION_COMPLETE',
-    GAME_OVER: 'GAME_OVER'
+    GAME_OVER: 'GAME_OVER',
+    TARGET_ESCAPED: 'TARGET_ESCAPED',
+    EDITOR: 'EDITOR'
 };
 
 class GameStateManager {
     constructor() {
         this.currentState = GameState.LOADING;
         this.previousState = null;
+        this.resumeState = null;
         this.listeners = new Map();
         this.stateData = {
             missionStartTime: 0,
@@ -25,21 +28,33 @@ class GameStateManager {
             targetEliminated: false,
             playerDetected: false,
             enemiesKilled: 0,
+            nonTargetKills: 0,
+            civiliansKilled: 0,
+            civiliansWounded: 0,
+            knockouts: 0,
             shotsFired: 0,
             timesDetected: 0,
-            silentKill: true
+            bodiesFound: 0,
+            unconsciousFound: 0,
+            caughtOnCamera: false,
+            exitUsed: null,
+            silentKill: true,
+            pauseStartTime: 0,
+            pausedTime: 0
         };
         
         // Valid state transitions
         this.validTransitions = {
             [GameState.LOADING]: [GameState.MENU],
-            [GameState.MENU]: [GameState.PLAYING],
-            [GameState.PLAYING]: [GameState.TARGET_ELIMINATED, GameState.GAME_OVER, GameState.PAUSED],
-            [GameState.PAUSED]: [GameState.PLAYING, GameState.MENU],
-            [GameState.TARGET_ELIMINATED]: [GameState.ESCAPE, GameState.GAME_OVER],
-            [GameState.ESCAPE]: [GameState.MISSION_COMPLETE, GameState.GAME_OVER],
+            [GameState.MENU]: [GameState.PLAYING, GameState.EDITOR],
+            [GameState.PLAYING]: [GameState.TARGET_ELIMINATED, GameState.ESCAPE, GameState.GAME_OVER, GameState.TARGET_ESCAPED, GameState.PAUSED],
+            [GameState.PAUSED]: [GameState.PLAYING, GameState.TARGET_ELIMINATED, GameState.ESCAPE, GameState.MENU],
+            [GameState.TARGET_ELIMINATED]: [GameState.ESCAPE, GameState.GAME_OVER, GameState.PAUSED],
+            [GameState.ESCAPE]: [GameState.MISSION_COMPLETE, GameState.GAME_OVER, GameState.PAUSED],
             [GameState.MISSION_COMPLETE]: [GameState.MENU],
-            [GameState.GAME_OVER]: [GameState.MENU]
+            [GameState.GAME_OVER]: [GameState.MENU],
+            [GameState.TARGET_ESCAPED]: [GameState.MENU],
+            [GameState.EDITOR]: [GameState.MENU]
         };
     }
 
@@ -66,6 +81,34 @@ class GameStateManager {
                this.currentState === GameState.ESCAPE;
     }
 
+    /**
+     * Check if game is paused
+     */
+    isPaused() {
+        return this.currentState === GameState.PAUSED;
+    }
+
+    /**
+     * Pause the mission, remembering which state to resume into
+     */
+    pause() {
+        if (!this.isPlaying()) return false;
+
+        this.resumeState = this.currentState;
+        return this.setState(GameState.PAUSED);
+    }
+
+    /**
+     * Resume the mission from pause
+     */
+    resume() {
+        if (!this.isPaused()) return false;
+
+        const state = this.resumeState || GameState.PLAYING;
+        this.resumeState = null;
+        return this.setState(state);
+    }
+
     /**
      * Transition to a new state
      */
@@ -105,10 +148,20 @@ class GameStateManager {
      * Handle state entry logic
      */
     onStateEnter(state, data) {
+        // Leaving pause: exclude the paused time from the mission timer
+        if (this.previousState === GameState.PAUSED) {
+            this.stateData.pausedTime += Date.now() - this.stateData.pauseStartTime;
+            return;
+        }
+
         switch (state) {
             case GameState.PLAYING:
                 this.stateData.missionStartTime = Date.now();
                 break;
+
+            case GameState.PAUSED:
+                this.stateData.pauseStartTime = Date.now();
+                break;
                 
             case GameState.TARGET_ELIMINATED:
                 this.stateData.targetEliminated = true;
@@ -122,6 +175,7 @@ class GameStateManager {
                 break;
                 
             case GameState.GAME_OVER:
+            case GameState.TARGET_ESCAPED:
                 this.stateData.missionEndTime = Date.now();
                 break;
         }
@@ -158,7 +212,8 @@ class GameStateManager {
      * Get mission statistics
      */
     getStats() {
-        const elapsed = this.stateData.missionEndTime - this.stateData.missionStartTime;
+        const elapsed = this.stateData.missionEndTime - this.stateData.missionStartTime -
+            this.stateData.pausedTime;
         const minutes = Math.floor(elapsed / 60000);
         const seconds = Math.floor((elapsed % 60000) / 1000);
         
@@ -167,7 +222,15 @@ class GameStateManager {
             timeMs: elapsed,
             enemiesKilled: this.stateData.enemiesKilled,
             shotsFired: this.stateData.shotsFired,
+            nonTargetKills: this.stateData.nonTargetKills,
+            civiliansKilled: this.stateData.civiliansKilled,
+            civiliansWounded: this.stateData.civiliansWounded,
+            knockouts: this.stateData.knockouts,
             timesDetected: this.stateData.timesDetected,
+            bodiesFound: this.stateData.bodiesFound,
+            unconsciousFound: this.stateData.unconsciousFound,
+            caughtOnCamera: this.stateData.caughtOnCamera,
+            exitUsed: this.stateData.exitUsed,
             silentKill: this.stateData.silentKill,
             targetEliminated: this.stateData.targetEliminated
         };
@@ -178,14 +241,18 @@ class GameStateManager {
      */
     getRating() {
         const stats = this.getStats();
+
+        // Footage left on the recorder counts as being spotted
+        const spotted = stats.timesDetected + (stats.caughtOnCamera ? 1 : 0);
         
-        // Silent Assassin: No detections, silent kill, minimal kills
-        if (stats.timesDetected === 0 && stats.silentKill && stats.enemiesKilled <= 1) {
+        // Silent Assassin: No detections, silent kill, no non-target kills, no civilians hurt, no dead bodies found
+        if (spotted === 0 && stats.silentKill && stats.nonTargetKills === 0 &&
+            stats.civiliansKilled === 0 && stats.civiliansWounded === 0 && stats.bodiesFound === 0) {
             return 'Silent Assassin';
         }
         
-        // Professional: Few detections, target eliminated
-        if (stats.timesDetected <= 2 && stats.targetEliminated) {
+        // Professional: Few detections, target eliminated, no civilian casualties
+        if (spotted <= 2 && stats.civiliansKilled === 0 && stats.targetEliminated) {
             return 'Professional';
         }
         
@@ -197,6 +264,35 @@ class GameStateManager {
         return 'Thug';
     }
 
+    /**
+     * Snapshot mission state for saving
+     */
+    serialize() {
+        const now = Date.now();
+        const { missionStartTime, missionEndTime, pauseStartTime, pausedTime, ...stats } = this.stateData;
+
+        return {
+            state: this.isPaused() ? this.resumeState : this.currentState,
+            elapsed: now - missionStartTime - pausedTime,
+            stateData: stats
+        };
+    }
+
+    /**
+     * Restore mission state from a snapshot
+     */
+    deserialize(data) {
+        if (this.currentState !== data.state) {
+            this.forceState(data.state, { restored: true });
+        }
+
+        Object.assign(this.stateData, data.stateData);
+        this.stateData.missionStartTime = Date.now() - data.elapsed;
+        this.stateData.missionEndTime = 0;
+        this.stateData.pauseStartTime = 0;
+        this.stateData.pausedTime = 0;
+    }
+
     /**
      * Increment statistics
      */
@@ -212,15 +308,26 @@ class GameStateManager {
     reset() {
         this.currentState = GameState.LOADING;
         this.previousState = null;
+        this.resumeState = null;
         this.stateData = {
             missionStartTime: 0,
             missionEndTime: 0,
             targetEliminated: false,
             playerDetected: false,
             enemiesKilled: 0,
+            nonTargetKills: 0,
+            civiliansKilled: 0,
+            civiliansWounded: 0,
+            knockouts: 0,
             shotsFired: 0,
             timesDetected: 0,
-            silentKill: true
+            bodiesFound: 0,
+            unconsciousFound: 0,
+            caughtOnCamera: false,
+            exitUsed: null,
+            silentKill: true,
+            pauseStartTime: 0,
+            pausedTime: 0
         };
     }
 }
@@ -0,0 +1,183 @@
+/**
+ * HidingSystem.js
+ * Body dragging and hiding containers (dumpsters, closets, crates)
+ */
+
+class HidingSystem {
+    constructor(player, levelBuilder, interactionSystem, disguiseSystem) {
+        this.player = player;
+        this.levelBuilder = levelBuilder;
+        this.interactionSystem = interactionSystem;
+        this.disguiseSystem = disguiseSystem;
+
+        // Interaction parameters
+        this.dragHoldTime = 0.3; // Seconds E must be held to start dragging
+        this.dragDistance = 1.2; // Body trails this far behind the player
+
+        // State
+        this.draggedBody = null;
+
+        this.registerInteractions();
+    }
+
+    /**
+     * Register hiding spot and dragging interactions
+     */
+    registerInteractions() {
+        for (const spot of this.levelBuilder.hidingSpots) {
+            this.interactionSystem.register({
+                getPosition: () => spot.position,
+                radius: spot.position.distanceTo(spot.exitPosition) + 0.8,
+                isAvailable: () => !this.player.isHidden && this.hasRoom(spot),
+                getPrompt: () => this.draggedBody ? `Hide body in ${spot.type}` : `Hide in ${spot.type}`,
+                onInteract: () => {
+                    if (this.draggedBody) {
+                        this.dropBody(spot);
+                    } else {
+                        this.player.enterHidingSpot(spot);
+                    }
+                }
+            });
+        }
+
+        // Leaving works wherever the player looks from inside
+        this.interactionSystem.register({
+            getPosition: () => this.player.position,
+            requiresLook: false,
+            priority: 1,
+            isAvailable: () => this.player.isHidden,
+            getPrompt: () => `Leave ${this.player.hidingSpot.type}`,
+            onInteract: () => this.player.exitHidingSpot()
+        });
+
+        // Dropping the body is the fallback while dragging
+        this.interactionSystem.register({
+            getPosition: () => this.player.position,
+            requiresLook: false,
+            priority: -1,
+            isAvailable: () => this.draggedBody !== null,
+            prompt: 'Drop body',
+            onInteract: () => this.dropBody(null)
+        });
+    }
+
+    /**
+     * Register drag (hold) and take-disguise (tap) interactions on enemy bodies
+     */
+    registerBodies(enemies) {
+        for (const body of enemies) {
+            this.interactionSystem.register({
+                getPosition: () => body.position,
+                isAvailable: () => !body.isAlive && !body.isHidden &&
+                    !this.player.isDragging && !this.player.isHidden,
+                getPrompt: () => this.disguiseSystem.canTakeOutfit(body) ?
+                    `Take ${Outfits[body.outfit].name} disguise (hold to drag body)` :
+                    'Hold to drag body',
+                onInteract: () => this.disguiseSystem.takeOutfit(body),
+                onHold: () => this.startDrag(body),
+                holdDuration: this.dragHoldTime
+            });
+        }
+    }
+
+    /**
+     * Keep the dragged body with the player
+     */
+    update() {
+        if (!this.draggedBody) return;
+
+        // Let go if the player dies or the body wakes up
+        if (!this.player.isAlive || this.draggedBody.isAlive) {
+            this.dropBody(null);
+            return;
+        }
+
+        this.updateDraggedBody();
+    }
+
+    /**
+     * Check if a hiding spot has room for one more
+     */
+    hasRoom(spot) {
+        return spot.bodies.length + (spot.occupied ? 1 : 0) < spot.capacity;
+    }
+
+    /**
+     * Start dragging a body
+     */
+    startDrag(body) {
+        this.draggedBody = body;
+        this.player.isDragging = true;
+    }
+
+    /**
+     * Let go of the dragged body, into a hiding spot if given
+     */
+    dropBody(spot) {
+        if (!this.draggedBody) return;
+
+        if (spot) {
+            this.draggedBody.setHidden(true, spot.position);
+            spot.bodies.push(this.draggedBody);
+        }
+
+        this.draggedBody = null;
+        this.player.isDragging = false;
+    }
+
+    /**
+     * Keep the dragged body trailing behind the player
+     */
+    updateDraggedBody() {
+        const behind = this.player.position.clone().addScaledVector(
+            this.player.getForwardDirection(),
+            -this.dragDistance
+        );
+        this.draggedBody.moveBody(behind, this.player.rotation.y);
+    }
+
+    /**
+     * Snapshot hiding spot contents for saving
+     */
+    serialize(enemies) {
+        const spots = this.levelBuilder.hidingSpots;
+        return {
+            spots: spots.map(spot => spot.bodies.map(body => enemies.indexOf(body))),
+            playerSpot: spots.indexOf(this.player.hidingSpot)
+        };
+    }
+
+    /**
+     * Restore hiding spot contents from a snapshot
+     */
+    deserialize(data, enemies) {
+        const spots = this.levelBuilder.hidingSpots;
+
+        data.spots.forEach((indices, i) => {
+            const spot = spots[i];
+            if (!spot) return;
+
+            for (const index of indices) {
+                const body = enemies[index];
+                if (!body) continue;
+
+                body.setHidden(true, spot.position);
+                spot.bodies.push(body);
+            }
+        });
+
+        if (spots[data.playerSpot]) {
+            this.player.enterHidingSpot(spots[data.playerSpot]);
+        }
+    }
+
+    /**
+     * Let go of anything being dragged
+     */
+    cleanup() {
+        this.dropBody(null);
+    }
+}
+
+// Export
+window.HidingSystem = HidingSystem;
@@ -0,0 +1,262 @@
+/**
+ * InteractionSystem.js
+ * Registry of contextual actions bound to the interaction key (E)
+ *
+ * An interactable is a plain object:
+ *   position / getPosition()  World position of the object
+ *   radius                    Reach in meters (default 1.5)
+ *   prompt / getPrompt()      Text shown while focused
+ *   onInteract()              Runs on a tap (or on press if there is no hold action)
+ *   onHold()                  Runs once the key is held for holdDuration seconds
+ *   holdDuration              Seconds to hold for onHold (default 0.6)
+ *   isAvailable()             Optional, return false to ignore the interactable
+ *   requiresLook              Player must look at it (default true)
+ *   priority                  Higher wins when several are in reach (default 0)
+ */
+
+class InteractionSystem {
+    constructor(player, uiManager) {
+        this.player = player;
+        this.uiManager = uiManager;
+
+        this.interactables = [];
+
+        // Focus parameters
+        this.defaultRadius = 1.5;
+        this.defaultHoldDuration = 0.6;
+        this.lookAngle = Math.PI / 4; // Max angle between view and object
+
+        // State
+        this.focused = null;
+        this.active = null; // Interactable the key went down on
+        this.holdTime = 0;
+        this.keyHeld = false;
+        this.keyPressed = false;
+        this.keyReleased = false;
+        this.promptText = null;
+        this.promptProgress = null;
+
+        this.setupInput();
+    }
+
+    /**
+     * Setup input handlers
+     */
+    setupInput() {
+        // Key presses are resolved in update() against the focused interactable
+        this.onKeyDown = (e) => {
+            if (e.code !== 'KeyE' || e.repeat) return;
+            if (!window.game || !window.game.stateManager.isPlaying()) return;
+
+            this.keyHeld = true;
+            this.keyPressed = true;
+        };
+
+        this.onKeyUp = (e) => {
+            if (e.code !== 'KeyE' || !this.keyHeld) return;
+
+            this.keyHeld = false;
+            this.keyReleased = true;
+        };
+
+        document.addEventListener('keydown', this.onKeyDown);
+        document.addEventListener('keyup', this.onKeyUp);
+    }
+
+    /**
+     * Add an interactable to the registry
+     */
+    register(interactable) {
+        this.interactables.push(interactable);
+        return interactable;
+    }
+
+    /**
+     * Remove an interactable from the registry
+     */
+    unregister(interactable) {
+        const index = this.interactables.indexOf(interactable);
+        if (index !== -1) {
+            this.interactables.splice(index, 1);
+        }
+        if (this.active === interactable) {
+            this.active = null;
+        }
+    }
+
+    /**
+     * Forget held keys (e.g. when the game is paused mid-hold)
+     */
+    resetInput() {
+        this.keyHeld = false;
+        this.keyPressed = false;
+        this.keyReleased = false;
+        this.active = null;
+        this.holdTime = 0;
+    }
+
+    /**
+     * Update focus, key handling and the prompt
+     */
+    update(deltaTime) {
+        if (!this.player.isAlive) {
+            this.resetInput();
+            this.focused = null;
+            this.setPrompt(null);
+            return;
+        }
+
+        this.focused = this.findFocus();
+
+        if (this.keyPressed) {
+            this.keyPressed = false;
+
+            const target = this.focused;
+            if (target && target.onHold) {
+                this.active = target;
+                this.holdTime = 0;
+            } else if (target && target.onInteract) {
+                target.onInteract();
+            }
+        }
+
+        if (this.active && this.keyHeld) {
+            this.holdTime += deltaTime;
+
+            if (this.holdTime >= this.getHoldDuration(this.active)) {
+                const target = this.active;
+                this.active = null;
+                target.onHold();
+            }
+        }
+
+        if (this.keyReleased) {
+            this.keyReleased = false;
+
+            // Released before the hold finished: treat as a tap
+            if (this.active && this.active.onInteract) {
+                this.active.onInteract();
+            }
+            this.active = null;
+        }
+
+        // Drop a hold if the player walks away from it
+        if (this.active && this.active !== this.focused) {
+            this.active = null;
+        }
+
+        // Actions may have changed what is available
+        this.focused = this.findFocus();
+        this.updatePrompt();
+    }
+
+    /**
+     * Pick the interactable the player is looking at
+     */
+    findFocus() {
+        const eye = this.player.position.clone();
+        eye.y = this.player.currentHeight;
+        const view = this.player.getAimDirection();
+
+        let best = null;
+        let bestPriority = -Infinity;
+        let bestScore = Infinity;
+
+        for (const interactable of this.interactables) {
+            if (interactable.isAvailable && !interactable.isAvailable()) continue;
+
+            const position = this.getPosition(interactable);
+            const radius = interactable.radius || this.defaultRadius;
+
+            const flatDist = Math.hypot(position.x - this.player.position.x, position.z - this.player.position.z);
+            if (flatDist > radius) continue;
+
+            // Prefer what is closest to the center of view
+            let score = flatDist / radius;
+            if (interactable.requiresLook !== false) {
+                const toObject = new THREE.Vector3().subVectors(position, eye);
+                toObject.y = 0;
+                const flatView = new THREE.Vector3(view.x, 0, view.z);
+
+                const angle = toObject.lengthSq() > 0.0001 ? flatView.angleTo(toObject) : 0;
+                if (angle > this.lookAngle) continue;
+
+                score += angle / this.lookAngle;
+            }
+
+            const priority = interactable.priority || 0;
+            if (priority > bestPriority || (priority === bestPriority && score < bestScore)) {
+                best = interactable;
+                bestPriority = priority;
+                bestScore = score;
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * Get an interactable's world position
+     */
+    getPosition(interactable) {
+        return interactable.getPosition ? interactable.getPosition() : interactable.position;
+    }
+
+    /**
+     * Get an interactable's hold duration
+     */
+    getHoldDuration(interactable) {
+        return interactable.holdDuration || this.defaultHoldDuration;
+    }
+
+    /**
+     * Show the prompt (and hold progress) for the focused interactable
+     */
+    updatePrompt() {
+        const focused = this.focused;
+        if (!focused) {
+            this.setPrompt(null);
+            return;
+        }
+
+        const text = focused.getPrompt ? focused.getPrompt() : focused.prompt;
+        const progress = this.active === focused ?
+            Math.min(1, this.holdTime / this.getHoldDuration(focused)) : null;
+
+        this.setPrompt(text, progress);
+    }
+
+    /**
+     * Show or hide the interaction prompt (only touches the DOM on change)
+     */
+    setPrompt(text, progress = null) {
+        if (text !== this.promptText) {
+            this.promptText = text;
+
+            if (text) {
+                this.uiManager.showInteraction(text);
+            } else {
+                this.uiManager.hideInteraction();
+            }
+        }
+
+        if (progress !== this.promptProgress) {
+            this.promptProgress = progress;
+            this.uiManager.updateInteractionProgress(progress);
+        }
+    }
+
+    /**
+     * Remove input handlers and all interactables
+     */
+    cleanup() {
+        document.removeEventListener('keydown', this.onKeyDown);
+        document.removeEventListener('keyup', this.onKeyUp);
+        this.interactables = [];
+        this.resetInput();
+        this.setPrompt(null);
+    }
+}
+
+// Export
+window.InteractionSystem = InteractionSystem;
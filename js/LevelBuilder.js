@@ -1,22 +1,108 @@
 /**
  * LevelBuilder.js
- * Creates the game level geometry, lighting, and environment
+ * Creates the game level geometry, lighting, and environment from a mission definition
+ *
+ * Mission definition: a JSON-compatible object. Each file in missions/ is a classic script that
+ * registers one as window.Missions.<id> and needs its own <script> tag in index.html (before the
+ * game modules); the level editor exports and imports the same object as a .json file.
+ * Positions are [x, y, z], rotations are degrees about Y (0 = facing -Z) and colors are
+ * '#rrggbb' strings.
+ *   id, name        Mission identity
+ *   briefing        Shown on the mission select screen
+ *   bounds          { min, max } walkable area; nothing moves or paths outside it
+ *   floors          { position, size: [width, depth], material, surface? } surface sets footstep noise
+ *   walls           { position, size: [width, height, depth], material }
+ *   prefabs         { type, position, rotation?, ... } furniture and fixtures, see LevelPrefabs
+ *   lights          { type: ambient|directional|spot|point|alarm, color, intensity, position, ... }
+ *                   A point light may have a switch: { position, darkZone: { center, radius } }
+ *   fog             { color, near, far }
+ *   zones           restricted [{ id, min, max }], light and dark [{ center, radius }]
+ *   exits           { id, name, type: gate|vehicle|boat|hatch, zone { min, max }, requires? } ways
+ *                   out of the level; a boat's hull goes at its position and rotation (zone center
+ *                   by default). Requirements are described in ObjectiveSystem
+ *   routes          { name: [position, ...] } patrol and wander routes
+ *   spawns          player position; target, guards and civilians { position, route, ... }; cameras.
+ *                   A guard may carry an id for objectives to name it by
+ *   pickups         { name, position } throwables (see WeaponSystem)
+ *   items           { id, name, position, model? } things to carry off: documents, keys, tools
+ *   targetSchedule  Routine steps and phone lures (see TargetSchedule)
+ *   alarm           Posts, safe room and waves of { gate, route, reverse? } (see AlarmSystem)
+ *   evacuation      The target's getaway (see EvacuationSystem)
+ *   objectives      { type, description, ... } see ObjectiveSystem
  */
 
+// Kinds of exit; gates get marker posts, hatches a cover and boats a hull (vehicles are prefabs)
+const ExitType = {
+    GATE: 'gate',
+    VEHICLE: 'vehicle',
+    BOAT: 'boat',
+    HATCH: 'hatch'
+};
+
+// Prefab types a mission can place, each with the method that builds it
+const LevelPrefabs = {
+    guardTower: (builder, prefab) => builder.createGuardTower(prefab.position),
+    gate: (builder, prefab) => builder.createGate(prefab.position),
+    fountain: (builder, prefab) => builder.createFountain(prefab.position),
+    bench: (builder, prefab, rotation) => builder.createBench(prefab.position, rotation),
+    planter: (builder, prefab) => builder.createPlanter(prefab.position),
+    desk: (builder, prefab) => builder.createDesk(prefab.position),
+    chair: (builder, prefab, rotation) => builder.createChair(prefab.position, rotation),
+    bookshelf: (builder, prefab) => builder.createBookshelf(prefab.position),
+    window: (builder, prefab) => builder.createWindow(prefab.position),
+    wallPhone: (builder, prefab, rotation) => builder.createWallPhone(prefab.position, rotation),
+    recorder: (builder, prefab) => builder.createRecorder(prefab.position),
+    crate: (builder, prefab) => builder.createCrate(prefab.position, prefab.size),
+    barrel: (builder, prefab) => builder.createBarrel(prefab.position),
+    vehicle: (builder, prefab, rotation) => builder.createVehicle(prefab.position, rotation),
+    dumpster: (builder, prefab, rotation) => builder.createDumpster(prefab.position, rotation),
+    closet: (builder, prefab, rotation) => builder.createCloset(prefab.position, rotation),
+    largeCrate: (builder, prefab, rotation) => builder.createLargeCrate(prefab.position, rotation),
+    lightPole: (builder, prefab) => builder.createLightPole(prefab.position),
+    pipe: (builder, prefab) => builder.createPipe(prefab.position, prefab.length, prefab.vertical)
+};
+
 class LevelBuilder {
     constructor(scene) {
         this.scene = scene;
         this.colliders = [];
         this.coverObjects = [];
         this.spawnPoints = {
-            player: new THREE.Vector3(0, 0, 25),
+            player: null,
             guards: [],
-            target: new THREE.Vector3(0, 0, -25)
+            cameras: [], // Mount point (y = height), facing and sweep arc
+            civilians: [], // Role and the points they wander between
+            target: null
         };
-        this.escapeZone = null;
+        this.routes = {};        // Mission routes by name, as [x, y, z] points
+        this.bounds = null;      // Walkable area { min, max }
+        this.exits = [];         // Extraction points: zone, requirements, and whether usable now
         this.restrictedZones = [];
         this.lightZones = []; // Areas with spotlights (increased detection)
         this.darkZones = [];  // Dark areas (reduced detection)
+        this.surfaceZones = []; // Floor materials (footstep noise)
+        this.hidingSpots = [];  // Containers for bodies and the player
+        this.interactables = []; // Contextual actions for InteractionSystem
+        this.pickups = [];       // Throwables lying around (coins, bottles)
+        this.items = [];         // Mission items the player can carry (see ObjectiveSystem)
+        this.recorders = [];     // Where camera footage can be erased
+        this.targetSchedule = { steps: [], lures: [] }; // Target's routine and phone lures
+        this.alarm = {           // Compound alarm: see AlarmSystem
+            lights: [],
+            posts: [],
+            safeRoom: null,
+            gates: [],
+            waves: [],
+            resetTime: 60
+        };
+        this.evacuation = null;  // Getaway vehicle for the target: see EvacuationSystem
+
+        // Footstep loudness per floor material (grass is the default ground)
+        this.surfaceNoise = {
+            grass: 0.5,
+            concrete: 1.0,
+            wood: 1.4
+        };
         
         // Materials
         this.materials = this.createMaterials();
@@ -89,6 +175,18 @@ class LevelBuilder {
                 roughness: 0.95,
                 metalness: 0.0
             }),
+            dumpster: new THREE.MeshStandardMaterial({
+                color: 0x2d4a32,
+                roughness: 0.6,
+                metalness: 0.5
+            }),
+            bottle: new THREE.MeshStandardMaterial({
+                color: 0x2e6b3a,
+                transparent: true,
+                opacity: 0.85,
+                roughness: 0.2,
+                metalness: 0.2
+            }),
             water: new THREE.MeshStandardMaterial({
                 color: 0x1a3d5c,
                 roughness: 0.1,
@@ -100,104 +198,146 @@ class LevelBuilder {
     }
 
     /**
-     * Build the complete level
+     * Build the complete level from a mission definition
      */
-    build() {
-        this.createGround();
-        this.createCompound();
-        this.createCourtyard();
-        this.createInteriorRooms();
-        this.createCoverObjects();
-        this.createDecorations();
-        this.createLighting();
-        this.createEscapeZone();
-        this.createRestrictedZones();
-        
+    build(levelDef) {
+        this.routes = levelDef.routes;
+        // Missions made before bounds were part of the format all use the compound's footprint
+        this.createBounds(levelDef.bounds || { min: [-24, 0, -29], max: [24, 0, 29] });
+
+        levelDef.floors.forEach(floor => this.createFloor(floor));
+        levelDef.walls.forEach(wall => {
+            this.createWall(wall.position, wall.size, this.materials[wall.material]);
+        });
+        levelDef.prefabs.forEach(prefab => this.createPrefab(prefab));
+        levelDef.pickups.forEach(pickup => this.createPickup(pickup.name, pickup.position));
+        (levelDef.items || []).forEach(item => this.createItem(item));
+        this.createLighting(levelDef.lights, levelDef.fog);
+        this.createZones(levelDef.zones);
+        // Missions made before there were several exits have a single escape zone
+        const exits = levelDef.exits || (levelDef.zones.escape ? [{ zone: levelDef.zones.escape }] : []);
+        exits.forEach(exit => this.createExit(exit));
+        this.createSpawnPoints(levelDef.spawns);
+        this.createTargetSchedule(levelDef.targetSchedule);
+        this.createAlarmPlan(levelDef.alarm);
+        this.createEvacuation(levelDef.evacuation);
+
         return {
             colliders: this.colliders,
             coverObjects: this.coverObjects,
             spawnPoints: this.spawnPoints,
-            escapeZone: this.escapeZone,
+            bounds: this.bounds,
+            exits: this.exits,
             restrictedZones: this.restrictedZones,
             lightZones: this.lightZones,
-            darkZones: this.darkZones
+            darkZones: this.darkZones,
+            surfaceZones: this.surfaceZones,
+            hidingSpots: this.hidingSpots,
+            interactables: this.interactables,
+            pickups: this.pickups,
+            items: this.items,
+            recorders: this.recorders,
+            targetSchedule: this.targetSchedule,
+            alarm: this.alarm,
+            evacuation: this.evacuation,
+            objectives: levelDef.objectives
         };
     }
 
     /**
-     * Create ground/floor
+     * Convert a mission [x, y, z] array to a vector
      */
-    createGround() {
-        // Main ground
-        const groundGeo = new THREE.PlaneGeometry(100, 100);
-        const ground = new THREE.Mesh(groundGeo, this.materials.grass);
-        ground.rotation.x = -Math.PI / 2;
-        ground.receiveShadow = true;
-        this.scene.add(ground);
-
-        // Courtyard floor
-        const courtyardGeo = new THREE.PlaneGeometry(40, 50);
-        const courtyard = new THREE.Mesh(courtyardGeo, this.materials.floorLight);
-        courtyard.rotation.x = -Math.PI / 2;
-        courtyard.position.set(0, 0.01, 5);
-        courtyard.receiveShadow = true;
-        this.scene.add(courtyard);
+    toVector(array) {
+        return new THREE.Vector3().fromArray(array);
     }
 
     /**
-     * Create the main compound walls
+     * Convert a mission rotation (degrees) to radians
      */
-    createCompound() {
-        const wallHeight = 4;
-        const wallThickness = 0.5;
-
-        // Outer walls
-        const outerWalls = [
-            // North wall
-            { pos: [0, wallHeight/2, -30], size: [50, wallHeight, wallThickness] },
-            // South wall
-            { pos: [0, wallHeight/2, 30], size: [50, wallHeight, wallThickness] },
-            // East wall
-            { pos: [25, wallHeight/2, 0], size: [wallThickness, wallHeight, 60] },
-            // West wall
-            { pos: [-25, wallHeight/2, 0], size: [wallThickness, wallHeight, 60] },
-        ];
+    toRadians(degrees = 0) {
+        return THREE.MathUtils.degToRad(degrees);
+    }
 
-        outerWalls.forEach(wall => {
-            this.createWall(wall.pos, wall.size, this.materials.concrete);
-        });
+    /**
+     * Convert a mission { position, rotation } placement
+     */
+    toPlacement(placement) {
+        return {
+            position: this.toVector(placement.position),
+            rotation: this.toRadians(placement.rotation)
+        };
+    }
 
-        // Inner compound walls creating rooms
-        const innerWalls = [
-            // Main building back wall
-            { pos: [0, wallHeight/2, -20], size: [30, wallHeight, wallThickness] },
-            // Main building front wall with gap for entrance
-            { pos: [-10, wallHeight/2, -5], size: [10, wallHeight, wallThickness] },
-            { pos: [10, wallHeight/2, -5], size: [10, wallHeight, wallThickness] },
-            // Side walls of main building
-            { pos: [-15, wallHeight/2, -12.5], size: [wallThickness, wallHeight, 15] },
-            { pos: [15, wallHeight/2, -12.5], size: [wallThickness, wallHeight, 15] },
-            // Interior dividing walls
-            { pos: [0, wallHeight/2, -15], size: [wallThickness, wallHeight, 10] },
-            { pos: [-7.5, wallHeight/2, -10], size: [15, wallHeight, wallThickness] },
-            { pos: [7.5, wallHeight/2, -10], size: [15, wallHeight, wallThickness] },
-        ];
+    /**
+     * Create a floor plane, registering its surface material if it has one
+     */
+    createFloor(floor) {
+        const mesh = new THREE.Mesh(
+            new THREE.PlaneGeometry(floor.size[0], floor.size[1]),
+            this.materials[floor.material]
+        );
+        mesh.rotation.x = -Math.PI / 2;
+        mesh.position.fromArray(floor.position);
+        mesh.receiveShadow = true;
+        this.scene.add(mesh);
 
-        innerWalls.forEach(wall => {
-            this.createWall(wall.pos, wall.size, this.materials.wall);
+        if (floor.surface) {
+            this.addSurfaceZone(floor.position, floor.size, floor.surface);
+        }
+    }
+
+    /**
+     * Register a rectangular floor area with its surface material
+     */
+    addSurfaceZone(center, size, surface) {
+        this.surfaceZones.push({
+            min: new THREE.Vector3(center[0] - size[0] / 2, 0, center[2] - size[1] / 2),
+            max: new THREE.Vector3(center[0] + size[0] / 2, 0, center[2] + size[1] / 2),
+            surface
         });
+    }
 
-        // Guard towers at corners
-        const towerPositions = [
-            [-22, 0, -27],
-            [22, 0, -27],
-            [-22, 0, 27],
-            [22, 0, 27]
-        ];
+    /**
+     * Place a prefab from the mission
+     */
+    createPrefab(prefab) {
+        const create = LevelPrefabs[prefab.type];
+        if (!create) {
+            console.warn(`Unknown prefab type: ${prefab.type}`);
+            return;
+        }
+
+        create(this, prefab, this.toRadians(prefab.rotation));
+    }
+
+    /**
+     * Create a service gate against the inside of an outer side wall
+     */
+    createGate(position) {
+        const group = new THREE.Group();
+        group.position.set(position[0], position[1], position[2]);
 
-        towerPositions.forEach(pos => {
-            this.createGuardTower(pos);
+        // Steel doors, closed until reinforcements come through
+        const doorGeo = new THREE.BoxGeometry(0.15, 3.2, 4);
+        const door = new THREE.Mesh(doorGeo, this.materials.metal);
+        door.position.y = 1.6;
+        door.castShadow = true;
+        group.add(door);
+
+        // Posts either side
+        const postGeo = new THREE.BoxGeometry(0.4, 4.2, 0.4);
+        [-2.2, 2.2].forEach(z => {
+            const post = new THREE.Mesh(postGeo, this.materials.concrete);
+            post.position.set(0, 2.1, z);
+            post.castShadow = true;
+            group.add(post);
         });
+
+        this.scene.add(group);
+
+        // Reinforcements step in a little way inside the wall
+        const inward = position[0] > 0 ? -1.7 : 1.7;
+        this.alarm.gates.push(new THREE.Vector3(position[0] + inward, 0, position[2]));
     }
 
     /**
@@ -270,36 +410,6 @@ class LevelBuilder {
         });
     }
 
-    /**
-     * Create courtyard area
-     */
-    createCourtyard() {
-        // Fountain in center
-        this.createFountain([0, 0, 10]);
-
-        // Benches
-        this.createBench([-8, 0, 10], 0);
-        this.createBench([8, 0, 10], 0);
-        this.createBench([0, 0, 15], Math.PI / 2);
-
-        // Planters
-        const planterPositions = [
-            [-12, 0, 5],
-            [12, 0, 5],
-            [-12, 0, 15],
-            [12, 0, 15]
-        ];
-        planterPositions.forEach(pos => {
-            this.createPlanter(pos);
-        });
-
-        // Guard spawn points in courtyard
-        this.spawnPoints.guards.push(
-            { pos: new THREE.Vector3(-10, 0, 5), patrol: this.createPatrolRoute('courtyard_left') },
-            { pos: new THREE.Vector3(10, 0, 5), patrol: this.createPatrolRoute('courtyard_right') }
-        );
-    }
-
     /**
      * Create fountain decoration
      */
@@ -410,80 +520,6 @@ class LevelBuilder {
         });
     }
 
-    /**
-     * Create interior rooms
-     */
-    createInteriorRooms() {
-        // Target's office (back room)
-        this.createTargetOffice();
-
-        // Side rooms
-        this.createSideRoom([-10, 0, -15], 'left');
-        this.createSideRoom([10, 0, -15], 'right');
-
-        // Main hall floor
-        const hallFloor = new THREE.Mesh(
-            new THREE.PlaneGeometry(30, 15),
-            this.materials.floor
-        );
-        hallFloor.rotation.x = -Math.PI / 2;
-        hallFloor.position.set(0, 0.02, -12.5);
-        hallFloor.receiveShadow = true;
-        this.scene.add(hallFloor);
-
-        // Guard spawns in interior
-        this.spawnPoints.guards.push(
-            { pos: new THREE.Vector3(-5, 0, -12), patrol: this.createPatrolRoute('interior_left') },
-            { pos: new THREE.Vector3(5, 0, -12), patrol: this.createPatrolRoute('interior_right') }
-        );
-    }
-
-    /**
-     * Create target's office
-     */
-    createTargetOffice() {
-        // Office floor
-        const officeFloor = new THREE.Mesh(
-            new THREE.PlaneGeometry(20, 8),
-            this.materials.wood
-        );
-        officeFloor.rotation.x = -Math.PI / 2;
-        officeFloor.position.set(0, 0.02, -24);
-        officeFloor.receiveShadow = true;
-        this.scene.add(officeFloor);
-
-        // Desk
-        this.createDesk([0, 0, -25]);
-
-        // Chairs
-        this.createChair([-2, 0, -25], Math.PI);
-        this.createChair([0, 0, -22], 0);
-
-        // Bookshelf
-        this.createBookshelf([-8, 0, -27]);
-        this.createBookshelf([8, 0, -27]);
-
-        // Set target spawn
-        this.spawnPoints.target = new THREE.Vector3(0, 0, -25);
-
-        // Office guard
-        this.spawnPoints.guards.push(
-            { pos: new THREE.Vector3(-5, 0, -22), patrol: this.createPatrolRoute('office') }
-        );
-
-        // Mark as restricted zone
-        this.restrictedZones.push({
-            min: new THREE.Vector3(-10, 0, -28),
-            max: new THREE.Vector3(10, 4, -18)
-        });
-
-        // Dark zone (office has less lighting)
-        this.darkZones.push({
-            center: new THREE.Vector3(0, 0, -25),
-            radius: 8
-        });
-    }
-
     /**
      * Create desk
      */
@@ -588,68 +624,106 @@ class LevelBuilder {
     }
 
     /**
-     * Create side room
+     * Create a window set into a north/south wall
      */
-    createSideRoom(position, side) {
-        // Floor
-        const floor = new THREE.Mesh(
-            new THREE.PlaneGeometry(7, 8),
-            this.materials.floor
-        );
-        floor.rotation.x = -Math.PI / 2;
-        floor.position.set(position[0], 0.02, position[2]);
-        floor.receiveShadow = true;
-        this.scene.add(floor);
-
-        // Some crates for cover
-        const crateOffset = side === 'left' ? -2 : 2;
-        this.createCrate([position[0] + crateOffset, 0, position[2] - 2]);
-        this.createCrate([position[0] + crateOffset, 0.8, position[2] - 2]);
-        this.createCrate([position[0] - crateOffset, 0, position[2] + 1]);
+    createWindow(position) {
+        const group = new THREE.Group();
+        group.position.set(position[0], position[1], position[2]);
+
+        const glass = new THREE.Mesh(new THREE.PlaneGeometry(2, 1.2), this.materials.glass);
+        glass.position.z = 0.03;
+        group.add(glass);
+
+        // Frame
+        const frameParts = [
+            { size: [2.2, 0.1, 0.1], pos: [0, 0.65, 0] },
+            { size: [2.2, 0.1, 0.1], pos: [0, -0.65, 0] },
+            { size: [0.1, 1.2, 0.1], pos: [-1.05, 0, 0] },
+            { size: [0.1, 1.2, 0.1], pos: [1.05, 0, 0] },
+            { size: [0.06, 1.2, 0.06], pos: [0, 0, 0] }
+        ];
+        frameParts.forEach(part => {
+            const frame = new THREE.Mesh(
+                new THREE.BoxGeometry(part.size[0], part.size[1], part.size[2]),
+                this.materials.wallDark
+            );
+            frame.position.set(part.pos[0], part.pos[1], part.pos[2]);
+            group.add(frame);
+        });
+
+        this.scene.add(group);
     }
 
     /**
-     * Create cover objects throughout level
+     * Create a wall-mounted phone facing along rotation
      */
-    createCoverObjects() {
-        // Crates in courtyard
-        const cratePositions = [
-            [-15, 0, 20],
-            [-14.2, 0, 20],
-            [-14.6, 0.8, 20],
-            [15, 0, 20],
-            [16, 0, 20],
-            [-18, 0, 0],
-            [18, 0, 0],
-            [-18, 0, 1],
-        ];
+    createWallPhone(position, rotation) {
+        const group = new THREE.Group();
+        group.position.set(position[0], position[1], position[2]);
+        group.rotation.y = rotation;
+
+        const base = new THREE.Mesh(new THREE.BoxGeometry(0.2, 0.3, 0.08), this.materials.wallDark);
+        group.add(base);
+
+        const handset = new THREE.Mesh(new THREE.BoxGeometry(0.06, 0.26, 0.06), this.materials.red);
+        handset.position.set(-0.05, 0, 0.07);
+        group.add(handset);
+
+        this.scene.add(group);
+    }
 
-        cratePositions.forEach(pos => {
-            this.createCrate(pos);
+    /**
+     * Create the security desk that stores camera footage
+     */
+    createRecorder(position) {
+        const group = new THREE.Group();
+        group.position.set(position[0], position[1], position[2]);
+
+        // Desk
+        const deskGeo = new THREE.BoxGeometry(1.6, 0.8, 0.7);
+        const desk = new THREE.Mesh(deskGeo, this.materials.metal);
+        desk.position.y = 0.4;
+        desk.castShadow = true;
+        desk.receiveShadow = true;
+        group.add(desk);
+
+        // Recorder unit with a status light
+        const unitGeo = new THREE.BoxGeometry(0.5, 0.12, 0.35);
+        const unit = new THREE.Mesh(unitGeo, this.materials.wallDark);
+        unit.position.set(0.45, 0.86, 0.1);
+        group.add(unit);
+
+        const screenMaterial = new THREE.MeshBasicMaterial({ color: 0x335577 });
+
+        // Monitors showing the camera feeds
+        [-0.4, 0.1].forEach(x => {
+            const monitorGeo = new THREE.BoxGeometry(0.45, 0.35, 0.06);
+            const monitor = new THREE.Mesh(monitorGeo, this.materials.wallDark);
+            monitor.position.set(x, 1.05, -0.15);
+            group.add(monitor);
+
+            const screenGeo = new THREE.PlaneGeometry(0.4, 0.3);
+            const screen = new THREE.Mesh(screenGeo, screenMaterial);
+            screen.position.set(x, 1.05, -0.115);
+            group.add(screen);
         });
 
-        // Barrels
-        const barrelPositions = [
-            [-20, 0, 15],
-            [-20, 0, 16.5],
-            [20, 0, 10],
-            [19, 0, -5],
-        ];
+        this.scene.add(group);
 
-        barrelPositions.forEach(pos => {
-            this.createBarrel(pos);
+        this.colliders.push({
+            type: 'box',
+            bounds: new THREE.Box3().setFromObject(group)
         });
 
-        // Vehicles (simple boxes)
-        this.createVehicle([18, 0, 20], 0.3);
-        this.createVehicle([-5, 0, 25], -0.2);
+        this.recorders.push({
+            position: new THREE.Vector3(position[0], 1, position[2] + 0.35)
+        });
     }
 
     /**
      * Create a crate
      */
-    createCrate(position) {
-        const size = 0.8 + Math.random() * 0.4;
+    createCrate(position, size = 0.8 + Math.random() * 0.4) {
         const geo = new THREE.BoxGeometry(size, size, size);
         const crate = new THREE.Mesh(geo, this.materials.crate);
         crate.position.set(position[0], position[1] + size/2, position[2]);
@@ -752,25 +826,186 @@ class LevelBuilder {
     }
 
     /**
-     * Create decorative elements
+     * Register a hiding spot. The opening faces the group's local +Z.
      */
-    createDecorations() {
-        // Light poles
-        const polePositions = [
-            [-10, 0, 0],
-            [10, 0, 0],
-            [-10, 0, 20],
-            [10, 0, 20],
-            [0, 0, -5]
-        ];
+    addHidingSpot(type, group, depth, capacity) {
+        const facing = new THREE.Vector3(
+            Math.sin(group.rotation.y),
+            0,
+            Math.cos(group.rotation.y)
+        );
+
+        this.hidingSpots.push({
+            type,
+            position: group.position.clone(),
+            exitPosition: group.position.clone().addScaledVector(facing, depth / 2 + 0.7),
+            capacity,
+            bodies: [],
+            occupied: false
+        });
+    }
+
+    /**
+     * Create a throwable pickup. `name` matches the throwable in WeaponSystem.
+     */
+    createPickup(name, position) {
+        let mesh;
+        if (name === 'Bottle') {
+            const bottleGeo = new THREE.CylinderGeometry(0.03, 0.04, 0.25, 8);
+            mesh = new THREE.Mesh(bottleGeo, this.materials.bottle);
+            mesh.position.set(position[0], position[1] + 0.125, position[2]);
+        } else {
+            const coinGeo = new THREE.CylinderGeometry(0.04, 0.04, 0.01, 8);
+            mesh = new THREE.Mesh(coinGeo, this.materials.accent);
+            mesh.position.set(position[0], position[1] + 0.005, position[2]);
+        }
+        mesh.castShadow = true;
+        this.scene.add(mesh);
+
+        this.pickups.push({
+            name,
+            position: new THREE.Vector3(position[0], position[1], position[2]),
+            mesh,
+            collected: false
+        });
+    }
+
+    /**
+     * Create a mission item lying in the level. `model` picks its look (document by default).
+     */
+    createItem(item) {
+        const models = {
+            document: { size: [0.3, 0.02, 0.4], material: new THREE.MeshStandardMaterial({ color: 0xeeeedd, roughness: 0.9 }) },
+            case: { size: [0.45, 0.32, 0.12], material: this.materials.wallDark },
+            key: { size: [0.06, 0.02, 0.12], material: this.materials.accent },
+            crowbar: { size: [0.05, 0.05, 0.8], material: this.materials.red }
+        };
+        const model = models[item.model] || models.document;
+
+        const mesh = new THREE.Mesh(new THREE.BoxGeometry(...model.size), model.material);
+        mesh.position.set(item.position[0], item.position[1] + model.size[1] / 2, item.position[2]);
+        mesh.castShadow = true;
+        this.scene.add(mesh);
+
+        this.items.push({
+            id: item.id,
+            name: item.name,
+            position: this.toVector(item.position),
+            mesh,
+            collected: false
+        });
+    }
+
+    /**
+     * Create a dumpster
+     */
+    createDumpster(position, rotation) {
+        const group = new THREE.Group();
+        group.position.set(position[0], position[1], position[2]);
+        group.rotation.y = rotation;
+
+        // Bin
+        const binGeo = new THREE.BoxGeometry(2, 1.2, 1.2);
+        const bin = new THREE.Mesh(binGeo, this.materials.dumpster);
+        bin.position.y = 0.6;
+        bin.castShadow = true;
+        bin.receiveShadow = true;
+        group.add(bin);
+
+        // Lid
+        const lidGeo = new THREE.BoxGeometry(2.05, 0.08, 1.25);
+        const lid = new THREE.Mesh(lidGeo, this.materials.metal);
+        lid.position.y = 1.24;
+        lid.rotation.x = -0.1;
+        group.add(lid);
 
-        polePositions.forEach(pos => {
-            this.createLightPole(pos);
+        this.scene.add(group);
+
+        this.colliders.push({
+            type: 'box',
+            bounds: new THREE.Box3().setFromObject(group)
         });
 
-        // Pipes along walls
-        this.createPipe([-24.5, 2, -15], 30, true);
-        this.createPipe([24.5, 2, -15], 30, true);
+        this.coverObjects.push({
+            position: group.position.clone(),
+            radius: 1,
+            height: 1.2
+        });
+
+        this.addHidingSpot('dumpster', group, 1.2, 2);
+    }
+
+    /**
+     * Create a closet
+     */
+    createCloset(position, rotation) {
+        const group = new THREE.Group();
+        group.position.set(position[0], position[1], position[2]);
+        group.rotation.y = rotation;
+
+        // Cabinet
+        const cabinetGeo = new THREE.BoxGeometry(1.2, 2.2, 0.7);
+        const cabinet = new THREE.Mesh(cabinetGeo, this.materials.wood);
+        cabinet.position.y = 1.1;
+        cabinet.castShadow = true;
+        cabinet.receiveShadow = true;
+        group.add(cabinet);
+
+        // Door handles
+        const handleGeo = new THREE.BoxGeometry(0.04, 0.2, 0.04);
+        [-0.08, 0.08].forEach(x => {
+            const handle = new THREE.Mesh(handleGeo, this.materials.accent);
+            handle.position.set(x, 1.1, 0.37);
+            group.add(handle);
+        });
+
+        this.scene.add(group);
+
+        this.colliders.push({
+            type: 'box',
+            bounds: new THREE.Box3().setFromObject(group)
+        });
+
+        this.addHidingSpot('closet', group, 0.7, 1);
+    }
+
+    /**
+     * Create a large crate
+     */
+    createLargeCrate(position, rotation) {
+        const group = new THREE.Group();
+        group.position.set(position[0], position[1], position[2]);
+        group.rotation.y = rotation;
+
+        const boxGeo = new THREE.BoxGeometry(1.8, 1.6, 1.6);
+        const box = new THREE.Mesh(boxGeo, this.materials.crate);
+        box.position.y = 0.8;
+        box.castShadow = true;
+        box.receiveShadow = true;
+        group.add(box);
+
+        // Reinforcement bands
+        const bandGeo = new THREE.BoxGeometry(1.85, 0.1, 1.65);
+        [0.2, 1.4].forEach(y => {
+            const band = new THREE.Mesh(bandGeo, this.materials.metal);
+            band.position.y = y;
+            group.add(band);
+        });
+
+        this.scene.add(group);
+
+        this.colliders.push({
+            type: 'box',
+            bounds: new THREE.Box3().setFromObject(group)
+        });
+
+        this.coverObjects.push({
+            position: group.position.clone(),
+            radius: 0.9,
+            height: 1.6
+        });
+
+        this.addHidingSpot('crate', group, 1.6, 2);
     }
 
     /**
@@ -818,173 +1053,343 @@ class LevelBuilder {
     /**
      * Create all lighting for the level
      */
-    createLighting() {
-        // Ambient light
-        const ambient = new THREE.AmbientLight(0x404050, 0.4);
-        this.scene.add(ambient);
-
-        // Main directional light (moon)
-        const directional = new THREE.DirectionalLight(0x8888aa, 0.6);
-        directional.position.set(-20, 30, 10);
-        directional.castShadow = true;
-        directional.shadow.mapSize.width = 2048;
-        directional.shadow.mapSize.height = 2048;
-        directional.shadow.camera.near = 0.5;
-        directional.shadow.camera.far = 100;
-        directional.shadow.camera.left = -40;
-        directional.shadow.camera.right = 40;
-        directional.shadow.camera.top = 40;
-        directional.shadow.camera.bottom = -40;
-        directional.shadow.bias = -0.001;
-        this.scene.add(directional);
-
-        // Spotlight at entrance
-        const entranceSpot = new THREE.SpotLight(0xffeecc, 1, 15, Math.PI / 6, 0.5);
-        entranceSpot.position.set(0, 6, -5);
-        entranceSpot.target.position.set(0, 0, 0);
-        entranceSpot.castShadow = true;
-        entranceSpot.shadow.mapSize.width = 512;
-        entranceSpot.shadow.mapSize.height = 512;
-        this.scene.add(entranceSpot);
-        this.scene.add(entranceSpot.target);
-
-        // Courtyard lights
-        const courtyardLight1 = new THREE.PointLight(0xffddaa, 0.8, 15);
-        courtyardLight1.position.set(-10, 4, 0);
-        courtyardLight1.castShadow = true;
-        this.scene.add(courtyardLight1);
-
-        const courtyardLight2 = new THREE.PointLight(0xffddaa, 0.8, 15);
-        courtyardLight2.position.set(10, 4, 0);
-        courtyardLight2.castShadow = true;
-        this.scene.add(courtyardLight2);
-
-        // Interior lights
-        const interiorLight = new THREE.PointLight(0xffffee, 0.6, 20);
-        interiorLight.position.set(0, 3, -12);
-        this.scene.add(interiorLight);
-
-        // Office light (dimmer)
-        const officeLight = new THREE.PointLight(0xffeedd, 0.4, 15);
-        officeLight.position.set(0, 3, -25);
-        this.scene.add(officeLight);
-
-        // Red accent lights in corners
-        const redLight1 = new THREE.PointLight(0xff0000, 0.3, 10);
-        redLight1.position.set(-22, 2, -27);
-        this.scene.add(redLight1);
-
-        const redLight2 = new THREE.PointLight(0xff0000, 0.3, 10);
-        redLight2.position.set(22, 2, -27);
-        this.scene.add(redLight2);
+    createLighting(lights, fog) {
+        lights.forEach(light => this.createLight(light));
 
         // Fog for atmosphere
-        this.scene.fog = new THREE.Fog(0x0a0a15, 20, 60);
+        if (fog) {
+            this.scene.fog = new THREE.Fog(fog.color, fog.near, fog.far);
+        }
+    }
+
+    /**
+     * Create a mission light
+     */
+    createLight(def) {
+        let light;
+
+        switch (def.type) {
+            case 'ambient':
+                light = new THREE.AmbientLight(def.color, def.intensity);
+                break;
+
+            case 'directional':
+                light = new THREE.DirectionalLight(def.color, def.intensity);
+                if (def.castShadow) {
+                    light.castShadow = true;
+                    light.shadow.mapSize.width = 2048;
+                    light.shadow.mapSize.height = 2048;
+                    light.shadow.camera.near = 0.5;
+                    light.shadow.camera.far = 100;
+                    light.shadow.camera.left = -40;
+                    light.shadow.camera.right = 40;
+                    light.shadow.camera.top = 40;
+                    light.shadow.camera.bottom = -40;
+                    light.shadow.bias = -0.001;
+                }
+                break;
+
+            case 'spot':
+                light = new THREE.SpotLight(def.color, def.intensity, def.distance,
+                    this.toRadians(def.angle), def.penumbra);
+                light.target.position.fromArray(def.target);
+                this.scene.add(light.target);
+                if (def.castShadow) {
+                    light.castShadow = true;
+                    light.shadow.mapSize.width = 512;
+                    light.shadow.mapSize.height = 512;
+                }
+                break;
+
+            case 'point':
+                light = new THREE.PointLight(def.color, def.intensity, def.distance);
+                light.castShadow = !!def.castShadow;
+                break;
+
+            case 'alarm':
+                // Alarm beacons: dark until the alarm sounds
+                this.createAlarmLight(def.position);
+                return;
+
+            default:
+                console.warn(`Unknown light type: ${def.type}`);
+                return;
+        }
+
+        if (def.position) {
+            light.position.fromArray(def.position);
+        }
+        this.scene.add(light);
+
+        if (def.switch) {
+            this.createLightSwitch(def.switch.position, light, {
+                center: this.toVector(def.switch.darkZone.center),
+                radius: def.switch.darkZone.radius
+            });
+        }
+    }
+
+    /**
+     * Create a red alarm beacon with a light that AlarmSystem flashes
+     */
+    createAlarmLight(position) {
+        const beaconMat = new THREE.MeshStandardMaterial({
+            color: 0x660000,
+            emissive: 0xff0000,
+            emissiveIntensity: 0.1
+        });
+        const beaconGeo = new THREE.CylinderGeometry(0.15, 0.18, 0.3, 10);
+        const beacon = new THREE.Mesh(beaconGeo, beaconMat);
+        beacon.position.set(position[0], position[1], position[2]);
+        this.scene.add(beacon);
+
+        const light = new THREE.PointLight(0xff0000, 0, 18);
+        light.position.set(position[0], position[1] - 0.3, position[2]);
+        this.scene.add(light);
+
+        this.alarm.lights.push({ light, beacon, intensity: 1.5 });
     }
 
     /**
-     * Create escape zone
+     * Create a wall switch that turns a light off, leaving a dark zone behind
      */
-    createEscapeZone() {
-        // Escape zone at the south end
-        const escapeGeo = new THREE.PlaneGeometry(10, 5);
-        const escapeMat = new THREE.MeshBasicMaterial({
+    createLightSwitch(position, light, darkZone) {
+        const plateGeo = new THREE.BoxGeometry(0.05, 0.2, 0.12);
+        const plate = new THREE.Mesh(plateGeo, this.materials.accent);
+        plate.position.set(position[0], position[1], position[2]);
+        this.scene.add(plate);
+
+        this.interactables.push({
+            position: plate.position.clone(),
+            getPrompt: () => light.visible ? 'Turn off lights' : 'Turn on lights',
+            onInteract: () => {
+                light.visible = !light.visible;
+
+                const index = this.darkZones.indexOf(darkZone);
+                if (!light.visible && index === -1) {
+                    this.darkZones.push(darkZone);
+                } else if (light.visible && index !== -1) {
+                    this.darkZones.splice(index, 1);
+                }
+            }
+        });
+    }
+
+    /**
+     * Create an extraction point: a marked zone, with posts, a hatch cover or a boat to match
+     */
+    createExit(exit) {
+        const min = this.toVector(exit.zone.min);
+        const max = this.toVector(exit.zone.max);
+        const center = new THREE.Vector3((min.x + max.x) / 2, 0, (min.z + max.z) / 2);
+        const type = exit.type || ExitType.GATE;
+
+        const exitGeo = new THREE.PlaneGeometry(max.x - min.x, max.z - min.z);
+        const exitMat = new THREE.MeshBasicMaterial({
             color: 0x00ff00,
             transparent: true,
             opacity: 0.1,
             side: THREE.DoubleSide
         });
-        const escapePlane = new THREE.Mesh(escapeGeo, escapeMat);
-        escapePlane.rotation.x = -Math.PI / 2;
-        escapePlane.position.set(0, 0.1, 27);
-        this.scene.add(escapePlane);
-
-        // Visual marker
-        const markerGeo = new THREE.BoxGeometry(0.3, 2, 0.3);
-        const markerMat = new THREE.MeshStandardMaterial({ 
-            color: 0x00ff00,
-            emissive: 0x00ff00,
-            emissiveIntensity: 0.5
+        const exitPlane = new THREE.Mesh(exitGeo, exitMat);
+        exitPlane.rotation.x = -Math.PI / 2;
+        exitPlane.position.set(center.x, 0.1, center.z);
+        this.scene.add(exitPlane);
+
+        switch (type) {
+            case ExitType.GATE: {
+                // Visual marker
+                const markerGeo = new THREE.BoxGeometry(0.3, 2, 0.3);
+                const markerMat = new THREE.MeshStandardMaterial({
+                    color: 0x00ff00,
+                    emissive: 0x00ff00,
+                    emissiveIntensity: 0.5
+                });
+
+                const marker1 = new THREE.Mesh(markerGeo, markerMat);
+                marker1.position.set(min.x, 1, center.z);
+                this.scene.add(marker1);
+
+                const marker2 = new THREE.Mesh(markerGeo, markerMat);
+                marker2.position.set(max.x, 1, center.z);
+                this.scene.add(marker2);
+                break;
+            }
+            case ExitType.HATCH: {
+                const coverGeo = new THREE.CylinderGeometry(0.5, 0.5, 0.05, 16);
+                const cover = new THREE.Mesh(coverGeo, this.materials.metal);
+                cover.position.set(center.x, 0.03, center.z);
+                cover.receiveShadow = true;
+                this.scene.add(cover);
+                break;
+            }
+            case ExitType.BOAT:
+                this.createBoat(exit.position || [center.x, 0, center.z], this.toRadians(exit.rotation || 0));
+                break;
+        }
+
+        this.exits.push({
+            id: exit.id || `exit_${this.exits.length}`,
+            name: exit.name || 'Exit',
+            type,
+            min,
+            max,
+            requires: exit.requires || {},
+            available: true
         });
-        
-        const marker1 = new THREE.Mesh(markerGeo, markerMat);
-        marker1.position.set(-5, 1, 27);
-        this.scene.add(marker1);
+    }
+
+    /**
+     * Create a small boat moored in the water (not a collider: it sits beyond the quay)
+     */
+    createBoat(position, rotation = 0) {
+        const group = new THREE.Group();
+        group.position.set(position[0], position[1], position[2]);
+        group.rotation.y = rotation;
 
-        const marker2 = new THREE.Mesh(markerGeo, markerMat);
-        marker2.position.set(5, 1, 27);
-        this.scene.add(marker2);
+        const hullGeo = new THREE.BoxGeometry(2, 0.8, 5);
+        const hull = new THREE.Mesh(hullGeo, this.materials.wall);
+        hull.position.y = 0.1;
+        hull.castShadow = true;
+        group.add(hull);
+
+        const cabinGeo = new THREE.BoxGeometry(1.4, 0.7, 1.5);
+        const cabin = new THREE.Mesh(cabinGeo, this.materials.glass);
+        cabin.position.set(0, 0.85, -0.5);
+        group.add(cabin);
 
-        this.escapeZone = {
-            min: new THREE.Vector3(-5, 0, 24),
-            max: new THREE.Vector3(5, 3, 30)
+        const motorGeo = new THREE.BoxGeometry(0.4, 0.6, 0.4);
+        const motor = new THREE.Mesh(motorGeo, this.materials.metal);
+        motor.position.set(0, 0.5, 2.6);
+        group.add(motor);
+
+        this.scene.add(group);
+    }
+
+    /**
+     * Set the walkable area the player, enemies and navigation grid are kept inside
+     */
+    createBounds(bounds) {
+        this.bounds = {
+            min: this.toVector(bounds.min),
+            max: this.toVector(bounds.max)
         };
     }
 
     /**
-     * Create restricted zones
+     * Create the mission's restricted, light and dark zones
      */
-    createRestrictedZones() {
-        // Office already added
-        
-        // Side rooms
-        this.restrictedZones.push({
-            min: new THREE.Vector3(-15, 0, -20),
-            max: new THREE.Vector3(-5, 4, -10)
-        });
+    createZones(zones) {
+        for (const zone of zones.restricted || []) {
+            this.restrictedZones.push({
+                id: zone.id,
+                min: this.toVector(zone.min),
+                max: this.toVector(zone.max)
+            });
+        }
 
-        this.restrictedZones.push({
-            min: new THREE.Vector3(5, 0, -20),
-            max: new THREE.Vector3(15, 4, -10)
-        });
+        for (const zone of zones.light || []) {
+            this.lightZones.push({ center: this.toVector(zone.center), radius: zone.radius });
+        }
+        for (const zone of zones.dark || []) {
+            this.darkZones.push({ center: this.toVector(zone.center), radius: zone.radius });
+        }
+    }
+
+    /**
+     * Create spawn points for the player, target, guards, civilians and cameras
+     */
+    createSpawnPoints(spawns) {
+        this.spawnPoints.player = this.toVector(spawns.player);
+
+        this.spawnPoints.target = {
+            pos: this.toVector(spawns.target.position),
+            patrol: this.createPatrolRoute(spawns.target.route)
+        };
+
+        this.spawnPoints.guards = spawns.guards.map(guard => ({
+            pos: this.toVector(guard.position),
+            id: guard.id,
+            patrol: this.createPatrolRoute(guard.route),
+            outfit: guard.outfit,
+            enforcer: !!guard.enforcer
+        }));
+
+        this.spawnPoints.civilians = spawns.civilians.map(civilian => ({
+            pos: this.toVector(civilian.position),
+            role: civilian.role,
+            route: this.createPatrolRoute(civilian.route)
+        }));
+
+        this.spawnPoints.cameras = spawns.cameras.map(camera => ({
+            pos: this.toVector(camera.position),
+            rotation: this.toRadians(camera.rotation),
+            // Left undefined when the mission omits it so the camera keeps its default arc
+            sweepAngle: camera.sweepAngle !== undefined ? this.toRadians(camera.sweepAngle) : undefined
+        }));
+    }
+
+    /**
+     * Create a patrol route from the mission's named routes (a fresh copy each time)
+     */
+    createPatrolRoute(name) {
+        return (this.routes[name] || []).map(point => this.toVector(point));
+    }
+
+    /**
+     * Define the alarm response: lockdown posts, the target's safe room and reinforcement waves.
+     * Gates come from the mission's gate prefabs, in order. Anything the mission leaves out
+     * keeps the default set in the constructor.
+     */
+    createAlarmPlan(alarm) {
+        alarm = { ...this.alarm, ...alarm };
+
+        this.alarm.posts = alarm.posts.map(post => this.toPlacement(post));
+
+        this.alarm.safeRoom = alarm.safeRoom ? {
+            ...this.toPlacement(alarm.safeRoom),
+            door: alarm.safeRoom.door ? this.toPlacement(alarm.safeRoom.door) : null
+        } : null;
+
+        this.alarm.waves = alarm.waves.map(wave => ({
+            delay: wave.delay,
+            guards: wave.guards.map(guard => {
+                const patrol = this.createPatrolRoute(guard.route);
+                return { gate: guard.gate, patrol: guard.reverse ? patrol.reverse() : patrol };
+            })
+        }));
+
+        this.alarm.resetTime = alarm.resetTime;
     }
 
     /**
-     * Create patrol route
+     * Define the target's getaway: where they board and where the bodyguards cover them.
+     * Without a boarding point there is no getaway and evacuation stays null.
      */
-    createPatrolRoute(type) {
-        const routes = {
-            'courtyard_left': [
-                new THREE.Vector3(-10, 0, 5),
-                new THREE.Vector3(-10, 0, 15),
-                new THREE.Vector3(-15, 0, 15),
-                new THREE.Vector3(-15, 0, 5),
-            ],
-            'courtyard_right': [
-                new THREE.Vector3(10, 0, 5),
-                new THREE.Vector3(10, 0, 15),
-                new THREE.Vector3(15, 0, 15),
-                new THREE.Vector3(15, 0, 5),
-            ],
-            'interior_left': [
-                new THREE.Vector3(-5, 0, -12),
-                new THREE.Vector3(-5, 0, -8),
-                new THREE.Vector3(-10, 0, -8),
-                new THREE.Vector3(-10, 0, -15),
-                new THREE.Vector3(-5, 0, -15),
-            ],
-            'interior_right': [
-                new THREE.Vector3(5, 0, -12),
-                new THREE.Vector3(5, 0, -8),
-                new THREE.Vector3(10, 0, -8),
-                new THREE.Vector3(10, 0, -15),
-                new THREE.Vector3(5, 0, -15),
-            ],
-            'office': [
-                new THREE.Vector3(-5, 0, -22),
-                new THREE.Vector3(-5, 0, -26),
-                new THREE.Vector3(5, 0, -26),
-                new THREE.Vector3(5, 0, -22),
-            ],
-            'perimeter': [
-                new THREE.Vector3(-20, 0, 25),
-                new THREE.Vector3(-20, 0, -25),
-                new THREE.Vector3(20, 0, -25),
-                new THREE.Vector3(20, 0, 25),
-            ]
+    createEvacuation(evacuation) {
+        if (!evacuation || !evacuation.boarding) return;
+
+        this.evacuation = {
+            boarding: this.toPlacement(evacuation.boarding),
+            guardPosts: (evacuation.guardPosts || []).map(post => this.toPlacement(post)),
+            boardTime: evacuation.boardTime || 3
         };
+    }
+
+    /**
+     * Define the target's routine: timed activities visited in order, looping.
+     * Lures are phones the player can ring to pull the target off schedule.
+     */
+    createTargetSchedule(schedule) {
+        schedule = { ...this.targetSchedule, ...schedule };
+
+        this.targetSchedule.steps = schedule.steps.map(step => ({ ...step, ...this.toPlacement(step) }));
 
-        return routes[type] || routes['courtyard_left'];
+        this.targetSchedule.lures = schedule.lures.map(lure => ({
+            prompt: lure.prompt,
+            position: this.toVector(lure.position),
+            step: { ...lure.step, ...this.toPlacement(lure.step) }
+        }));
     }
 
     /**
@@ -1014,28 +1419,118 @@ class LevelBuilder {
     }
 
     /**
-     * Check if point is in restricted zone
+     * Get the restricted zone containing a point (null if none)
      */
-    isInRestrictedZone(position) {
+    getRestrictedZone(position) {
         for (const zone of this.restrictedZones) {
             if (position.x >= zone.min.x && position.x <= zone.max.x &&
                 position.y >= zone.min.y && position.y <= zone.max.y &&
                 position.z >= zone.min.z && position.z <= zone.max.z) {
-                return true;
+                return zone;
             }
         }
-        return false;
+        return null;
     }
 
     /**
-     * Check if point is in escape zone
+     * Check if point is in restricted zone
      */
-    isInEscapeZone(position) {
-        if (!this.escapeZone) return false;
-        return (
-            position.x >= this.escapeZone.min.x && position.x <= this.escapeZone.max.x &&
-            position.z >= this.escapeZone.min.z && position.z <= this.escapeZone.max.z
-        );
+    isInRestrictedZone(position) {
+        return this.getRestrictedZone(position) !== null;
+    }
+
+    /**
+     * Get the nearest hiding spot whose opening is within range
+     */
+    getNearestHidingSpot(position, range, exclude = []) {
+        let nearest = null;
+        let nearestDist = range;
+
+        for (const spot of this.hidingSpots) {
+            if (exclude.includes(spot)) continue;
+
+            const dist = position.distanceTo(spot.exitPosition);
+            if (dist < nearestDist) {
+                nearest = spot;
+                nearestDist = dist;
+            }
+        }
+        return nearest;
+    }
+
+    /**
+     * Get the places worth checking when searching around a position: container openings,
+     * the far side of cover objects and round the ends of walls. Each point has a key that
+     * stays the same between calls, so searchers can share them out.
+     */
+    getSearchPoints(position, radius) {
+        const points = [];
+        const origin = new THREE.Vector3(position.x, 0, position.z);
+
+        const add = (point, key, hidingSpot = null) => {
+            if (point.distanceTo(origin) > radius) return;
+            if (points.some(other => other.position.distanceTo(point) < 1.2)) return;
+            points.push({ position: point, key, hidingSpot });
+        };
+
+        for (const spot of this.hidingSpots) {
+            add(new THREE.Vector3(spot.exitPosition.x, 0, spot.exitPosition.z), spot, spot);
+        }
+
+        // Behind cover, as seen from the search origin
+        for (const cover of this.coverObjects) {
+            const center = new THREE.Vector3(cover.position.x, 0, cover.position.z);
+            if (center.distanceTo(origin) < cover.radius) continue;
+
+            const away = center.clone().sub(origin).normalize();
+            add(center.addScaledVector(away, cover.radius + 0.7), cover);
+        }
+
+        // Just round each end of every wall
+        for (const collider of this.colliders) {
+            if (collider.type !== 'wall') continue;
+
+            const { min, max } = collider.bounds;
+            for (const x of [min.x - 0.7, max.x + 0.7]) {
+                for (const z of [min.z - 0.7, max.z + 0.7]) {
+                    add(new THREE.Vector3(x, 0, z), `${x.toFixed(1)},${z.toFixed(1)}`);
+                }
+            }
+        }
+
+        return points;
+    }
+
+    /**
+     * Get the exit whose zone contains a point (null if none)
+     */
+    getExitAt(position) {
+        return this.exits.find(exit =>
+            position.x >= exit.min.x && position.x <= exit.max.x &&
+            position.z >= exit.min.z && position.z <= exit.max.z
+        ) || null;
+    }
+
+    /**
+     * Get floor surface type at position
+     */
+    getSurfaceType(position) {
+        // Later zones are laid on top of earlier ones (e.g. office over hall)
+        for (let i = this.surfaceZones.length - 1; i >= 0; i--) {
+            const zone = this.surfaceZones[i];
+            if (position.x >= zone.min.x && position.x <= zone.max.x &&
+                position.z >= zone.min.z && position.z <= zone.max.z) {
+                return zone.surface;
+            }
+        }
+        return 'grass';
+    }
+
+    /**
+     * Get footstep noise modifier for position
+     */
+    getSurfaceNoiseModifier(position) {
+        return this.surfaceNoise[this.getSurfaceType(position)] || 1.0;
     }
 
     /**
@@ -1053,4 +1548,6 @@ class LevelBuilder {
 }
 
 // Export for use
+window.ExitType = ExitType;
+window.LevelPrefabs = LevelPrefabs;
 window.LevelBuilder = LevelBuilder;
@@ -0,0 +1,972 @@
+/**
+ * LevelEditor.js
+ * In-browser mission editor: a top-down view of the level built by LevelBuilder, with tools to
+ * place prefabs, walls, zones, routes, spawns and exits, and JSON import / export of the mission
+ */
+
+// Editing tools (one active at a time)
+const EditorTool = {
+    SELECT: 'SELECT',   // Pick and drag things; Q / E rotate, DEL removes
+    PREFAB: 'PREFAB',   // Place the chosen prefab
+    WALL: 'WALL',       // Drag out a wall segment along X or Z
+    ZONE: 'ZONE',       // Drag out a restricted box, or a light / dark circle from its center
+    ROUTE: 'ROUTE',     // Click waypoints onto the chosen route
+    SPAWN: 'SPAWN',     // Place the player, target, a guard, a civilian or a camera
+    EXIT: 'EXIT'        // Drag out an exit zone of the chosen type and requirements
+};
+
+class LevelEditor {
+    /**
+     * @param {Function} onExit - called when the editor's exit button is pressed
+     * @param {Function} onPlay - called with the mission being edited to play it
+     * @param {Function} onImport - called with an imported mission; returns the id it is listed under
+     */
+    constructor(renderer, onExit, onPlay, onImport) {
+        this.renderer = renderer;
+        this.onExit = onExit;
+        this.onPlay = onPlay;
+        this.onImport = onImport;
+
+        this.scene = new THREE.Scene();
+        this.scene.background = new THREE.Color(0x0a0a15);
+
+        // Top-down view with north (-Z) at the top of the screen
+        this.camera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0.1, 300);
+        this.camera.up.set(0, 0, -1);
+
+        // Editor parameters
+        this.gridSize = 0.5;       // Placement snap
+        this.rotationStep = 15;    // Degrees per Q / E press
+        this.panSpeed = 30;        // Units per second with WASD / arrows
+        this.pickRadius = 1.5;     // How close a click must be to pick something
+        this.minViewSize = 10;
+        this.maxViewSize = 150;
+        this.wallHeight = 4;
+        this.wallThickness = 0.5;
+
+        // Fields for new prefabs that need more than a position
+        this.prefabDefaults = {
+            window: { height: 1.8 },
+            wallPhone: { height: 1.4 },
+            pipe: { height: 2, length: 4, vertical: true }
+        };
+
+        // State
+        this.isActive = false;
+        this.levelDef = null;
+        this.tool = EditorTool.SELECT;
+        this.selection = null;      // Item from getItems()
+        this.dragOffset = null;     // Selection position minus the grab point
+        this.dragStart = null;      // Ground point where a wall or zone drag began
+        this.panStart = null;       // Screen point where a right-drag pan began
+        this.viewCenter = new THREE.Vector3(0, 0, 0);
+        this.viewSize = 70;         // World units shown top to bottom
+        this.keys = {};
+        this.overlay = null;        // Zone, route and spawn markers
+        this.preview = null;        // Wall or zone being dragged out
+
+        this.raycaster = new THREE.Raycaster();
+        this.groundPlane = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
+
+        // Bind methods
+        this.onMouseDown = this.onMouseDown.bind(this);
+        this.onMouseMove = this.onMouseMove.bind(this);
+        this.onMouseUp = this.onMouseUp.bind(this);
+        this.onWheel = this.onWheel.bind(this);
+        this.onKeyDown = this.onKeyDown.bind(this);
+        this.onKeyUp = this.onKeyUp.bind(this);
+        this.onContextMenu = event => event.preventDefault();
+
+        this.setupPanel();
+    }
+
+    /**
+     * Cache the editor panel and wire up its controls
+     */
+    setupPanel() {
+        this.elements = {
+            panel: document.getElementById('editor-panel'),
+            tools: document.querySelectorAll('.editor-tool'),
+            prefab: document.getElementById('editor-prefab'),
+            zone: document.getElementById('editor-zone'),
+            route: document.getElementById('editor-route'),
+            routes: document.getElementById('editor-routes'),
+            spawn: document.getElementById('editor-spawn'),
+            exitType: document.getElementById('editor-exit-type'),
+            exitItem: document.getElementById('editor-exit-item'),
+            exitCombat: document.getElementById('editor-exit-combat'),
+            items: document.getElementById('editor-items'),
+            status: document.getElementById('editor-status'),
+            file: document.getElementById('editor-file')
+        };
+
+        for (const type of Object.keys(LevelPrefabs)) {
+            const option = document.createElement('option');
+            option.value = type;
+            option.textContent = type;
+            this.elements.prefab.appendChild(option);
+        }
+
+        this.elements.tools.forEach(button => {
+            button.addEventListener('click', () => this.setTool(button.dataset.tool));
+        });
+        this.elements.route.addEventListener('change', () => this.rebuildOverlay());
+        for (const field of [this.elements.exitType, this.elements.exitItem, this.elements.exitCombat]) {
+            field.addEventListener('change', () => this.applyExitFields());
+        }
+
+        const bind = (id, handler) => {
+            const el = document.getElementById(id);
+            if (el) el.addEventListener('click', handler);
+        };
+        bind('editor-export', () => this.exportMission());
+        bind('editor-import', () => this.elements.file.click());
+        bind('editor-play', () => this.onPlay(this.levelDef));
+        bind('editor-exit', () => this.onExit());
+
+        this.elements.file.addEventListener('change', () => {
+            if (this.elements.file.files.length > 0) {
+                this.importMission(this.elements.file.files[0]);
+            }
+            this.elements.file.value = '';
+        });
+    }
+
+    /**
+     * Start editing a mission definition (a copy is edited)
+     */
+    open(levelDef) {
+        this.isActive = true;
+        this.levelDef = LevelEditor.withExits(JSON.parse(JSON.stringify(levelDef)));
+        this.selection = null;
+        this.keys = {};
+
+        const canvas = this.renderer.domElement;
+        canvas.addEventListener('mousedown', this.onMouseDown);
+        canvas.addEventListener('wheel', this.onWheel);
+        canvas.addEventListener('contextmenu', this.onContextMenu);
+        document.addEventListener('mousemove', this.onMouseMove);
+        document.addEventListener('mouseup', this.onMouseUp);
+        document.addEventListener('keydown', this.onKeyDown);
+        document.addEventListener('keyup', this.onKeyUp);
+
+        this.elements.panel.classList.add('visible');
+        document.body.style.cursor = 'crosshair';
+
+        this.setTool(EditorTool.SELECT);
+        this.rebuild();
+    }
+
+    /**
+     * Stop editing and free the editor scene
+     */
+    close() {
+        this.isActive = false;
+
+        const canvas = this.renderer.domElement;
+        canvas.removeEventListener('mousedown', this.onMouseDown);
+        canvas.removeEventListener('wheel', this.onWheel);
+        canvas.removeEventListener('contextmenu', this.onContextMenu);
+        document.removeEventListener('mousemove', this.onMouseMove);
+        document.removeEventListener('mouseup', this.onMouseUp);
+        document.removeEventListener('keydown', this.onKeyDown);
+        document.removeEventListener('keyup', this.onKeyUp);
+
+        this.elements.panel.classList.remove('visible');
+        document.body.style.cursor = 'default';
+
+        this.clearScene();
+    }
+
+    /**
+     * Switch tool, dropping any half-finished drag
+     */
+    setTool(tool) {
+        this.tool = tool;
+        this.dragStart = null;
+        this.dragOffset = null;
+        this.elements.tools.forEach(button => {
+            button.classList.toggle('active', button.dataset.tool === tool);
+        });
+        this.rebuildOverlay();
+    }
+
+    /**
+     * Build the level from the definition being edited, plus the editor overlay
+     */
+    rebuild() {
+        this.clearScene();
+
+        this.levelBuilder = new LevelBuilder(this.scene);
+        this.levelBuilder.build(this.levelDef);
+
+        // Night fog would hide most of the map from above; lift the shadows a little too
+        this.scene.fog = null;
+        this.scene.add(new THREE.AmbientLight(0xffffff, 0.5));
+
+        this.refreshRouteList();
+        this.refreshItemList();
+        this.rebuildOverlay();
+    }
+
+    /**
+     * Remove and dispose everything in the editor scene
+     */
+    clearScene() {
+        this.scene.traverse(obj => {
+            if (obj.geometry) obj.geometry.dispose();
+            if (obj.material) {
+                const materials = Array.isArray(obj.material) ? obj.material : [obj.material];
+                materials.forEach(material => material.dispose());
+            }
+            if (obj.shadow && obj.shadow.map) obj.shadow.map.dispose();
+        });
+
+        while (this.scene.children.length > 0) {
+            this.scene.remove(this.scene.children[0]);
+        }
+        this.overlay = null;
+        this.preview = null;
+    }
+
+    /**
+     * Offer the mission's route names in the route field
+     */
+    refreshRouteList() {
+        this.elements.routes.innerHTML = '';
+        for (const name of Object.keys(this.levelDef.routes)) {
+            const option = document.createElement('option');
+            option.value = name;
+            this.elements.routes.appendChild(option);
+        }
+    }
+
+    /**
+     * Offer the mission's item ids in the exit requirement field
+     */
+    refreshItemList() {
+        this.elements.items.innerHTML = '';
+        for (const item of this.levelDef.items || []) {
+            const option = document.createElement('option');
+            option.value = item.id;
+            this.elements.items.appendChild(option);
+        }
+    }
+
+    /**
+     * Update the camera and pan with the keyboard
+     */
+    update(deltaTime) {
+        const pan = this.panSpeed * deltaTime * this.viewSize / 70;
+        if (this.keys.KeyW || this.keys.ArrowUp) this.viewCenter.z -= pan;
+        if (this.keys.KeyS || this.keys.ArrowDown) this.viewCenter.z += pan;
+        if (this.keys.KeyA || this.keys.ArrowLeft) this.viewCenter.x -= pan;
+        if (this.keys.KeyD || this.keys.ArrowRight) this.viewCenter.x += pan;
+
+        const size = this.renderer.getSize(new THREE.Vector2());
+        const aspect = size.y > 0 ? size.x / size.y : 1;
+        this.camera.top = this.viewSize / 2;
+        this.camera.bottom = -this.viewSize / 2;
+        this.camera.left = -this.viewSize / 2 * aspect;
+        this.camera.right = this.viewSize / 2 * aspect;
+        this.camera.updateProjectionMatrix();
+
+        this.camera.position.set(this.viewCenter.x, 100, this.viewCenter.z);
+        this.camera.lookAt(this.viewCenter.x, 0, this.viewCenter.z);
+    }
+
+    /**
+     * Get the snapped ground point under the mouse (null if off the ground plane)
+     */
+    getGroundPoint(event) {
+        const rect = this.renderer.domElement.getBoundingClientRect();
+        const mouse = new THREE.Vector2(
+            ((event.clientX - rect.left) / rect.width) * 2 - 1,
+            -((event.clientY - rect.top) / rect.height) * 2 + 1
+        );
+
+        this.raycaster.setFromCamera(mouse, this.camera);
+        const point = this.raycaster.ray.intersectPlane(this.groundPlane, new THREE.Vector3());
+        return point ? this.snap(point) : null;
+    }
+
+    /**
+     * Snap a ground point to the placement grid
+     */
+    snap(point) {
+        point.x = Math.round(point.x / this.gridSize) * this.gridSize;
+        point.z = Math.round(point.z / this.gridSize) * this.gridSize;
+        point.y = 0;
+        return point;
+    }
+
+    /**
+     * Mouse pressed on the view: use the current tool (left) or start panning (right)
+     */
+    onMouseDown(event) {
+        if (event.button === 2) {
+            this.panStart = { x: event.clientX, y: event.clientY, center: this.viewCenter.clone() };
+            return;
+        }
+        if (event.button !== 0) return;
+
+        const point = this.getGroundPoint(event);
+        if (!point) return;
+
+        switch (this.tool) {
+            case EditorTool.SELECT:
+                this.select(this.pick(point));
+                if (this.selection) {
+                    this.dragOffset = this.getItemPosition(this.selection).sub(point);
+                }
+                break;
+            case EditorTool.PREFAB:
+                this.placePrefab(point);
+                break;
+            case EditorTool.WALL:
+            case EditorTool.ZONE:
+            case EditorTool.EXIT:
+                this.dragStart = point;
+                break;
+            case EditorTool.ROUTE:
+                this.addWaypoint(point);
+                break;
+            case EditorTool.SPAWN:
+                this.placeSpawn(point);
+                break;
+        }
+    }
+
+    /**
+     * Mouse moved: pan, drag the selection or stretch the wall / zone being drawn
+     */
+    onMouseMove(event) {
+        if (this.panStart) {
+            const scale = this.viewSize / this.renderer.domElement.clientHeight;
+            this.viewCenter.x = this.panStart.center.x - (event.clientX - this.panStart.x) * scale;
+            this.viewCenter.z = this.panStart.center.z - (event.clientY - this.panStart.y) * scale;
+            return;
+        }
+
+        if (this.dragOffset && this.selection) {
+            const point = this.getGroundPoint(event);
+            if (!point) return;
+
+            this.moveItem(this.selection, this.snap(point.add(this.dragOffset)));
+            this.rebuildOverlay();
+            return;
+        }
+
+        if (this.dragStart) {
+            const point = this.getGroundPoint(event);
+            if (point) this.showPreview(this.dragStart, point);
+        }
+    }
+
+    /**
+     * Mouse released: finish a pan, drag, wall, zone or exit
+     */
+    onMouseUp(event) {
+        if (this.panStart) {
+            this.panStart = null;
+            return;
+        }
+
+        // The level only follows a dragged item once it is dropped
+        if (this.dragOffset) {
+            this.dragOffset = null;
+            this.rebuild();
+            return;
+        }
+
+        if (this.dragStart) {
+            const point = this.getGroundPoint(event) || this.dragStart;
+            if (this.tool === EditorTool.WALL) {
+                this.addWall(this.dragStart, point);
+            } else if (this.tool === EditorTool.EXIT) {
+                this.addExit(this.dragStart, point);
+            } else {
+                this.addZone(this.dragStart, point);
+            }
+            this.dragStart = null;
+        }
+    }
+
+    /**
+     * Zoom in and out with the wheel
+     */
+    onWheel(event) {
+        event.preventDefault();
+        this.viewSize *= event.deltaY > 0 ? 1.1 : 1 / 1.1;
+        this.viewSize = Math.max(this.minViewSize, Math.min(this.maxViewSize, this.viewSize));
+    }
+
+    /**
+     * Editor keys: WASD / arrows pan, Q / E rotate, DEL removes, ESC deselects
+     */
+    onKeyDown(event) {
+        // Typing in the panel's fields
+        if (event.target.tagName === 'INPUT' || event.target.tagName === 'SELECT') return;
+
+        this.keys[event.code] = true;
+
+        switch (event.code) {
+            case 'KeyQ':
+                this.rotateSelection(-this.rotationStep);
+                break;
+            case 'KeyE':
+                this.rotateSelection(this.rotationStep);
+                break;
+            case 'Delete':
+            case 'Backspace':
+                event.preventDefault();
+                this.deleteSelection();
+                break;
+            case 'Escape':
+                this.select(null);
+                break;
+        }
+    }
+
+    onKeyUp(event) {
+        this.keys[event.code] = false;
+    }
+
+    /**
+     * Place the prefab chosen in the panel
+     */
+    placePrefab(point) {
+        const type = this.elements.prefab.value;
+        const { height = 0, ...fields } = this.prefabDefaults[type] || {};
+
+        const prefab = { type, position: [point.x, height, point.z], rotation: 0, ...fields };
+        this.levelDef.prefabs.push(prefab);
+
+        this.rebuild();
+        this.select(this.getItems().find(item => item.object === prefab));
+    }
+
+    /**
+     * Add a wall from one ground point to another, along whichever axis is longer
+     */
+    addWall(start, end) {
+        const dx = Math.abs(end.x - start.x);
+        const dz = Math.abs(end.z - start.z);
+        const length = Math.max(dx, dz);
+        if (length < this.gridSize) return;
+
+        const alongX = dx >= dz;
+        const center = alongX ? [(start.x + end.x) / 2, start.z] : [start.x, (start.z + end.z) / 2];
+
+        this.levelDef.walls.push({
+            position: [center[0], this.wallHeight / 2, center[1]],
+            size: alongX ?
+                [length, this.wallHeight, this.wallThickness] :
+                [this.wallThickness, this.wallHeight, length],
+            material: 'wall'
+        });
+        this.rebuild();
+    }
+
+    /**
+     * Add the zone chosen in the panel: restricted zones are boxes between the two points,
+     * light and dark zones circles around the first
+     */
+    addZone(start, end) {
+        const type = this.elements.zone.value;
+        const zones = this.levelDef.zones;
+
+        if (type === 'restricted') {
+            if (Math.abs(end.x - start.x) < this.gridSize || Math.abs(end.z - start.z) < this.gridSize) return;
+
+            zones.restricted = zones.restricted || [];
+            zones.restricted.push({
+                id: `zone_${zones.restricted.length + 1}`,
+                min: [Math.min(start.x, end.x), 0, Math.min(start.z, end.z)],
+                max: [Math.max(start.x, end.x), this.wallHeight, Math.max(start.z, end.z)]
+            });
+        } else {
+            zones[type] = zones[type] || [];
+            zones[type].push({
+                center: [start.x, 0, start.z],
+                radius: Math.max(1, Math.round(start.distanceTo(end)))
+            });
+        }
+        this.rebuild();
+    }
+
+    /**
+     * Add an exit zone between two points, with the type and requirements set in the panel
+     */
+    addExit(start, end) {
+        if (Math.abs(end.x - start.x) < this.gridSize || Math.abs(end.z - start.z) < this.gridSize) return;
+
+        const exits = this.levelDef.exits;
+        const type = this.elements.exitType.value;
+        const exit = {
+            id: `exit_${exits.length + 1}`,
+            name: LevelEditor.getExitName(type),
+            type,
+            zone: {
+                min: [Math.min(start.x, end.x), 0, Math.min(start.z, end.z)],
+                max: [Math.max(start.x, end.x), 3, Math.max(start.z, end.z)]
+            },
+            requires: this.getExitRequirements()
+        };
+        exits.push(exit);
+
+        this.rebuild();
+        this.select(this.getItems().find(item => item.entry === exit));
+    }
+
+    /**
+     * Read the exit requirements from the panel
+     */
+    getExitRequirements() {
+        const requires = {};
+        const item = this.elements.exitItem.value.trim();
+        if (item) requires.item = item;
+        if (this.elements.exitCombat.checked) requires.outOfCombat = true;
+        return requires;
+    }
+
+    /**
+     * Apply the panel's exit type and requirements to the selected exit
+     */
+    applyExitFields() {
+        const item = this.selection;
+        if (!item || !item.exit) return;
+
+        // Exits still named after their type follow a change of type
+        const exit = item.entry;
+        const type = this.elements.exitType.value;
+        if (exit.name === LevelEditor.getExitName(exit.type)) {
+            exit.name = LevelEditor.getExitName(type);
+        }
+        exit.type = type;
+        item.entry.requires = this.getExitRequirements();
+        this.rebuild();
+        this.select(this.getItems().find(other => other.entry === item.entry));
+    }
+
+    /**
+     * Append a waypoint to the route named in the panel
+     */
+    addWaypoint(point) {
+        const name = this.getRouteName();
+        const routes = this.levelDef.routes;
+
+        routes[name] = routes[name] || [];
+        routes[name].push([point.x, 0, point.z]);
+
+        this.refreshRouteList();
+        this.rebuildOverlay();
+    }
+
+    /**
+     * Get the route named in the panel (a default name if the field is empty)
+     */
+    getRouteName() {
+        return this.elements.route.value.trim() || 'route_1';
+    }
+
+    /**
+     * Place the spawn chosen in the panel. Guards and civilians follow the panel's route.
+     */
+    placeSpawn(point) {
+        const spawns = this.levelDef.spawns;
+        const position = [point.x, 0, point.z];
+
+        switch (this.elements.spawn.value) {
+            case 'player':
+                spawns.player = position;
+                break;
+            case 'target':
+                spawns.target.position = position;
+                break;
+            case 'guard':
+                spawns.guards.push({ position, route: this.getRouteName(), outfit: 'guard' });
+                break;
+            case 'civilian':
+                spawns.civilians.push({ position, role: 'visitor', route: this.getRouteName() });
+                break;
+            case 'camera':
+                spawns.cameras.push({ position: [point.x, 3.2, point.z], rotation: 0, sweepAngle: 30 });
+                break;
+        }
+        this.rebuild();
+    }
+
+    /**
+     * Everything in the mission that can be picked, moved or removed. Each item's position
+     * is object[key]; `list` is the array it can be removed from (none for player and target).
+     */
+    getItems() {
+        const def = this.levelDef;
+        const items = [];
+        const add = (label, object, key, list = null, extra = {}) => {
+            items.push({ label, object, key, list, entry: object, ...extra });
+        };
+
+        def.prefabs.forEach(prefab => add(prefab.type, prefab, 'position', def.prefabs, { rotatable: true }));
+        def.walls.forEach(wall => add('wall', wall, 'position', def.walls, { wall: true }));
+
+        add('player spawn', def.spawns, 'player');
+        add('target spawn', def.spawns.target, 'position');
+        def.spawns.guards.forEach(guard => add(`guard (${guard.route})`, guard, 'position', def.spawns.guards));
+        def.spawns.civilians.forEach(civilian => {
+            add(`${civilian.role} (${civilian.route})`, civilian, 'position', def.spawns.civilians);
+        });
+        def.spawns.cameras.forEach(camera => {
+            add('camera', camera, 'position', def.spawns.cameras, { rotatable: true });
+        });
+
+        for (const [name, route] of Object.entries(def.routes)) {
+            route.forEach((point, i) => add(`${name} waypoint ${i + 1}`, route, i, route, { entry: point }));
+        }
+
+        (def.zones.restricted || []).forEach(zone => {
+            add(`restricted zone ${zone.id}`, zone, 'min', def.zones.restricted, { box: true });
+        });
+        (def.zones.light || []).forEach(zone => add('light zone', zone, 'center', def.zones.light));
+        (def.zones.dark || []).forEach(zone => add('dark zone', zone, 'center', def.zones.dark));
+
+        def.exits.forEach(exit => {
+            add(`${exit.name} exit`, exit.zone, 'min', def.exits, { box: true, exit: true, entry: exit });
+        });
+
+        return items;
+    }
+
+    /**
+     * Get the item nearest a ground point, if any is close enough. Walls and restricted
+     * zones count from their edges, so clicking inside picks them.
+     */
+    pick(point) {
+        let nearest = null;
+        let nearestDistance = this.pickRadius;
+
+        for (const item of this.getItems()) {
+            const distance = this.getItemDistance(item, point);
+            if (distance < nearestDistance) {
+                nearest = item;
+                nearestDistance = distance;
+            }
+        }
+        return nearest;
+    }
+
+    /**
+     * Get the flat distance from a ground point to an item
+     */
+    getItemDistance(item, point) {
+        let min, max;
+        if (item.wall) {
+            const [x, , z] = item.object.position;
+            const [width, , depth] = item.object.size;
+            min = { x: x - width / 2, z: z - depth / 2 };
+            max = { x: x + width / 2, z: z + depth / 2 };
+        } else if (item.box) {
+            min = { x: item.object.min[0], z: item.object.min[2] };
+            max = { x: item.object.max[0], z: item.object.max[2] };
+        } else {
+            const [x, , z] = item.object[item.key];
+            return Math.hypot(point.x - x, point.z - z);
+        }
+
+        // Box edges are preferred over point markers lying inside them
+        const dx = Math.max(min.x - point.x, 0, point.x - max.x);
+        const dz = Math.max(min.z - point.z, 0, point.z - max.z);
+        return Math.hypot(dx, dz) + this.pickRadius * 0.5;
+    }
+
+    /**
+     * Get an item's position on the ground (the center, for restricted zones)
+     */
+    getItemPosition(item) {
+        if (item.box) {
+            const { min, max } = item.object;
+            return new THREE.Vector3((min[0] + max[0]) / 2, 0, (min[2] + max[2]) / 2);
+        }
+        const [x, , z] = item.object[item.key];
+        return new THREE.Vector3(x, 0, z);
+    }
+
+    /**
+     * Move an item to a ground point, keeping its height
+     */
+    moveItem(item, point) {
+        if (item.box) {
+            const delta = point.clone().sub(this.getItemPosition(item));
+            const { min, max } = item.object;
+            item.object.min = [min[0] + delta.x, min[1], min[2] + delta.z];
+            item.object.max = [max[0] + delta.x, max[1], max[2] + delta.z];
+            return;
+        }
+
+        const position = item.object[item.key];
+        position[0] = point.x;
+        position[2] = point.z;
+    }
+
+    /**
+     * Select an item (or nothing) and describe it in the panel
+     */
+    select(item) {
+        this.selection = item;
+        this.dragOffset = null;
+
+        if (!item) {
+            this.setStatus('Nothing selected');
+        } else {
+            const position = this.getItemPosition(item);
+            const rotation = item.rotatable ? `, ${item.object.rotation || 0}°` : '';
+            this.setStatus(`${item.label} at ${position.x}, ${position.z}${rotation}`);
+        }
+
+        // Show the selected exit's settings so they can be changed
+        if (item && item.exit) {
+            const requires = item.entry.requires || {};
+            this.elements.exitType.value = item.entry.type || 'gate';
+            this.elements.exitItem.value = requires.item || '';
+            this.elements.exitCombat.checked = !!requires.outOfCombat;
+        }
+        this.rebuildOverlay();
+    }
+
+    /**
+     * Turn the selected prefab or camera
+     */
+    rotateSelection(degrees) {
+        if (!this.selection || !this.selection.rotatable) return;
+
+        const object = this.selection.object;
+        object.rotation = ((object.rotation || 0) + degrees) % 360;
+        this.rebuild();
+        this.select(this.selection);
+    }
+
+    /**
+     * Remove the selected item from the mission
+     */
+    deleteSelection() {
+        const item = this.selection;
+        if (!item || !item.list) return;
+
+        item.list.splice(item.list.indexOf(item.entry), 1);
+        this.select(null);
+        this.rebuild();
+    }
+
+    /**
+     * Show a message in the panel's status line
+     */
+    setStatus(text) {
+        this.elements.status.textContent = text;
+    }
+
+    /**
+     * Redraw the markers for zones, routes, spawns and the selection
+     */
+    rebuildOverlay() {
+        if (!this.isActive) return;
+
+        if (this.overlay) {
+            this.scene.remove(this.overlay);
+            this.overlay.traverse(obj => {
+                if (obj.geometry) obj.geometry.dispose();
+                if (obj.material) obj.material.dispose();
+            });
+        }
+
+        this.overlay = new THREE.Group();
+        const def = this.levelDef;
+        const zones = def.zones;
+
+        for (const zone of zones.restricted || []) {
+            const width = zone.max[0] - zone.min[0];
+            const depth = zone.max[2] - zone.min[2];
+            this.addMarker(new THREE.PlaneGeometry(width, depth), 0xff3333, 0.2,
+                [(zone.min[0] + zone.max[0]) / 2, (zone.min[2] + zone.max[2]) / 2]);
+        }
+        for (const zone of zones.light || []) {
+            this.addMarker(new THREE.CircleGeometry(zone.radius, 32), 0xffdd55, 0.15, [zone.center[0], zone.center[2]]);
+        }
+        for (const zone of zones.dark || []) {
+            this.addMarker(new THREE.CircleGeometry(zone.radius, 32), 0x3355ff, 0.25, [zone.center[0], zone.center[2]]);
+        }
+        for (const { zone } of def.exits) {
+            const width = zone.max[0] - zone.min[0];
+            const depth = zone.max[2] - zone.min[2];
+            this.addMarker(new THREE.PlaneGeometry(width, depth), 0x33ff66, 0.3,
+                [(zone.min[0] + zone.max[0]) / 2, (zone.min[2] + zone.max[2]) / 2]);
+        }
+
+        // Routes, the one being edited brighter
+        const currentRoute = this.getRouteName();
+        for (const [name, route] of Object.entries(def.routes)) {
+            const color = name === currentRoute ? 0x66ffff : 0x338888;
+            const points = route.map(([x, , z]) => new THREE.Vector3(x, 0.3, z));
+            if (points.length > 1) {
+                const line = new THREE.LineLoop(
+                    new THREE.BufferGeometry().setFromPoints(points),
+                    new THREE.LineBasicMaterial({ color, depthTest: false })
+                );
+                line.renderOrder = 10;
+                this.overlay.add(line);
+            }
+            for (const [x, , z] of route) {
+                this.addMarker(new THREE.CircleGeometry(0.25, 12), color, 1, [x, z]);
+            }
+        }
+
+        // Spawns
+        const spawns = def.spawns;
+        this.addMarker(new THREE.CircleGeometry(0.6, 16), 0x33ff33, 1, [spawns.player[0], spawns.player[2]]);
+        this.addMarker(new THREE.CircleGeometry(0.6, 16), 0xff3333, 1, [spawns.target.position[0], spawns.target.position[2]]);
+        for (const guard of spawns.guards) {
+            this.addMarker(new THREE.CircleGeometry(0.5, 16), 0x3388ff, 1, [guard.position[0], guard.position[2]]);
+        }
+        for (const civilian of spawns.civilians) {
+            this.addMarker(new THREE.CircleGeometry(0.4, 16), 0xffff66, 1, [civilian.position[0], civilian.position[2]]);
+        }
+        for (const camera of spawns.cameras) {
+            this.addMarker(new THREE.PlaneGeometry(0.6, 0.6), 0xcc66ff, 1, [camera.position[0], camera.position[2]]);
+        }
+
+        // Selection ring
+        if (this.selection) {
+            const position = this.getItemPosition(this.selection);
+            this.addMarker(new THREE.RingGeometry(0.9, 1.1, 24), 0xffffff, 1, [position.x, position.z]);
+        }
+
+        this.scene.add(this.overlay);
+        if (this.preview) this.overlay.add(this.preview);
+    }
+
+    /**
+     * Add a flat marker that is drawn over the level
+     */
+    addMarker(geometry, color, opacity, [x, z]) {
+        const mesh = new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({
+            color,
+            transparent: opacity < 1,
+            opacity,
+            depthTest: false,
+            side: THREE.DoubleSide
+        }));
+        mesh.rotation.x = -Math.PI / 2;
+        mesh.position.set(x, 0.3, z);
+        mesh.renderOrder = 10;
+        this.overlay.add(mesh);
+        return mesh;
+    }
+
+    /**
+     * Show the wall, zone or exit being dragged out
+     */
+    showPreview(start, end) {
+        if (this.preview) {
+            this.overlay.remove(this.preview);
+            this.preview.geometry.dispose();
+            this.preview.material.dispose();
+        }
+
+        let geometry, center;
+        if (this.tool === EditorTool.WALL) {
+            const dx = Math.abs(end.x - start.x);
+            const dz = Math.abs(end.z - start.z);
+            geometry = dx >= dz ?
+                new THREE.PlaneGeometry(Math.max(dx, 0.1), this.wallThickness) :
+                new THREE.PlaneGeometry(this.wallThickness, Math.max(dz, 0.1));
+            center = dx >= dz ? [(start.x + end.x) / 2, start.z] : [start.x, (start.z + end.z) / 2];
+        } else if (this.tool === EditorTool.EXIT || this.elements.zone.value === 'restricted') {
+            geometry = new THREE.PlaneGeometry(Math.max(Math.abs(end.x - start.x), 0.1), Math.max(Math.abs(end.z - start.z), 0.1));
+            center = [(start.x + end.x) / 2, (start.z + end.z) / 2];
+        } else {
+            geometry = new THREE.CircleGeometry(Math.max(1, start.distanceTo(end)), 32);
+            center = [start.x, start.z];
+        }
+
+        this.preview = this.addMarker(geometry, 0xffffff, 0.4, center);
+    }
+
+    /**
+     * Download the mission being edited as a JSON file
+     */
+    exportMission() {
+        const json = JSON.stringify(this.levelDef, null, 4);
+        const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${this.levelDef.id || 'mission'}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+
+        this.setStatus(`Exported ${link.download}`);
+    }
+
+    /**
+     * Load a mission JSON file into the editor and list it on the mission select screen
+     */
+    importMission(file) {
+        const reader = new FileReader();
+        reader.onload = () => {
+            let levelDef;
+            try {
+                levelDef = JSON.parse(reader.result);
+            } catch (error) {
+                this.setStatus(`${file.name} is not valid JSON`);
+                return;
+            }
+
+            const missing = LevelEditor.getMissingKeys(levelDef);
+            if (missing.length > 0) {
+                this.setStatus(`${file.name} is missing ${missing.join(', ')}`);
+                return;
+            }
+
+            this.levelDef = LevelEditor.withExits(levelDef);
+            this.select(null);
+            this.rebuild();
+
+            const id = this.onImport(this.levelDef);
+            this.setStatus(`Imported ${file.name} as mission ${id}`);
+        };
+        reader.readAsText(file);
+    }
+
+    /**
+     * Get the default name for an exit of a type
+     */
+    static getExitName(type) {
+        return type.charAt(0).toUpperCase() + type.slice(1);
+    }
+
+    /**
+     * Give a mission from before several exits its single escape zone as an editable exit
+     */
+    static withExits(levelDef) {
+        if (!levelDef.exits) {
+            const escape = levelDef.zones.escape;
+            levelDef.exits = escape ? [{ id: 'exit_1', name: 'Exit', type: 'gate', zone: escape }] : [];
+            delete levelDef.zones.escape;
+        }
+        return levelDef;
+    }
+
+    /**
+     * Get the top-level sections LevelBuilder needs that a mission definition lacks
+     */
+    static getMissingKeys(levelDef) {
+        const keys = ['floors', 'walls', 'prefabs', 'lights', 'zones', 'routes', 'spawns',
+            'pickups', 'targetSchedule', 'alarm', 'evacuation', 'objectives'];
+        if (!levelDef || typeof levelDef !== 'object') return keys;
+        return keys.filter(key => !(key in levelDef));
+    }
+}
+
+// Export
+window.EditorTool = EditorTool;
+window.LevelEditor = LevelEditor;
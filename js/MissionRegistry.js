@@ -0,0 +1,119 @@
+/**
+ * MissionRegistry.js
+ * The missions on offer (see missions/, plus layouts from the level editor) and the player's
+ * best result in each
+ */
+
+// Mission ratings from worst to best (see GameStateManager.getRating)
+const RatingRank = ['Thug', 'Hitman', 'Professional', 'Silent Assassin'];
+
+class MissionRegistry {
+    constructor(missions = window.Missions, storageKey = 'hitman.records', customStorageKey = 'hitman.customMissions') {
+        this.builtInIds = Object.keys(missions);
+        this.storageKey = storageKey;
+        this.customStorageKey = customStorageKey;
+        this.records = this.readStorage(this.storageKey, 'mission records');
+        this.customMissions = this.readStorage(this.customStorageKey, 'custom missions');
+        this.missions = { ...missions, ...this.customMissions };
+    }
+
+    /**
+     * Get every mission, in the order their scripts were loaded
+     */
+    list() {
+        return Object.values(this.missions);
+    }
+
+    /**
+     * Get a mission definition by id (undefined if there is none)
+     */
+    get(id) {
+        return this.missions[id];
+    }
+
+    /**
+     * Get the mission offered first
+     */
+    getDefaultId() {
+        return this.list()[0].id;
+    }
+
+    /**
+     * Add a mission made in the level editor, or replace an earlier version of it. Built-in
+     * missions are never replaced: an edited copy of one gets its own id.
+     * @returns {string} the id the mission is registered under
+     */
+    register(levelDef) {
+        const mission = JSON.parse(JSON.stringify(levelDef));
+        const id = mission.id || 'custom';
+
+        if (this.builtInIds.includes(id)) {
+            mission.id = `${id}_custom`;
+            mission.name = `${mission.name || id} (custom)`;
+        } else {
+            mission.id = id;
+            mission.name = mission.name || id;
+        }
+
+        this.missions[mission.id] = mission;
+        this.customMissions[mission.id] = mission;
+        this.writeStorage(this.customStorageKey, this.customMissions, 'custom missions');
+
+        return mission.id;
+    }
+
+    /**
+     * Get the best rating and time for a mission (null if never completed)
+     */
+    getRecord(id) {
+        return this.records[id] || null;
+    }
+
+    /**
+     * Keep a completed mission's rating and time if they beat the record.
+     * Returns which of the two are new bests.
+     */
+    recordResult(id, rating, timeMs) {
+        const record = this.records[id];
+        const result = {
+            bestRating: !record || RatingRank.indexOf(rating) > RatingRank.indexOf(record.rating),
+            bestTime: !record || timeMs < record.timeMs
+        };
+
+        this.records[id] = {
+            rating: result.bestRating ? rating : record.rating,
+            timeMs: result.bestTime ? timeMs : record.timeMs
+        };
+        this.writeStorage(this.storageKey, this.records, 'mission records');
+
+        return result;
+    }
+
+    /**
+     * Read an object from localStorage (empty if missing or unreadable)
+     */
+    readStorage(key, label) {
+        try {
+            const raw = localStorage.getItem(key);
+            return raw ? JSON.parse(raw) : {};
+        } catch (e) {
+            console.warn(`Could not load ${label}:`, e);
+            return {};
+        }
+    }
+
+    /**
+     * Write an object to localStorage
+     */
+    writeStorage(key, value, label) {
+        try {
+            localStorage.setItem(key, JSON.stringify(value));
+        } catch (e) {
+            console.warn(`Could not save ${label}:`, e);
+        }
+    }
+}
+
+// Export
+window.RatingRank = RatingRank;
+window.MissionRegistry = MissionRegistry;
@@ -0,0 +1,400 @@
+/**
+ * NavigationGrid.js
+ * Walkable grid built from level colliders, A* pathfinding and path smoothing
+ */
+
+class NavigationGrid {
+    constructor(scene, colliders, bounds, options = {}) {
+        this.scene = scene;
+        this.bounds = bounds;
+
+        // Grid layout: the level bounds plus a blocked border
+        this.cellSize = options.cellSize || 0.5;
+        this.agentRadius = options.agentRadius || 0.4;
+        this.minX = bounds.min.x - 1;
+        this.minZ = bounds.min.z - 1;
+        this.cols = Math.ceil((bounds.max.x - bounds.min.x + 2) / this.cellSize);
+        this.rows = Math.ceil((bounds.max.z - bounds.min.z + 2) / this.cellSize);
+
+        // 1 = blocked
+        this.blocked = new Uint8Array(this.cols * this.rows);
+
+        // Debug overlay
+        this.debugVisible = false;
+        this.debugCells = null;
+        this.debugPaths = null;
+
+        this.build(colliders);
+    }
+
+    /**
+     * Mark cells covered by colliders (inflated by the agent radius)
+     */
+    build(colliders) {
+        this.blocked.fill(0);
+
+        for (let row = 0; row < this.rows; row++) {
+            for (let col = 0; col < this.cols; col++) {
+                const center = this.cellToWorld(col, row);
+
+                // Same level bounds enemies are clamped to
+                if (center.x < this.bounds.min.x || center.x > this.bounds.max.x ||
+                    center.z < this.bounds.min.z || center.z > this.bounds.max.z) {
+                    this.blocked[row * this.cols + col] = 1;
+                }
+            }
+        }
+
+        const r = this.agentRadius;
+
+        for (const collider of colliders) {
+            if (collider.type === 'cylinder') {
+                this.markArea(
+                    collider.position.x - collider.radius - r, collider.position.z - collider.radius - r,
+                    collider.position.x + collider.radius + r, collider.position.z + collider.radius + r,
+                    (center) => Math.hypot(center.x - collider.position.x, center.z - collider.position.z) <
+                        collider.radius + r
+                );
+            } else if (collider.bounds && collider.bounds.min.y < 2) {
+                // Anything above head height doesn't block walking
+                const { min, max } = collider.bounds;
+                this.markArea(min.x - r, min.z - r, max.x + r, max.z + r, () => true);
+            }
+        }
+    }
+
+    /**
+     * Block the cells whose centers fall in a rectangle and pass the test
+     */
+    markArea(minX, minZ, maxX, maxZ, test) {
+        const start = this.worldToCell(new THREE.Vector3(minX, 0, minZ));
+        const end = this.worldToCell(new THREE.Vector3(maxX, 0, maxZ));
+
+        for (let row = Math.max(0, start.row); row <= Math.min(this.rows - 1, end.row); row++) {
+            for (let col = Math.max(0, start.col); col <= Math.min(this.cols - 1, end.col); col++) {
+                const center = this.cellToWorld(col, row);
+                if (center.x < minX || center.x > maxX || center.z < minZ || center.z > maxZ) continue;
+
+                if (test(center)) {
+                    this.blocked[row * this.cols + col] = 1;
+                }
+            }
+        }
+    }
+
+    /**
+     * Convert a world position to grid coordinates
+     */
+    worldToCell(position) {
+        return {
+            col: Math.floor((position.x - this.minX) / this.cellSize),
+            row: Math.floor((position.z - this.minZ) / this.cellSize)
+        };
+    }
+
+    /**
+     * Get the world position of a cell center
+     */
+    cellToWorld(col, row) {
+        return new THREE.Vector3(
+            this.minX + (col + 0.5) * this.cellSize,
+            0,
+            this.minZ + (row + 0.5) * this.cellSize
+        );
+    }
+
+    /**
+     * Check if a cell can be walked on
+     */
+    isWalkable(col, row) {
+        if (col < 0 || row < 0 || col >= this.cols || row >= this.rows) return false;
+        return this.blocked[row * this.cols + col] === 0;
+    }
+
+    /**
+     * Check if a world position can be walked on
+     */
+    isWalkablePosition(position) {
+        const cell = this.worldToCell(position);
+        return this.isWalkable(cell.col, cell.row);
+    }
+
+    /**
+     * Find the closest walkable cell (spiraling outwards)
+     */
+    findNearestWalkable(cell, maxRadius = 6) {
+        if (this.isWalkable(cell.col, cell.row)) return cell;
+
+        for (let radius = 1; radius <= maxRadius; radius++) {
+            let best = null;
+            let bestDist = Infinity;
+
+            for (let dr = -radius; dr <= radius; dr++) {
+                for (let dc = -radius; dc <= radius; dc++) {
+                    if (Math.max(Math.abs(dr), Math.abs(dc)) !== radius) continue;
+
+                    const col = cell.col + dc;
+                    const row = cell.row + dr;
+                    const dist = dc * dc + dr * dr;
+                    if (dist < bestDist && this.isWalkable(col, row)) {
+                        best = { col, row };
+                        bestDist = dist;
+                    }
+                }
+            }
+
+            if (best) return best;
+        }
+
+        return null;
+    }
+
+    /**
+     * Find a smoothed path between two world positions.
+     * Returns a list of waypoints (excluding the start) or null if unreachable.
+     */
+    findPath(from, to) {
+        const start = this.findNearestWalkable(this.worldToCell(from));
+        const goal = this.findNearestWalkable(this.worldToCell(to));
+        if (!start || !goal) return null;
+
+        const cells = this.findCellPath(start, goal);
+        if (!cells) return null;
+
+        const points = cells.map(index => this.cellToWorld(index % this.cols, Math.floor(index / this.cols)));
+
+        // End exactly on the requested spot when it is reachable
+        if (this.isWalkablePosition(to)) {
+            points[points.length - 1] = new THREE.Vector3(to.x, 0, to.z);
+        }
+
+        return this.smoothPath(new THREE.Vector3(from.x, 0, from.z), points);
+    }
+
+    /**
+     * A* over the grid (8-connected, no corner cutting). Returns cell indices.
+     */
+    findCellPath(start, goal) {
+        const cols = this.cols;
+        const startIndex = start.row * cols + start.col;
+        const goalIndex = goal.row * cols + goal.col;
+
+        if (startIndex === goalIndex) return [goalIndex];
+
+        const size = this.blocked.length;
+        const gScore = new Float32Array(size).fill(Infinity);
+        const fScore = new Float32Array(size);
+        const cameFrom = new Int32Array(size).fill(-1);
+        const closed = new Uint8Array(size);
+
+        // Octile distance
+        const heuristic = (index) => {
+            const dx = Math.abs(index % cols - goal.col);
+            const dz = Math.abs(Math.floor(index / cols) - goal.row);
+            return Math.max(dx, dz) + (Math.SQRT2 - 1) * Math.min(dx, dz);
+        };
+
+        // Binary min-heap of cell indices ordered by fScore
+        const heap = [];
+        const push = (index) => {
+            heap.push(index);
+            let i = heap.length - 1;
+            while (i > 0) {
+                const parent = (i - 1) >> 1;
+                if (fScore[heap[parent]] <= fScore[heap[i]]) break;
+                [heap[parent], heap[i]] = [heap[i], heap[parent]];
+                i = parent;
+            }
+        };
+        const pop = () => {
+            const top = heap[0];
+            const last = heap.pop();
+            if (heap.length > 0) {
+                heap[0] = last;
+                let i = 0;
+                for (;;) {
+                    const left = i * 2 + 1;
+                    const right = left + 1;
+                    let smallest = i;
+                    if (left < heap.length && fScore[heap[left]] < fScore[heap[smallest]]) smallest = left;
+                    if (right < heap.length && fScore[heap[right]] < fScore[heap[smallest]]) smallest = right;
+                    if (smallest === i) break;
+                    [heap[smallest], heap[i]] = [heap[i], heap[smallest]];
+                    i = smallest;
+                }
+            }
+            return top;
+        };
+
+        gScore[startIndex] = 0;
+        fScore[startIndex] = heuristic(startIndex);
+        push(startIndex);
+
+        while (heap.length > 0) {
+            const current = pop();
+            if (current === goalIndex) {
+                const path = [];
+                for (let index = current; index !== startIndex; index = cameFrom[index]) {
+                    path.push(index);
+                }
+                return path.reverse();
+            }
+
+            if (closed[current]) continue;
+            closed[current] = 1;
+
+            const col = current % cols;
+            const row = Math.floor(current / cols);
+
+            for (let dr = -1; dr <= 1; dr++) {
+                for (let dc = -1; dc <= 1; dc++) {
+                    if (dr === 0 && dc === 0) continue;
+
+                    const nCol = col + dc;
+                    const nRow = row + dr;
+                    if (!this.isWalkable(nCol, nRow)) continue;
+
+                    // Diagonals may not squeeze past a blocked corner
+                    if (dr !== 0 && dc !== 0 &&
+                        (!this.isWalkable(col + dc, row) || !this.isWalkable(col, row + dr))) {
+                        continue;
+                    }
+
+                    const neighbor = nRow * cols + nCol;
+                    if (closed[neighbor]) continue;
+
+                    const tentative = gScore[current] + (dr !== 0 && dc !== 0 ? Math.SQRT2 : 1);
+                    if (tentative < gScore[neighbor]) {
+                        cameFrom[neighbor] = current;
+                        gScore[neighbor] = tentative;
+                        fScore[neighbor] = tentative + heuristic(neighbor);
+                        push(neighbor);
+                    }
+                }
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Drop waypoints that can be skipped in a straight line
+     */
+    smoothPath(start, points) {
+        const smoothed = [];
+        let anchor = start;
+        let i = 0;
+
+        while (i < points.length) {
+            // Furthest point still visible from the anchor
+            let next = i;
+            for (let j = points.length - 1; j > i; j--) {
+                if (this.hasClearLine(anchor, points[j])) {
+                    next = j;
+                    break;
+                }
+            }
+
+            smoothed.push(points[next]);
+            anchor = points[next];
+            i = next + 1;
+        }
+
+        return smoothed;
+    }
+
+    /**
+     * Check that every cell along a straight line is walkable
+     */
+    hasClearLine(from, to) {
+        const distance = Math.hypot(to.x - from.x, to.z - from.z);
+        const steps = Math.ceil(distance / (this.cellSize * 0.5));
+        const point = new THREE.Vector3();
+
+        for (let i = 1; i <= steps; i++) {
+            const t = i / steps;
+            point.set(from.x + (to.x - from.x) * t, 0, from.z + (to.z - from.z) * t);
+            if (!this.isWalkablePosition(point)) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Show or hide the debug overlay (blocked cells and enemy paths)
+     */
+    setDebugVisible(visible) {
+        this.debugVisible = visible;
+
+        if (visible && !this.debugCells) {
+            const points = [];
+            for (let row = 0; row < this.rows; row++) {
+                for (let col = 0; col < this.cols; col++) {
+                    if (!this.isWalkable(col, row)) {
+                        const center = this.cellToWorld(col, row);
+                        center.y = 0.05;
+                        points.push(center);
+                    }
+                }
+            }
+
+            this.debugCells = new THREE.Points(
+                new THREE.BufferGeometry().setFromPoints(points),
+                new THREE.PointsMaterial({ color: 0xff0000, size: 0.15, transparent: true, opacity: 0.5 })
+            );
+            this.scene.add(this.debugCells);
+
+            this.debugPaths = new THREE.LineSegments(
+                new THREE.BufferGeometry(),
+                new THREE.LineBasicMaterial({ color: 0x00ffff })
+            );
+            this.scene.add(this.debugPaths);
+        }
+
+        if (this.debugCells) {
+            this.debugCells.visible = visible;
+            this.debugPaths.visible = visible;
+        }
+    }
+
+    /**
+     * Redraw the paths enemies are currently following
+     */
+    updateDebug(enemies) {
+        if (!this.debugVisible) return;
+
+        const points = [];
+        for (const enemy of enemies) {
+            if (!enemy.isAlive || !enemy.path) continue;
+
+            let previous = enemy.position;
+            for (let i = enemy.pathIndex; i < enemy.path.length; i++) {
+                const waypoint = enemy.path[i];
+                points.push(
+                    new THREE.Vector3(previous.x, 0.1, previous.z),
+                    new THREE.Vector3(waypoint.x, 0.1, waypoint.z)
+                );
+                previous = waypoint;
+            }
+        }
+
+        this.debugPaths.geometry.dispose();
+        this.debugPaths.geometry = new THREE.BufferGeometry().setFromPoints(points);
+    }
+
+    /**
+     * Remove the debug overlay
+     */
+    cleanup() {
+        for (const obj of [this.debugCells, this.debugPaths]) {
+            if (!obj) continue;
+            this.scene.remove(obj);
+            obj.geometry.dispose();
+            obj.material.dispose();
+        }
+        this.debugCells = null;
+        this.debugPaths = null;
+    }
+}
+
+// Export
+window.NavigationGrid = NavigationGrid;
@@ -0,0 +1,331 @@
+/**
+ * ObjectiveSystem.js
+ * Mission objectives: what has to be done, what went wrong, and when the player may leave.
+ * Also hands out the mission items (documents, keys, tools) the player can carry.
+ *
+ * Mission objectives (LevelBuilder.objectives), each { type, id?, description, ... }:
+ *   eliminate   targets: spawn ids to kill or knock out ('target' is the main target)
+ *   retrieve    item: id of a mission item the player must pick up
+ *   sabotage    position, prompt and holdDuration of the thing to sabotage
+ *   reach       zone: { min, max } or { center, radius } the player must enter
+ *   escape      Extraction: done at an open exit once every other required objective is.
+ *               Added if a mission has no required one, so no mission ends away from an exit
+ *   optional    Not needed to finish the mission, and failing it does not end the mission
+ *   hidden      Kept off the checklist until done, failed or revealed (revealedBy: objective id)
+ *   failOn      ObjectiveCondition values that fail the objective while it is unfinished
+ *   effect      What completing it changes ('disableEvacuation': the target's getaway is cut off)
+ *
+ * Exits (LevelBuilder.exits) open according to their requires:
+ *   item          id of a mission item the player must carry (car keys, a crowbar)
+ *   outOfCombat   Closed while guards are fighting the player
+ */
+
+// Kinds of objective
+const ObjectiveType = {
+    ELIMINATE: 'eliminate',
+    RETRIEVE: 'retrieve',
+    SABOTAGE: 'sabotage',
+    REACH: 'reach',
+    ESCAPE: 'escape'
+};
+
+// Progress of a single objective
+const ObjectiveState = {
+    ACTIVE: 'ACTIVE',
+    COMPLETE: 'COMPLETE',
+    FAILED: 'FAILED'
+};
+
+// Things that happen in a mission that can fail objectives (see failOn)
+const ObjectiveCondition = {
+    ALARM: 'alarm',                     // The alarm has sounded
+    SPOTTED: 'spotted',                 // Guards are fighting the player
+    TARGET_ESCAPED: 'targetEscaped',    // The target got away
+    CIVILIAN_KILLED: 'civilianKilled'   // A civilian has been killed
+};
+
+class ObjectiveSystem {
+    constructor(objectives, levelBuilder, player, interactionSystem) {
+        this.levelBuilder = levelBuilder;
+        this.player = player;
+        this.interactionSystem = interactionSystem;
+
+        // Interaction parameters
+        this.defaultSabotageTime = 2;
+
+        // Every mission ends at an exit; add extraction if the mission leaves it out
+        const hasEscape = objectives.some(def => def.type === ObjectiveType.ESCAPE && !def.optional);
+        const defs = hasEscape ? objectives : [...objectives, { type: ObjectiveType.ESCAPE, description: 'Leave through an exit' }];
+
+        // State
+        this.objectives = defs.map((def, i) => ({
+            ...def,
+            id: def.id || `${def.type}_${i}`,
+            state: ObjectiveState.ACTIVE,
+            revealed: !def.hidden,
+            // Eliminating the target fails once they get away unless the mission says otherwise
+            failOn: def.failOn || (def.type === ObjectiveType.ELIMINATE ? [ObjectiveCondition.TARGET_ESCAPED] : [])
+        }));
+        this.changed = true;   // Checklist needs redrawing
+        this.exitUsed = null;
+        this.blockedExit = null;  // Closed exit the player is standing in
+
+        this.registerItems();
+        this.registerSabotage();
+    }
+
+    /**
+     * Register pick-up interactions for the mission items
+     */
+    registerItems() {
+        for (const item of this.levelBuilder.items) {
+            this.interactionSystem.register({
+                position: item.position,
+                radius: 1.8,
+                isAvailable: () => !item.collected,
+                prompt: `Take ${item.name.toLowerCase()}`,
+                onInteract: () => this.collectItem(item)
+            });
+        }
+    }
+
+    /**
+     * Register hold interactions for sabotage objectives
+     */
+    registerSabotage() {
+        for (const objective of this.objectives) {
+            if (objective.type !== ObjectiveType.SABOTAGE) continue;
+
+            this.interactionSystem.register({
+                position: new THREE.Vector3().fromArray(objective.position),
+                isAvailable: () => objective.revealed && objective.state === ObjectiveState.ACTIVE && !objective.sabotaged,
+                prompt: objective.prompt || `Hold to ${objective.description.toLowerCase()}`,
+                onHold: () => { objective.sabotaged = true; },
+                holdDuration: objective.holdDuration || this.defaultSabotageTime
+            });
+        }
+    }
+
+    /**
+     * Pick up a mission item and carry it, taking it out of the level
+     */
+    collectItem(item) {
+        item.collected = true;
+        this.levelBuilder.scene.remove(item.mesh);
+        this.player.items.push(item.id);
+    }
+
+    /**
+     * Check if the player is carrying a mission item
+     */
+    hasItem(id) {
+        return this.player.items.includes(id);
+    }
+
+    /**
+     * Evaluate every unfinished objective against the current frame.
+     * @param {Array} enemies - guards and target, to check eliminations
+     * @param {Object} conditions - ObjectiveCondition values mapped to whether they hold now
+     * @returns {Array} { type: 'completed' | 'failed' | 'revealed', objective } and
+     *   { type: 'blocked', exit, reason } events
+     */
+    update(enemies, conditions) {
+        const events = [];
+        this.updateExits(conditions, events);
+
+        for (const objective of this.objectives) {
+            if (objective.state !== ObjectiveState.ACTIVE) continue;
+
+            const failedBy = objective.failOn.find(condition => conditions[condition]);
+            if (failedBy) {
+                this.finish(objective, ObjectiveState.FAILED, events);
+                objective.failedBy = failedBy;
+            } else if (this.isDone(objective, enemies)) {
+                this.finish(objective, ObjectiveState.COMPLETE, events);
+            }
+        }
+
+        return events;
+    }
+
+    /**
+     * Mark an objective done or failed, revealing it (and any it unlocks)
+     */
+    finish(objective, state, events) {
+        objective.state = state;
+        objective.revealed = true;
+        this.changed = true;
+        events.push({ type: state === ObjectiveState.COMPLETE ? 'completed' : 'failed', objective });
+
+        if (state !== ObjectiveState.COMPLETE) return;
+
+        for (const other of this.objectives) {
+            if (!other.revealed && other.revealedBy === objective.id) {
+                other.revealed = true;
+                events.push({ type: 'revealed', objective: other });
+            }
+        }
+    }
+
+    /**
+     * Check an objective's completion condition
+     */
+    isDone(objective, enemies) {
+        switch (objective.type) {
+            case ObjectiveType.ELIMINATE: {
+                const targets = objective.targets || ['target'];
+                return targets.every(id => enemies.some(enemy => enemy.spawnId === id && !enemy.isAlive));
+            }
+            case ObjectiveType.RETRIEVE:
+                return this.hasItem(objective.item);
+            case ObjectiveType.SABOTAGE:
+                return !!objective.sabotaged;
+            case ObjectiveType.REACH:
+                return this.isInZone(this.player.position, objective.zone);
+            case ObjectiveType.ESCAPE: {
+                const exit = this.levelBuilder.getExitAt(this.player.position);
+                if (!exit || !exit.available || !this.canExtract()) return false;
+
+                this.exitUsed = exit;
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Work out which exits are open right now, and report walking into a closed one
+     */
+    updateExits(conditions, events) {
+        for (const exit of this.levelBuilder.exits) {
+            exit.available = this.isExitAvailable(exit, conditions);
+        }
+
+        const exit = this.levelBuilder.getExitAt(this.player.position);
+        const blocked = exit && !exit.available ? exit : null;
+        if (blocked && blocked !== this.blockedExit) {
+            events.push({ type: 'blocked', exit: blocked, reason: this.getExitRequirement(blocked) });
+        }
+        this.blockedExit = blocked;
+    }
+
+    /**
+     * Check if an exit's requirements are met
+     */
+    isExitAvailable(exit, conditions) {
+        if (exit.requires.item && !this.hasItem(exit.requires.item)) return false;
+        if (exit.requires.outOfCombat && conditions[ObjectiveCondition.SPOTTED]) return false;
+        return true;
+    }
+
+    /**
+     * Describe what a closed exit is waiting for
+     */
+    getExitRequirement(exit) {
+        if (exit.requires.item && !this.hasItem(exit.requires.item)) {
+            const item = this.levelBuilder.items.find(item => item.id === exit.requires.item);
+            return `${exit.name}: needs the ${item ? item.name.toLowerCase() : exit.requires.item}`;
+        }
+        return `${exit.name}: too closely watched during combat`;
+    }
+
+    /**
+     * Check if a position is inside a { min, max } box or { center, radius } circle
+     */
+    isInZone(position, zone) {
+        if (zone.center) {
+            const dx = position.x - zone.center[0];
+            const dz = position.z - zone.center[2];
+            return dx * dx + dz * dz <= zone.radius * zone.radius;
+        }
+        return position.x >= zone.min[0] && position.x <= zone.max[0] &&
+            position.z >= zone.min[2] && position.z <= zone.max[2];
+    }
+
+    /**
+     * Check if every required objective apart from extraction is done
+     */
+    canExtract() {
+        return this.objectives.every(objective => objective.optional ||
+            objective.type === ObjectiveType.ESCAPE || objective.state === ObjectiveState.COMPLETE);
+    }
+
+    /**
+     * Check if every required objective, extraction included, is done
+     */
+    isMissionComplete() {
+        return this.objectives.every(objective => objective.optional ||
+            objective.state === ObjectiveState.COMPLETE);
+    }
+
+    /**
+     * Get the first required objective that failed (null while the mission can still be won)
+     */
+    getFailedObjective() {
+        return this.objectives.find(objective => !objective.optional &&
+            objective.state === ObjectiveState.FAILED) || null;
+    }
+
+    /**
+     * Get the objectives shown on the checklist, for the UI
+     */
+    getChecklist() {
+        return this.objectives
+            .filter(objective => objective.revealed)
+            .map(objective => ({
+                description: objective.description,
+                state: objective.state,
+                optional: !!objective.optional
+            }));
+    }
+
+    /**
+     * Count completed objectives, for the mission stats
+     */
+    getCompletedCount() {
+        return this.objectives.filter(objective => objective.state === ObjectiveState.COMPLETE).length;
+    }
+
+    /**
+     * Snapshot objective progress and carried items for saving
+     */
+    serialize() {
+        return {
+            objectives: this.objectives.map(objective => ({
+                state: objective.state,
+                revealed: objective.revealed,
+                sabotaged: !!objective.sabotaged,
+                failedBy: objective.failedBy || null
+            })),
+            items: [...this.player.items]
+        };
+    }
+
+    /**
+     * Restore objective progress and carried items from a snapshot
+     */
+    deserialize(data) {
+        data.objectives.forEach((saved, i) => {
+            const objective = this.objectives[i];
+            if (!objective) return;
+
+            objective.state = saved.state;
+            objective.revealed = saved.revealed;
+            objective.sabotaged = saved.sabotaged;
+            objective.failedBy = saved.failedBy || undefined;
+        });
+
+        for (const item of this.levelBuilder.items) {
+            if (data.items.includes(item.id)) {
+                this.collectItem(item);
+            }
+        }
+        this.changed = true;
+    }
+}
+
+// Export
+window.ObjectiveType = ObjectiveType;
+window.ObjectiveState = ObjectiveState;
+window.ObjectiveCondition = ObjectiveCondition;
+window.ObjectiveSystem = ObjectiveSystem;
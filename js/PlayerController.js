@@ -4,10 +4,11 @@
  */
 
 class PlayerController {
-    constructor(scene, camera, colliders) {
+    constructor(scene, camera, colliders, bounds) {
         this.scene = scene;
         this.camera = camera;
         this.colliders = colliders;
+        this.bounds = bounds;   // Walkable area { min, max } (see LevelBuilder)
 
         // Player state
         this.position = new THREE.Vector3(0, 0, 25);
@@ -18,6 +19,7 @@ class PlayerController {
         this.walkSpeed = 4;
         this.runSpeed = 8;
         this.crouchSpeed = 2;
+        this.dragSpeed = 1.5;
         this.acceleration = 20;
         this.deceleration = 15;
         
@@ -32,6 +34,15 @@ class PlayerController {
         this.isCrouching = false;
         this.isMoving = false;
         this.isAlive = true;
+        this.isDragging = false;
+        this.isHidden = false;
+        this.hidingSpot = null;
+
+        // Disguise (key into Outfits)
+        this.outfit = 'suit';
+
+        // Mission items carried (ids, see ObjectiveSystem)
+        this.items = [];
         
         // Health
         this.maxHealth = 100;
@@ -103,6 +114,13 @@ class PlayerController {
             metalness: 0.2
         });
 
+        // Kept so disguises can recolor the clothes
+        this.outfitMaterials = {
+            suit: suitMaterial,
+            shirt: shirtMaterial,
+            tie: tieMaterial
+        };
+
         // Body (torso)
         const bodyGeo = new THREE.BoxGeometry(0.5, 0.6, 0.3);
         this.body = new THREE.Mesh(bodyGeo, suitMaterial);
@@ -163,6 +181,11 @@ class PlayerController {
         rightHand.position.set(0, -0.28, 0);
         this.rightArm.add(rightHand);
 
+        // Tag player parts so enemy line of sight ignores them
+        this.playerGroup.traverse((obj) => {
+            if (obj.isMesh) obj.userData.isPlayer = true;
+        });
+
         // Position player
         this.playerGroup.position.copy(this.position);
         this.scene.add(this.playerGroup);
@@ -172,23 +195,24 @@ class PlayerController {
      * Setup keyboard and mouse input handlers
      */
     setupInputHandlers() {
-        // Keyboard
-        document.addEventListener('keydown', (e) => this.onKeyDown(e));
-        document.addEventListener('keyup', (e) => this.onKeyUp(e));
-
-        // Mouse movement
-        document.addEventListener('mousemove', (e) => this.onMouseMove(e));
-
-        // Pointer lock
-        document.addEventListener('click', () => {
-            if (!this.isPointerLocked && window.game && window.game.stateManager.isPlaying()) {
-                document.body.requestPointerLock();
+        // Keep references so the handlers can be removed in cleanup()
+        this.inputHandlers = {
+            keydown: (e) => this.onKeyDown(e),
+            keyup: (e) => this.onKeyUp(e),
+            mousemove: (e) => this.onMouseMove(e),
+            click: () => {
+                if (!this.isPointerLocked && window.game && window.game.stateManager.isPlaying()) {
+                    document.body.requestPointerLock();
+                }
+            },
+            pointerlockchange: () => {
+                this.isPointerLocked = document.pointerLockElement === document.body;
             }
-        });
+        };
 
-        document.addEventListener('pointerlockchange', () => {
-            this.isPointerLocked = document.pointerLockElement === document.body;
-        });
+        for (const [event, handler] of Object.entries(this.inputHandlers)) {
+            document.addEventListener(event, handler);
+        }
     }
 
     /**
@@ -253,6 +277,17 @@ class PlayerController {
         }
     }
 
+    /**
+     * Release all held keys (e.g. when the game is paused mid-movement)
+     */
+    resetInput() {
+        for (const key in this.keys) {
+            this.keys[key] = false;
+        }
+        this.isCrouching = false;
+        this.isRunning = false;
+    }
+
     /**
      * Handle mouse movement
      */
@@ -269,11 +304,13 @@ class PlayerController {
     /**
      * Update player state
      */
-    update(deltaTime, audioManager) {
+    update(deltaTime, audioManager, stealthSystem) {
         if (!this.isAlive) return;
 
-        // Update movement
-        this.updateMovement(deltaTime);
+        // Update movement (none while inside a container)
+        if (!this.isHidden) {
+            this.updateMovement(deltaTime);
+        }
 
         // Update crouch
         this.updateCrouch(deltaTime);
@@ -285,7 +322,7 @@ class PlayerController {
         this.updateCamera(deltaTime);
 
         // Update footsteps
-        this.updateFootsteps(deltaTime, audioManager);
+        this.updateFootsteps(deltaTime, audioManager, stealthSystem);
 
         // Update camera shake
         if (this.cameraShake > 0) {
@@ -317,7 +354,10 @@ class PlayerController {
 
             // Determine speed
             let speed = this.walkSpeed;
-            if (this.isCrouching) {
+            if (this.isDragging) {
+                speed = this.dragSpeed;
+                this.isRunning = false;
+            } else if (this.isCrouching) {
                 speed = this.crouchSpeed;
                 this.isRunning = false;
             } else if (this.keys.run) {
@@ -401,7 +441,9 @@ class PlayerController {
         }
 
         // Level bounds
-        if (Math.abs(position.x) > 24 || Math.abs(position.z) > 29) {
+        const bounds = this.bounds;
+        if (position.x < bounds.min.x || position.x > bounds.max.x ||
+            position.z < bounds.min.z || position.z > bounds.max.z) {
             return true;
         }
 
@@ -518,9 +560,9 @@ class PlayerController {
     }
 
     /**
-     * Update footstep sounds
+     * Update footstep sounds and the noise they make for nearby enemies
      */
-    updateFootsteps(deltaTime, audioManager) {
+    updateFootsteps(deltaTime, audioManager, stealthSystem) {
         if (!this.isMoving || !audioManager) return;
 
         // Adjust footstep timing based on speed
@@ -532,6 +574,10 @@ class PlayerController {
         if (this.footstepTimer >= interval) {
             this.footstepTimer = 0;
             audioManager.playFootstep(this.isRunning);
+
+            if (stealthSystem) {
+                stealthSystem.registerFootstep(this.position, this.getNoiseLevel());
+            }
         }
     }
 
@@ -574,6 +620,49 @@ class PlayerController {
         fallAnimation();
     }
 
+    /**
+     * Climb into a hiding spot
+     */
+    enterHidingSpot(spot) {
+        this.isHidden = true;
+        this.hidingSpot = spot;
+        spot.occupied = true;
+
+        this.resetInput();
+        this.velocity.set(0, 0, 0);
+        this.isMoving = false;
+        this.position.copy(spot.position);
+        this.playerGroup.position.copy(this.position);
+        this.playerGroup.visible = false;
+    }
+
+    /**
+     * Climb out of the current hiding spot
+     */
+    exitHidingSpot() {
+        if (!this.hidingSpot) return;
+
+        this.hidingSpot.occupied = false;
+        this.position.copy(this.hidingSpot.exitPosition);
+        this.playerGroup.position.copy(this.position);
+        this.playerGroup.visible = true;
+
+        this.isHidden = false;
+        this.hidingSpot = null;
+    }
+
+    /**
+     * Change clothes
+     */
+    setOutfit(outfitId) {
+        this.outfit = outfitId;
+
+        const colors = Outfits[outfitId].colors;
+        for (const part in this.outfitMaterials) {
+            this.outfitMaterials[part].color.setHex(colors[part]);
+        }
+    }
+
     /**
      * Respawn player
      */
@@ -584,6 +673,53 @@ class PlayerController {
         this.velocity.set(0, 0, 0);
         this.playerGroup.rotation.x = 0;
         this.rotation = { x: 0, y: Math.PI };
+
+        // Reset stance and input left over from the previous life
+        this.resetInput();
+        this.currentHeight = this.height;
+        this.playerGroup.scale.y = 1;
+        this.cameraShake = 0;
+        this.footstepTimer = 0;
+        this.isDragging = false;
+        this.isHidden = false;
+        this.hidingSpot = null;
+        this.playerGroup.visible = true;
+        this.playerGroup.position.copy(this.position);
+        this.setOutfit('suit');
+        this.items = [];
+    }
+
+    /**
+     * Snapshot player state for saving
+     */
+    serialize() {
+        return {
+            position: this.position.toArray(),
+            rotation: { x: this.rotation.x, y: this.rotation.y },
+            health: this.health,
+            outfit: this.outfit
+        };
+    }
+
+    /**
+     * Restore player state from a snapshot
+     */
+    deserialize(data) {
+        this.respawn(new THREE.Vector3().fromArray(data.position));
+        this.rotation = { x: data.rotation.x, y: data.rotation.y };
+        this.health = data.health;
+        this.setOutfit(data.outfit);
+        this.playerGroup.rotation.y = this.rotation.y;
+    }
+
+    /**
+     * Remove input handlers and the player mesh
+     */
+    cleanup() {
+        for (const [event, handler] of Object.entries(this.inputHandlers)) {
+            document.removeEventListener(event, handler);
+        }
+        this.scene.remove(this.playerGroup);
     }
 
     /**
@@ -632,6 +768,15 @@ class PlayerController {
         return !this.isCrouching || this.isMoving;
     }
 
+    /**
+     * Get footstep loudness for stealth (before floor surface)
+     */
+    getNoiseLevel() {
+        if (this.isCrouching) return 0.1;
+        if (this.isRunning) return 0.6;
+        return 0.3;
+    }
+
     /**
      * Get visibility multiplier for stealth
      */
@@ -640,6 +785,7 @@ class PlayerController {
 
         if (this.isCrouching) multiplier *= 0.5;
         if (this.isRunning) multiplier *= 1.5;
+        if (this.isDragging) multiplier *= 2;
         if (!this.isMoving) multiplier *= 0.7;
 
         return multiplier;
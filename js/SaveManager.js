@@ -0,0 +1,84 @@
+/**
+ * SaveManager.js
+ * Persists mission snapshots to localStorage slots
+ */
+
+const SaveSlot = {
+    QUICK: 'quick',
+    CHECKPOINT: 'checkpoint'
+};
+
+// Bump when the snapshot format changes so stale saves are ignored
+const SAVE_VERSION = 2;
+
+class SaveManager {
+    constructor(prefix = 'hitman.save.') {
+        this.prefix = prefix;
+    }
+
+    /**
+     * Get storage key for a slot
+     */
+    getKey(slot) {
+        return this.prefix + slot;
+    }
+
+    /**
+     * Write a snapshot to a slot
+     */
+    save(slot, snapshot) {
+        try {
+            localStorage.setItem(this.getKey(slot), JSON.stringify({
+                version: SAVE_VERSION,
+                savedAt: Date.now(),
+                snapshot
+            }));
+            return true;
+        } catch (e) {
+            console.warn(`Could not save to slot "${slot}":`, e);
+            return false;
+        }
+    }
+
+    /**
+     * Read a snapshot from a slot (null if missing or outdated)
+     */
+    load(slot) {
+        try {
+            const raw = localStorage.getItem(this.getKey(slot));
+            if (!raw) return null;
+
+            const data = JSON.parse(raw);
+            if (data.version !== SAVE_VERSION) {
+                console.warn(`Ignoring save in slot "${slot}" (version ${data.version})`);
+                return null;
+            }
+            return data.snapshot;
+        } catch (e) {
+            console.warn(`Could not load slot "${slot}":`, e);
+            return null;
+        }
+    }
+
+    /**
+     * Check if a slot holds a save
+     */
+    hasSave(slot) {
+        return this.load(slot) !== null;
+    }
+
+    /**
+     * Delete a slot
+     */
+    clear(slot) {
+        try {
+            localStorage.removeItem(this.getKey(slot));
+        } catch (e) {
+            console.warn(`Could not clear slot "${slot}":`, e);
+        }
+    }
+}
+
+// Export
+window.SaveSlot = SaveSlot;
+window.SaveManager = SaveManager;
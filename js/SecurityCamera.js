@@ -0,0 +1,240 @@
+/**
+ * SecurityCamera.js
+ * Wall-mounted camera that sweeps its view and records the player on sight
+ */
+
+let cameraIdCounter = 0;
+
+class SecurityCamera {
+    /**
+     * @param {THREE.Vector3} position - mount point (y is the mount height)
+     * @param {Object} options - sweep arc and speed from the spawn point
+     */
+    constructor(scene, position, rotation, options = {}) {
+        this.scene = scene;
+        this.id = `camera-${++cameraIdCounter}`;
+
+        // Stored at ground level like enemies, the lens sits at eyeHeight
+        this.position = new THREE.Vector3(position.x, 0, position.z);
+        this.eyeHeight = position.y;
+        this.baseRotation = rotation;
+        this.rotation = rotation;
+
+        // Sweep
+        this.sweepAngle = options.sweepAngle !== undefined ? options.sweepAngle : Math.PI / 4;
+        this.sweepSpeed = options.sweepSpeed || 0.4;
+        this.sweepTime = 0;
+        this.trackSpeed = 1.5;
+
+        // Detection (same model as guards, shorter and narrower)
+        this.detectionRange = 10;
+        this.detectionAngle = Math.PI / 5;
+        this.alertLevel = 0;
+        this.alertState = AlertState.IDLE;
+        this.alertDecayRate = 0.2;
+        this.lastSeenPos = null;
+
+        // State
+        this.isAlive = true;
+        this.isRecording = false;
+
+        // Create mesh
+        this.createMesh();
+    }
+
+    /**
+     * Create camera mesh: a fixed wall bracket and a head that pans
+     */
+    createMesh() {
+        this.group = new THREE.Group();
+
+        const housingMaterial = new THREE.MeshStandardMaterial({
+            color: 0xd0d0d0,
+            roughness: 0.5,
+            metalness: 0.4
+        });
+
+        this.lensMaterial = new THREE.MeshStandardMaterial({
+            color: 0x111122,
+            roughness: 0.1,
+            metalness: 0.9
+        });
+
+        this.ledMaterial = new THREE.MeshBasicMaterial({ color: 0x330000 });
+
+        // Bracket reaching back to the wall
+        const bracketGeo = new THREE.BoxGeometry(0.06, 0.06, 0.4);
+        const bracket = new THREE.Mesh(bracketGeo, housingMaterial);
+        bracket.position.z = 0.2;
+        this.group.add(bracket);
+
+        // Panning head, tilted down at the floor
+        this.head = new THREE.Group();
+        this.group.add(this.head);
+
+        const housingGeo = new THREE.BoxGeometry(0.2, 0.18, 0.45);
+        const housing = new THREE.Mesh(housingGeo, housingMaterial);
+        housing.rotation.x = -0.3;
+        housing.castShadow = true;
+        this.head.add(housing);
+
+        const lensGeo = new THREE.CylinderGeometry(0.06, 0.06, 0.05, 12);
+        const lens = new THREE.Mesh(lensGeo, this.lensMaterial);
+        lens.rotation.x = Math.PI / 2;
+        lens.position.z = -0.24;
+        housing.add(lens);
+
+        const ledGeo = new THREE.SphereGeometry(0.02, 6, 6);
+        const led = new THREE.Mesh(ledGeo, this.ledMaterial);
+        led.position.set(0.06, 0.1, -0.15);
+        housing.add(led);
+
+        // Tag every part so shots can find the camera and sight lines ignore it
+        this.group.traverse((obj) => {
+            if (obj.isMesh) {
+                obj.userData.isCamera = true;
+                obj.userData.cameraId = this.id;
+            }
+        });
+
+        this.group.position.set(this.position.x, this.eyeHeight, this.position.z);
+        this.group.rotation.y = this.baseRotation;
+        this.scene.add(this.group);
+    }
+
+    /**
+     * Update sweep and detection. Returns true when the camera starts recording.
+     */
+    update(deltaTime, player, stealthSystem) {
+        if (!this.isAlive) return false;
+
+        const detectionAmount = stealthSystem.checkDetection(this, player, deltaTime);
+        if (detectionAmount > 0) {
+            this.alertLevel = Math.min(stealthSystem.combatThreshold, this.alertLevel + detectionAmount);
+            this.lastSeenPos = player.position.clone();
+        } else if (this.alertLevel > 0) {
+            this.alertLevel = Math.max(0, this.alertLevel - this.alertDecayRate * deltaTime);
+        }
+
+        const previousState = this.alertState;
+        this.alertState = stealthSystem.getStateFromLevel(this.alertLevel);
+
+        if (this.alertState === AlertState.IDLE) {
+            // Pick the sweep back up from wherever tracking left the head
+            if (previousState !== AlertState.IDLE) {
+                // A fixed camera (no arc) has nothing to resume
+                const offset = this.sweepAngle > 0
+                    ? THREE.MathUtils.clamp((this.rotation - this.baseRotation) / this.sweepAngle, -1, 1)
+                    : 0;
+                this.sweepTime = Math.asin(offset) / this.sweepSpeed;
+            }
+            this.sweep(deltaTime);
+        } else if (this.lastSeenPos) {
+            this.track(this.lastSeenPos, deltaTime);
+        }
+
+        // Full detection means the player is on tape
+        let startedRecording = false;
+        if (this.alertLevel >= stealthSystem.combatThreshold) {
+            startedRecording = !this.isRecording;
+            this.isRecording = true;
+        } else if (this.alertState === AlertState.IDLE) {
+            this.isRecording = false;
+        }
+
+        this.updateMesh();
+        stealthSystem.updateVisionCone(this);
+
+        return startedRecording;
+    }
+
+    /**
+     * Pan back and forth across the arc
+     */
+    sweep(deltaTime) {
+        this.sweepTime += deltaTime;
+        this.rotation = this.baseRotation + Math.sin(this.sweepTime * this.sweepSpeed) * this.sweepAngle;
+    }
+
+    /**
+     * Turn towards a position, staying within the sweep arc
+     */
+    track(target, deltaTime) {
+        const targetRotation = Math.atan2(-(target.x - this.position.x), -(target.z - this.position.z));
+
+        let offset = targetRotation - this.baseRotation;
+        while (offset > Math.PI) offset -= Math.PI * 2;
+        while (offset < -Math.PI) offset += Math.PI * 2;
+        offset = THREE.MathUtils.clamp(offset, -this.sweepAngle, this.sweepAngle);
+
+        const current = this.rotation - this.baseRotation;
+        const step = this.trackSpeed * deltaTime;
+        this.rotation = this.baseRotation + current + THREE.MathUtils.clamp(offset - current, -step, step);
+    }
+
+    /**
+     * Update head rotation and the recording light
+     */
+    updateMesh() {
+        this.head.rotation.y = this.rotation - this.baseRotation;
+
+        // Blink while recording
+        const blinkOn = this.isRecording && Math.floor(Date.now() / 400) % 2 === 0;
+        this.ledMaterial.color.setHex(blinkOn ? 0xff0000 : 0x330000);
+    }
+
+    /**
+     * Shot out: stop watching and droop
+     */
+    destroy(stealthSystem) {
+        this.isAlive = false;
+        this.isRecording = false;
+        this.alertLevel = 0;
+        this.alertState = AlertState.IDLE;
+
+        stealthSystem.removeVisionCone(this.id);
+
+        this.head.rotation.x = -0.7;
+        this.lensMaterial.color.setHex(0x333333);
+        this.ledMaterial.color.setHex(0x000000);
+    }
+
+    /**
+     * Snapshot camera state for saving
+     */
+    serialize() {
+        return {
+            rotation: this.rotation,
+            alertLevel: this.alertLevel,
+            isAlive: this.isAlive
+        };
+    }
+
+    /**
+     * Restore camera state from a snapshot
+     */
+    deserialize(data, stealthSystem) {
+        this.rotation = data.rotation;
+        this.alertLevel = data.alertLevel;
+        this.alertState = stealthSystem.getStateFromLevel(this.alertLevel);
+
+        if (!data.isAlive) {
+            this.destroy(stealthSystem);
+        }
+        this.updateMesh();
+    }
+
+    /**
+     * Remove the camera from the scene
+     */
+    cleanup() {
+        this.scene.remove(this.group);
+        this.group.traverse((obj) => {
+            if (obj.geometry) obj.geometry.dispose();
+            if (obj.material) obj.material.dispose();
+        });
+    }
+}
+
+// Export
+window.SecurityCamera = SecurityCamera;
@@ -0,0 +1,107 @@
+/**
+ * SquadCoordinator.js
+ * Teamwork for guards in a firefight: shared sightings and suppress / flank / bodyguard roles
+ */
+
+// Parts a guard can be given in a firefight (EnemyAI.squadOrders)
+const SquadRole = {
+    SUPPRESS: 'SUPPRESS',         // Pin the player down from cover
+    FLANK: 'FLANK',               // Work round the side of the player
+    GUARD_TARGET: 'GUARD_TARGET'  // Stay between the target and the player
+};
+
+class SquadCoordinator {
+    constructor() {
+        // Coordination parameters
+        this.minSquadSize = 2;       // Guards in combat before roles are handed out
+        this.bodyguardSquadSize = 3; // Guards in combat before one is spared for the target
+        this.reassignInterval = 10;  // Seconds between fresh flanking moves
+
+        // State
+        this.members = [];
+        this.reassignTime = 0;
+    }
+
+    /**
+     * Pool what the fighting guards know and keep their roles up to date
+     */
+    update(deltaTime, enemies, target) {
+        // Evacuation bodyguards stick to their own orders
+        const squad = enemies.filter(enemy => enemy.isAlive && !enemy.isTarget &&
+            enemy.alertState === AlertState.COMBAT &&
+            !(enemy.alarmOrders && enemy.alarmOrders.evacuation));
+
+        // Anyone out of the fight loses their role
+        for (const enemy of this.members) {
+            if (!squad.includes(enemy)) {
+                enemy.squadOrders = null;
+            }
+        }
+
+        this.shareSightings(squad);
+
+        if (squad.length < this.minSquadSize) {
+            for (const enemy of squad) {
+                enemy.squadOrders = null;
+            }
+            this.members = squad;
+            return;
+        }
+
+        // New roles when the squad changes, and every so often for a fresh flank
+        this.reassignTime -= deltaTime;
+        const changed = squad.length !== this.members.length ||
+            squad.some(enemy => !this.members.includes(enemy) || !enemy.squadOrders) ||
+            squad.some(enemy => enemy.squadOrders.protectee && !enemy.squadOrders.protectee.isAlive);
+        if (changed || this.reassignTime <= 0) {
+            this.assignRoles(squad, target);
+        }
+
+        this.members = squad;
+    }
+
+    /**
+     * Give every guard in the squad the most recent sighting of the player
+     */
+    shareSightings(squad) {
+        let freshest = null;
+        for (const enemy of squad) {
+            if (enemy.lastKnownPlayerPos && (!freshest || enemy.lostPlayerTime < freshest.lostPlayerTime)) {
+                freshest = enemy;
+            }
+        }
+        if (!freshest) return;
+
+        for (const enemy of squad) {
+            if (enemy.lostPlayerTime > freshest.lostPlayerTime) {
+                enemy.lastKnownPlayerPos = freshest.lastKnownPlayerPos.clone();
+                enemy.lostPlayerTime = freshest.lostPlayerTime;
+            }
+        }
+    }
+
+    /**
+     * One guard stays with the target (if the squad can spare one), whoever saw the
+     * player last suppresses, and the rest flank on alternating sides
+     */
+    assignRoles(squad, target) {
+        this.reassignTime = this.reassignInterval;
+        const unassigned = [...squad];
+
+        if (squad.length >= this.bodyguardSquadSize && target && target.isAlive) {
+            const bodyguard = AlarmSystem.takeNearest(unassigned, target.position);
+            bodyguard.squadOrders = { role: SquadRole.GUARD_TARGET, protectee: target };
+        }
+
+        unassigned.sort((a, b) => a.lostPlayerTime - b.lostPlayerTime);
+        unassigned.shift().squadOrders = { role: SquadRole.SUPPRESS };
+
+        unassigned.forEach((enemy, i) => {
+            enemy.squadOrders = { role: SquadRole.FLANK, side: i % 2 === 0 ? 1 : -1, started: false };
+        });
+    }
+}
+
+// Export
+window.SquadRole = SquadRole;
+window.SquadCoordinator = SquadCoordinator;
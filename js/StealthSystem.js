@@ -10,6 +10,12 @@ const AlertState = {
     COMBAT: 'COMBAT'
 };
 
+// What a guard says when keying the radio, by reason for the call
+const RadioBarks = {
+    combat: 'Contact! Requesting backup!',
+    body: 'Man down! We have a body!'
+};
+
 class StealthSystem {
     constructor(scene, levelBuilder) {
         this.scene = scene;
@@ -30,6 +36,16 @@ class StealthSystem {
             [AlertState.COMBAT]: 2.0
         };
 
+        // Disguise modifiers
+        this.trespassModifier = 3.0; // Seen where the outfit has no access
+        this.blendModifier = 0.1;    // Seen in a disguise that belongs here
+
+        // Crowds: enough calm civilians around the player slow detection
+        this.civilians = []; // Set by the game once spawned
+        this.crowdModifier = 0.5;
+        this.crowdRadius = 3;
+        this.crowdSize = 2;
+
         // Alert thresholds
         this.suspiciousThreshold = 0.3;
         this.alertedThreshold = 0.7;
@@ -41,8 +57,24 @@ class StealthSystem {
         // Sound detection
         this.soundSources = [];
 
+        // Takedowns civilians can witness
+        this.violence = [];
+        this.violenceDuration = 1000;
+
+        // Bodies pulled out of hiding spots by searching guards
+        this.exposedBodies = [];
+
+        // Radio: other guards only hear of an alert once a call completes
+        this.radioDelay = 3;  // Seconds to call it in
+        this.radioCalls = []; // { caller, position, level, reason, timeLeft, announced }
+
         // Raycaster for line of sight
         this.raycaster = new THREE.Raycaster();
+
+        // Sight lines to bodies, tested against level colliders only
+        this.sightRay = new THREE.Ray();
+        this.sightBox = new THREE.Box3();
+        this.sightHit = new THREE.Vector3();
     }
 
     /**
@@ -74,6 +106,7 @@ class StealthSystem {
 
         const cone = new THREE.Mesh(coneGeo, coneMat);
         cone.renderOrder = 1;
+        cone.userData.isVisionCone = true;
         coneGroup.add(cone);
 
         // Add cone edge lines for better visibility
@@ -115,7 +148,7 @@ class StealthSystem {
 
         // Position and rotate cone
         visionCone.group.position.copy(enemy.position);
-        visionCone.group.position.y = 1;
+        visionCone.group.position.y = enemy.eyeHeight;
         visionCone.group.rotation.y = enemy.rotation;
 
         // Color based on alert state
@@ -150,10 +183,10 @@ class StealthSystem {
      * Check if player is detected by an enemy
      */
     checkDetection(enemy, player, deltaTime) {
-        if (!player.isAlive) return 0;
+        if (!player.isAlive || player.isHidden) return 0;
 
         const enemyPos = enemy.position.clone();
-        enemyPos.y = 1; // Eye level
+        enemyPos.y = enemy.eyeHeight; // Eye level
 
         const playerPos = player.position.clone();
         playerPos.y = player.isCrouching ? 0.5 : 1.2;
@@ -204,9 +237,193 @@ class StealthSystem {
         const lightMod = this.levelBuilder.getLightingModifier(player.position);
         detectionRate *= lightMod;
 
+        // Disguise / trespassing modifier
+        detectionRate *= this.getDisguiseModifier(enemy, player);
+
+        // Blending into a crowd
+        if (this.isInCrowd(player)) {
+            detectionRate *= this.crowdModifier;
+        }
+
         return detectionRate * deltaTime;
     }
 
+    /**
+     * Check if the player is surrounded by enough calm civilians to blend in
+     */
+    isInCrowd(player) {
+        let count = 0;
+        for (const civilian of this.civilians) {
+            if (!civilian.isCalm()) continue;
+
+            const dx = civilian.position.x - player.position.x;
+            const dz = civilian.position.z - player.position.z;
+            if (dx * dx + dz * dz <= this.crowdRadius * this.crowdRadius) {
+                count++;
+            }
+        }
+        return count >= this.crowdSize;
+    }
+
+    /**
+     * Get detection modifier for the player's outfit where they stand
+     */
+    getDisguiseModifier(enemy, player) {
+        if (this.isTrespassing(player)) {
+            return this.trespassModifier;
+        }
+
+        // Own clothes, or a disguise that doesn't hold up
+        if (player.outfit === 'suit' || player.isDragging) {
+            return 1;
+        }
+
+        // Enforcers know who should be wearing their uniform
+        if (enemy.isEnforcer && enemy.outfit === player.outfit) {
+            return 1;
+        }
+
+        return this.blendModifier;
+    }
+
+    /**
+     * Check if the player is trespassing in their current outfit
+     */
+    isTrespassing(player) {
+        const zone = this.levelBuilder.getRestrictedZone(player.position);
+        return zone !== null && !Outfits[player.outfit].access.includes(zone.id);
+    }
+
+    /**
+     * Check if a world position is inside an enemy's vision cone and unobstructed
+     */
+    canSeePosition(enemy, position) {
+        const enemyPos = enemy.position.clone();
+        enemyPos.y = enemy.eyeHeight; // Eye level
+
+        const distance = enemyPos.distanceTo(position);
+        if (distance > enemy.detectionRange) {
+            return false;
+        }
+
+        const dirToTarget = new THREE.Vector3().subVectors(position, enemyPos).normalize();
+        const enemyForward = new THREE.Vector3(
+            -Math.sin(enemy.rotation),
+            0,
+            -Math.cos(enemy.rotation)
+        );
+
+        if (Math.acos(dirToTarget.dot(enemyForward)) > enemy.detectionAngle) {
+            return false;
+        }
+
+        return this.hasLineOfSight(enemyPos, position);
+    }
+
+    /**
+     * Check if a viewer can see a body on the ground. Runs for every body and viewer each
+     * frame, so range and the vision cone rule most pairs out before any sight line is traced,
+     * and the sight line only meets the level colliders.
+     */
+    canSeeBody(viewer, body) {
+        const dx = body.position.x - viewer.position.x;
+        const dy = 0.3 - viewer.eyeHeight;
+        const dz = body.position.z - viewer.position.z;
+        if (dx * dx + dy * dy + dz * dz > viewer.detectionRange * viewer.detectionRange) {
+            return false;
+        }
+
+        const eye = new THREE.Vector3(viewer.position.x, viewer.eyeHeight, viewer.position.z);
+        const bodyPos = new THREE.Vector3(body.position.x, 0.3, body.position.z);
+
+        const dirToBody = new THREE.Vector3().subVectors(bodyPos, eye).normalize();
+        const forward = new THREE.Vector3(-Math.sin(viewer.rotation), 0, -Math.cos(viewer.rotation));
+        if (Math.acos(dirToBody.dot(forward)) > viewer.detectionAngle) {
+            return false;
+        }
+
+        return !this.isSightBlocked(eye, bodyPos);
+    }
+
+    /**
+     * Check if walls, buildings or props stand between two points
+     */
+    isSightBlocked(from, to) {
+        const distance = from.distanceTo(to);
+        this.sightRay.set(from, new THREE.Vector3().subVectors(to, from).normalize());
+
+        for (const collider of this.levelBuilder.colliders) {
+            if (collider.type === 'cylinder') {
+                const { position, radius, height } = collider;
+                this.sightBox.min.set(position.x - radius, 0, position.z - radius);
+                this.sightBox.max.set(position.x + radius, position.y + height, position.z + radius);
+            } else {
+                this.sightBox.copy(collider.bounds);
+            }
+
+            if (this.sightRay.intersectBox(this.sightBox, this.sightHit) &&
+                this.sightHit.distanceTo(from) < distance - 0.1) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Let living enemies notice dead bodies (their own or civilians) in their vision cones.
+     * Returns the bodies discovered this frame.
+     */
+    updateBodyAwareness(enemies, civilians = []) {
+        const discovered = [];
+
+        const onDiscover = (body, finder) => {
+            body.bodyFound = true;
+
+            // Finder investigates and radios it in to the rest of the compound
+            finder.discoverBody(body, this);
+            this.startRadioCall(finder, body.position, 'body');
+
+            discovered.push({ body, finder });
+        };
+
+        for (const { body, finder } of this.exposedBodies) {
+            if (!body.bodyFound) onDiscover(body, finder);
+        }
+        this.exposedBodies = [];
+
+        for (const body of [...enemies, ...civilians]) {
+            if (body.isAlive || body.bodyFound || body.isHidden) continue;
+
+            for (const enemy of enemies) {
+                if (!enemy.isAlive || !this.canSeeBody(enemy, body)) continue;
+
+                onDiscover(body, enemy);
+                break;
+            }
+        }
+
+        return discovered;
+    }
+
+    /**
+     * A guard opens a hiding spot, exposing anyone or anything inside
+     */
+    searchHidingSpot(enemy, spot, player) {
+        if (player.hidingSpot === spot) {
+            player.exitHidingSpot();
+            enemy.alertLevel = this.combatThreshold;
+            enemy.alertState = AlertState.COMBAT;
+            enemy.lastKnownPlayerPos = player.position.clone();
+        }
+
+        for (const body of spot.bodies) {
+            body.setHidden(false, spot.exitPosition);
+            this.exposedBodies.push({ body, finder: enemy });
+        }
+        spot.bodies = [];
+    }
+
     /**
      * Check line of sight between two points
      */
@@ -220,7 +437,8 @@ class StealthSystem {
         // Get meshes to check
         const meshes = [];
         this.scene.traverse((obj) => {
-            if (obj.isMesh && obj.geometry && !obj.userData.isEnemy && !obj.userData.isPlayer) {
+            if (obj.isMesh && obj.geometry && !obj.userData.isEnemy && !obj.userData.isPlayer &&
+                !obj.userData.isVisionCone && !obj.userData.isCamera && !obj.userData.isPreview) {
                 meshes.push(obj);
             }
         });
@@ -254,6 +472,46 @@ class StealthSystem {
         this.soundSources = this.soundSources.filter(s => now - s.time < 3000);
     }
 
+    /**
+     * Register a takedown where onlookers can see it
+     */
+    registerViolence(position, victim) {
+        const now = Date.now();
+        this.violence = this.violence.filter(v => now - v.time < this.violenceDuration);
+        this.violence.push({ position: position.clone(), victim, time: now });
+    }
+
+    /**
+     * Check if a viewer can see violence: a recent takedown or the player dragging a body.
+     * Returns where it happened, or null.
+     */
+    checkViolenceWitness(viewer, player) {
+        const chest = new THREE.Vector3();
+
+        if (player.isDragging) {
+            chest.set(player.position.x, 1, player.position.z);
+            if (this.canSeePosition(viewer, chest)) return player.position;
+        }
+
+        const now = Date.now();
+        for (const event of this.violence) {
+            if (event.victim === viewer || now - event.time > this.violenceDuration) continue;
+
+            chest.set(event.position.x, 1, event.position.z);
+            if (this.canSeePosition(viewer, chest)) return event.position;
+        }
+
+        return null;
+    }
+
+    /**
+     * Register a footstep, scaled by the floor surface it lands on
+     */
+    registerFootstep(position, loudness) {
+        const surfaceModifier = this.levelBuilder.getSurfaceNoiseModifier(position);
+        this.registerSound(position, loudness * surfaceModifier, 'footstep');
+    }
+
     /**
      * Check if enemy can hear any sounds
      */
@@ -370,12 +628,94 @@ class StealthSystem {
      */
     alertAllEnemies(enemies, position, alertLevel = 0.5) {
         for (const enemy of enemies) {
+            if (!enemy.isAlive) continue;
+
             enemy.lastKnownPlayerPos = position.clone();
             enemy.alertLevel = Math.max(enemy.alertLevel, alertLevel);
             enemy.alertState = this.getStateFromLevel(enemy.alertLevel);
         }
     }
 
+    /**
+     * Start a guard calling an alert in over the radio
+     */
+    startRadioCall(enemy, position, reason) {
+        if (enemy.radioCall) return;
+
+        // Contact sends everyone searching hard, a body puts them on alert
+        const level = reason === 'combat' ?
+            (this.alertedThreshold + this.combatThreshold) / 2 :
+            this.alertedThreshold;
+
+        enemy.radioCall = {
+            caller: enemy,
+            position: position.clone(),
+            level,
+            reason,
+            timeLeft: this.radioDelay,
+            announced: false
+        };
+        this.radioCalls.push(enemy.radioCall);
+    }
+
+    /**
+     * Advance radio calls. Returns events for the game to present:
+     * 'bark' when a call starts, 'alert' when it goes out, 'cut' when the caller goes down first.
+     */
+    updateRadio(enemies, deltaTime) {
+        const events = [];
+
+        this.radioCalls = this.radioCalls.filter(call => {
+            // Taken down before finishing the call: nobody else hears it
+            if (!call.caller.isAlive) {
+                call.caller.radioCall = null;
+                events.push({ type: 'cut', call, bark: RadioBarks[call.reason] });
+                return false;
+            }
+
+            if (!call.announced) {
+                call.announced = true;
+                events.push({ type: 'bark', call, bark: RadioBarks[call.reason] });
+            }
+
+            call.timeLeft -= deltaTime;
+            if (call.timeLeft > 0) return true;
+
+            call.caller.radioCall = null;
+            this.alertAllEnemies(enemies, call.position, call.level);
+            events.push({ type: 'alert', call, bark: RadioBarks[call.reason] });
+            return false;
+        });
+
+        return events;
+    }
+
+    /**
+     * Snapshot radio calls in progress for saving
+     */
+    serializeRadio(enemies) {
+        return this.radioCalls.map(call => ({
+            caller: enemies.indexOf(call.caller),
+            position: call.position.toArray(),
+            reason: call.reason,
+            timeLeft: call.timeLeft
+        }));
+    }
+
+    /**
+     * Restore radio calls in progress from a snapshot
+     */
+    deserializeRadio(data, enemies) {
+        for (const saved of data) {
+            const caller = enemies[saved.caller];
+            if (!caller || !caller.isAlive) continue;
+
+            this.startRadioCall(caller, new THREE.Vector3().fromArray(saved.position), saved.reason);
+            caller.radioCall.timeLeft = saved.timeLeft;
+            caller.radioCall.announced = true;
+        }
+    }
+
     /**
      * Remove vision cone when enemy dies
      */
@@ -383,6 +723,10 @@ class StealthSystem {
         const visionCone = this.visionCones.get(enemyId);
         if (visionCone) {
             this.scene.remove(visionCone.group);
+            visionCone.cone.geometry.dispose();
+            visionCone.cone.material.dispose();
+            visionCone.edges.geometry.dispose();
+            visionCone.edges.material.dispose();
             this.visionCones.delete(enemyId);
         }
     }
@@ -400,12 +744,20 @@ class StealthSystem {
     cleanup() {
         for (const [id, cone] of this.visionCones) {
             this.scene.remove(cone.group);
+            cone.cone.geometry.dispose();
+            cone.cone.material.dispose();
+            cone.edges.geometry.dispose();
+            cone.edges.material.dispose();
         }
         this.visionCones.clear();
         this.soundSources = [];
+        this.violence = [];
+        this.exposedBodies = [];
+        this.radioCalls = [];
     }
 }
 
 // Export
 window.AlertState = AlertState;
+window.RadioBarks = RadioBarks;
 window.StealthSystem = StealthSystem;
@@ -0,0 +1,92 @@
+/**
+ * SurveillanceSystem.js
+ * Security cameras, recorded footage and the recorders that store it
+ */
+
+class SurveillanceSystem {
+    constructor(cameras, levelBuilder, stealthSystem, interactionSystem, stateManager, uiManager) {
+        this.cameras = cameras;
+        this.levelBuilder = levelBuilder;
+        this.stealthSystem = stealthSystem;
+        this.interactionSystem = interactionSystem;
+        this.stateManager = stateManager;
+        this.uiManager = uiManager;
+
+        // Interaction parameters
+        this.eraseHoldTime = 1.5;
+
+        this.registerRecorders();
+    }
+
+    /**
+     * Register erase interactions on the footage recorders
+     */
+    registerRecorders() {
+        for (const recorder of this.levelBuilder.recorders) {
+            this.interactionSystem.register({
+                position: recorder.position,
+                isAvailable: () => this.hasFootage(),
+                prompt: 'Hold to erase camera footage',
+                onHold: () => this.eraseFootage(),
+                holdDuration: this.eraseHoldTime
+            });
+        }
+    }
+
+    /**
+     * Update all cameras
+     */
+    update(deltaTime, player) {
+        for (const camera of this.cameras) {
+            if (camera.update(deltaTime, player, this.stealthSystem)) {
+                this.recordPlayer();
+            }
+        }
+    }
+
+    /**
+     * A camera caught the player on tape
+     */
+    recordPlayer() {
+        if (this.hasFootage()) return;
+
+        this.stateManager.stateData.caughtOnCamera = true;
+        this.uiManager.showNotification('Caught on camera', 2500);
+    }
+
+    /**
+     * Check if there is footage of the player
+     */
+    hasFootage() {
+        return this.stateManager.stateData.caughtOnCamera;
+    }
+
+    /**
+     * Wipe the recorded footage
+     */
+    eraseFootage() {
+        this.stateManager.stateData.caughtOnCamera = false;
+        this.uiManager.showNotification('Footage erased', 2000);
+    }
+
+    /**
+     * Snapshot camera state for saving (footage is part of the mission stats)
+     */
+    serialize() {
+        return this.cameras.map(camera => camera.serialize());
+    }
+
+    /**
+     * Restore camera state from a snapshot
+     */
+    deserialize(data) {
+        data.forEach((saved, i) => {
+            if (this.cameras[i]) {
+                this.cameras[i].deserialize(saved, this.stealthSystem);
+            }
+        });
+    }
+}
+
+// Export
+window.SurveillanceSystem = SurveillanceSystem;
@@ -0,0 +1,84 @@
+/**
+ * TakedownSystem.js
+ * Close-range melee takedowns: subdue (knockout) or silent kill
+ */
+
+class TakedownSystem {
+    constructor(player, interactionSystem, stealthSystem, stateManager, audioManager) {
+        this.player = player;
+        this.interactionSystem = interactionSystem;
+        this.stealthSystem = stealthSystem;
+        this.stateManager = stateManager;
+        this.audioManager = audioManager;
+
+        // Takedown parameters
+        this.range = 1.6;
+        this.killHoldTime = 0.8;
+    }
+
+    /**
+     * Register takedown interactions on enemies
+     */
+    registerEnemies(enemies) {
+        for (const enemy of enemies) {
+            this.interactionSystem.register({
+                getPosition: () => enemy.position,
+                radius: this.range,
+                priority: 1,
+                isAvailable: () => this.canTakedown(enemy),
+                prompt: enemy.isTarget ? 'Hold to eliminate' : 'Subdue (hold to kill)',
+                onInteract: enemy.isTarget ? null : () => this.subdue(enemy),
+                onHold: () => this.kill(enemy),
+                holdDuration: this.killHoldTime
+            });
+        }
+    }
+
+    /**
+     * Check if an enemy can be taken down: alive, unaware and approached from behind
+     */
+    canTakedown(enemy) {
+        if (!enemy.isAlive || this.player.isDragging || this.player.isHidden) return false;
+        if (enemy.alertState !== AlertState.IDLE && enemy.alertState !== AlertState.SUSPICIOUS) return false;
+
+        const toPlayer = new THREE.Vector3().subVectors(this.player.position, enemy.position);
+        toPlayer.y = 0;
+        if (toPlayer.lengthSq() < 0.0001) return true;
+
+        const enemyForward = new THREE.Vector3(
+            -Math.sin(enemy.rotation),
+            0,
+            -Math.cos(enemy.rotation)
+        );
+
+        // Outside the vision cone, with a little margin
+        return enemyForward.angleTo(toPlayer) > enemy.detectionAngle + 0.3;
+    }
+
+    /**
+     * Knock an enemy out
+     */
+    subdue(enemy) {
+        if (!this.canTakedown(enemy)) return;
+
+        enemy.knockOut();
+        this.stateManager.incrementStat('knockouts');
+        this.stealthSystem.registerViolence(enemy.position, enemy);
+        this.audioManager.playHit(false);
+    }
+
+    /**
+     * Kill an enemy silently
+     */
+    kill(enemy) {
+        if (!this.canTakedown(enemy)) return;
+
+        enemy.health = 0;
+        enemy.die();
+        this.stealthSystem.registerViolence(enemy.position, enemy);
+        this.audioManager.playHit(false);
+    }
+}
+
+// Export
+window.TakedownSystem = TakedownSystem;
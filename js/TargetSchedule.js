@@ -0,0 +1,181 @@
+/**
+ * TargetSchedule.js
+ * The target's timed routine and the phone lures that interrupt it
+ *
+ * A step is a plain object:
+ *   activity    Description of what the target is doing
+ *   position    Where the activity takes place
+ *   rotation    Facing while performing (0 = looking towards -Z)
+ *   duration    Seconds spent performing once there
+ *   animation   Pose while performing: 'phone', 'talk', 'look' or 'idle'
+ *
+ * A lure is { prompt, position, step }: interacting at position makes the
+ * phone ring, and the target walks over to perform step before resuming.
+ */
+
+const SchedulePhase = {
+    TRAVEL: 'TRAVEL',
+    PERFORM: 'PERFORM'
+};
+
+class TargetSchedule {
+    constructor(target, schedule, interactionSystem, uiManager, audioManager) {
+        this.target = target;
+        this.steps = schedule.steps;
+        this.lures = schedule.lures;
+        this.interactionSystem = interactionSystem;
+        this.uiManager = uiManager;
+        this.audioManager = audioManager;
+
+        // Ringing parameters
+        this.ringInterval = 3; // Seconds between rings
+
+        // State
+        this.stepIndex = 0;
+        this.phase = SchedulePhase.TRAVEL;
+        this.timer = 0;
+        this.activeLure = null;
+        this.ringTimer = 0;
+
+        // The target follows this routine whenever he is calm
+        this.target.schedule = this;
+
+        this.registerLures();
+    }
+
+    /**
+     * Register ring interactions on the lure phones
+     */
+    registerLures() {
+        for (const lure of this.lures) {
+            this.interactionSystem.register({
+                position: lure.position,
+                isAvailable: () => this.target.isAlive && this.activeLure === null,
+                prompt: lure.prompt,
+                onInteract: () => this.ring(lure)
+            });
+        }
+    }
+
+    /**
+     * Start a phone ringing; the target will come to answer it
+     */
+    ring(lure) {
+        this.activeLure = lure;
+        this.phase = SchedulePhase.TRAVEL;
+        this.ringTimer = 0;
+        this.uiManager.showNotification('The phone is ringing', 2000);
+    }
+
+    /**
+     * Check if there is anything to do: a routine step or a ringing phone.
+     * Without either the target keeps to their patrol route.
+     */
+    hasRoutine() {
+        return this.activeLure !== null || this.steps.length > 0;
+    }
+
+    /**
+     * Get the step the target is working on
+     */
+    getCurrentStep() {
+        return this.activeLure ? this.activeLure.step : this.steps[this.stepIndex];
+    }
+
+    /**
+     * Keep ringing phones ringing (runs every frame, whatever the target is doing)
+     */
+    update(deltaTime) {
+        if (!this.activeLure) return;
+
+        // Nobody left to answer
+        if (!this.target.isAlive) {
+            this.activeLure = null;
+            return;
+        }
+
+        if (this.phase === SchedulePhase.TRAVEL) {
+            this.ringTimer -= deltaTime;
+            if (this.ringTimer <= 0) {
+                this.ringTimer = this.ringInterval;
+                this.audioManager.playPhoneRing();
+            }
+        }
+    }
+
+    /**
+     * Walk to the current step and perform it (called by the target while idle,
+     * as long as there is a routine)
+     */
+    followRoutine(deltaTime, colliders) {
+        const enemy = this.target;
+        const step = this.getCurrentStep();
+
+        // Pulled away mid-activity (e.g. investigating): walk back first
+        if (this.phase === SchedulePhase.PERFORM && enemy.flatDistanceTo(step.position) > 1) {
+            this.phase = SchedulePhase.TRAVEL;
+        }
+
+        if (this.phase === SchedulePhase.TRAVEL) {
+            if (enemy.flatDistanceTo(step.position) > 0.3 && !enemy.hasReachedPathEnd(step.position)) {
+                enemy.navigateTo(step.position, enemy.walkSpeed, deltaTime, colliders);
+                return;
+            }
+
+            this.phase = SchedulePhase.PERFORM;
+            this.timer = step.duration;
+        }
+
+        // Perform the activity
+        const lookAt = step.position.clone().add(
+            new THREE.Vector3(-Math.sin(step.rotation), 0, -Math.cos(step.rotation))
+        );
+        enemy.facePosition(lookAt, deltaTime);
+        enemy.activity = step.animation;
+
+        this.timer -= deltaTime;
+        if (this.timer <= 0) {
+            this.advance();
+        }
+    }
+
+    /**
+     * Move on to the next step, or back to the routine after a lure
+     */
+    advance() {
+        if (this.activeLure) {
+            this.activeLure = null;
+        } else {
+            this.stepIndex = (this.stepIndex + 1) % this.steps.length;
+        }
+        this.phase = SchedulePhase.TRAVEL;
+        this.timer = 0;
+    }
+
+    /**
+     * Snapshot routine progress for saving
+     */
+    serialize() {
+        return {
+            stepIndex: this.stepIndex,
+            phase: this.phase,
+            timer: this.timer,
+            activeLure: this.lures.indexOf(this.activeLure)
+        };
+    }
+
+    /**
+     * Restore routine progress from a snapshot
+     */
+    deserialize(data) {
+        this.stepIndex = data.stepIndex;
+        this.phase = data.phase;
+        this.timer = data.timer;
+        this.activeLure = this.lures[data.activeLure] || null;
+        this.ringTimer = 0;
+    }
+}
+
+// Export
+window.SchedulePhase = SchedulePhase;
+window.TargetSchedule = TargetSchedule;
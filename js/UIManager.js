@@ -22,9 +22,11 @@ class UIManager {
 
             // Objective
             objectiveText: document.getElementById('objective-text'),
+            objectiveList: document.getElementById('objective-list'),
 
             // Alert status
             alertStatus: document.getElementById('alert-status'),
+            disguiseStatus: document.getElementById('disguise-status'),
 
             // Damage overlay
             damageOverlay: document.getElementById('damage-overlay'),
@@ -32,16 +34,35 @@ class UIManager {
             // Screens
             screenOverlay: document.getElementById('screen-overlay'),
             startButton: document.getElementById('start-button'),
+            editorButton: document.getElementById('editor-button'),
+            missionList: document.getElementById('mission-list'),
+            missionRecord: document.getElementById('mission-record'),
             loadingBar: document.getElementById('loading-bar'),
             loadingText: document.getElementById('loading-text'),
             missionComplete: document.getElementById('mission-complete'),
             gameOver: document.getElementById('game-over'),
+            gameOverReason: document.getElementById('game-over-reason'),
+
+            // Pause menu
+            pauseMenu: document.getElementById('pause-menu'),
+            pauseMain: document.getElementById('pause-main'),
+            settingsPanel: document.getElementById('settings-panel'),
+            volumeSlider: document.getElementById('volume-slider'),
+            sensitivitySlider: document.getElementById('sensitivity-slider'),
 
             // Stats
             statTime: document.getElementById('stat-time'),
+            statObjectives: document.getElementById('stat-objectives'),
+            statExit: document.getElementById('stat-exit'),
             statKills: document.getElementById('stat-kills'),
+            statKnockouts: document.getElementById('stat-knockouts'),
             statShots: document.getElementById('stat-shots'),
             statDetected: document.getElementById('stat-detected'),
+            statBodies: document.getElementById('stat-bodies'),
+            statUnconscious: document.getElementById('stat-unconscious'),
+            statCivilians: document.getElementById('stat-civilians'),
+            statWounded: document.getElementById('stat-wounded'),
+            statCamera: document.getElementById('stat-camera'),
 
             // Crosshair
             crosshair: document.getElementById('crosshair'),
@@ -53,7 +74,8 @@ class UIManager {
             minimapCanvas: document.getElementById('minimap-canvas'),
 
             // Interaction
-            interactionPrompt: document.getElementById('interaction-prompt')
+            interactionPrompt: document.getElementById('interaction-prompt'),
+            interactionProgress: document.querySelector('#interaction-prompt .progress-fill')
         };
 
         // Minimap setup
@@ -97,6 +119,57 @@ class UIManager {
         if (this.elements.startButton) {
             this.elements.startButton.style.display = 'block';
         }
+        if (this.elements.editorButton) {
+            this.elements.editorButton.style.display = 'block';
+        }
+    }
+
+    /**
+     * List the missions on the start screen with their briefings and best results.
+     * Clicking a mission calls onSelect with its id.
+     * @param {Array} missions - mission definitions
+     * @param {Function} getRecord - mission id to { rating, timeMs } (or null)
+     */
+    showMissionSelect(missions, getRecord, selectedId, onSelect) {
+        const list = this.elements.missionList;
+        if (!list) return;
+
+        list.innerHTML = '';
+        for (const mission of missions) {
+            const card = document.createElement('button');
+            card.className = 'mission-card';
+            card.classList.toggle('selected', mission.id === selectedId);
+
+            const name = document.createElement('div');
+            name.className = 'mission-name';
+            name.textContent = mission.name;
+
+            const briefing = document.createElement('div');
+            briefing.className = 'mission-briefing';
+            briefing.textContent = mission.briefing || '';
+
+            const record = getRecord(mission.id);
+            const best = document.createElement('div');
+            best.className = 'mission-best';
+            best.textContent = record ?
+                `Best: ${record.rating} / ${this.formatTime(record.timeMs)}` :
+                'Not completed';
+
+            card.append(name, briefing, best);
+            card.addEventListener('click', () => onSelect(mission.id));
+            list.appendChild(card);
+        }
+
+        list.style.display = 'flex';
+    }
+
+    /**
+     * Format a duration as m:ss
+     */
+    formatTime(ms) {
+        const minutes = Math.floor(ms / 60000);
+        const seconds = Math.floor((ms % 60000) / 1000);
+        return `${minutes}:${seconds.toString().padStart(2, '0')}`;
     }
 
     /**
@@ -108,6 +181,29 @@ class UIManager {
         }
     }
 
+    /**
+     * Show start screen (returning to the menu)
+     */
+    showStartScreen() {
+        if (this.elements.screenOverlay) {
+            this.elements.screenOverlay.classList.remove('hidden');
+        }
+    }
+
+    /**
+     * Hide mission complete, game over and pause screens
+     */
+    hideEndScreens() {
+        this.elements.missionComplete.classList.remove('visible');
+        this.elements.gameOver.classList.remove('visible');
+        this.hidePauseMenu();
+        this.hideInteraction();
+
+        this.damageFlashTimer = 0;
+        this.elements.damageOverlay.style.opacity = 0;
+        this.lastHealth = 100;
+    }
+
     /**
      * Show HUD
      */
@@ -220,14 +316,40 @@ class UIManager {
         this.elements.objectiveText.textContent = text;
     }
 
+    /**
+     * Redraw the objective checklist
+     * @param {Array} checklist - { description, state, optional } from ObjectiveSystem.getChecklist
+     */
+    updateObjectives(checklist) {
+        const list = this.elements.objectiveList;
+        list.innerHTML = '';
+
+        for (const objective of checklist) {
+            const item = document.createElement('li');
+            item.className = objective.state.toLowerCase();
+            if (objective.optional) {
+                item.classList.add('optional');
+            }
+            item.textContent = objective.optional ? `${objective.description} (optional)` : objective.description;
+            list.appendChild(item);
+        }
+    }
+
     /**
      * Update alert status indicator
      */
-    updateAlertStatus(state) {
+    updateAlertStatus(state, alarm = false) {
         const el = this.elements.alertStatus;
 
         // Remove all classes
-        el.classList.remove('visible', 'suspicious', 'alerted', 'combat');
+        el.classList.remove('visible', 'suspicious', 'alerted', 'combat', 'alarm');
+
+        // The compound alarm outranks any single guard's state
+        if (alarm) {
+            el.classList.add('visible', 'alarm');
+            el.textContent = 'ALARM';
+            return;
+        }
 
         if (state === AlertState.IDLE) {
             return;
@@ -251,6 +373,24 @@ class UIManager {
         }
     }
 
+    /**
+     * Update disguise indicator
+     */
+    updateDisguise(outfitName, trespassing, inCrowd = false) {
+        const el = this.elements.disguiseStatus;
+        let text = outfitName;
+        if (trespassing) {
+            text = `${outfitName} - TRESPASSING`;
+        } else if (inCrowd) {
+            text = `${outfitName} - In crowd`;
+        }
+
+        if (el.textContent !== text) {
+            el.textContent = text;
+            el.classList.toggle('trespassing', trespassing);
+        }
+    }
+
     /**
      * Update minimap
      */
@@ -280,18 +420,16 @@ class UIManager {
             };
         };
 
-        // Draw escape zone
-        if (levelData.escapeZone) {
-            const ez = levelData.escapeZone;
-            const ezCenter = toMinimap({
-                x: (ez.min.x + ez.max.x) / 2,
-                z: (ez.min.z + ez.max.z) / 2
-            });
-            ctx.fillStyle = 'rgba(0, 255, 0, 0.3)';
+        // Draw exits: green while open, grey while their requirements are not met
+        for (const exit of levelData.exits) {
+            const exitMin = toMinimap(exit.min);
+            const exitMax = toMinimap(exit.max);
+            ctx.fillStyle = exit.available ? 'rgba(0, 255, 0, 0.4)' : 'rgba(150, 150, 150, 0.3)';
             ctx.fillRect(
-                ezCenter.x - 10,
-                ezCenter.y - 5,
-                20, 10
+                exitMin.x,
+                exitMin.y,
+                Math.max(exitMax.x - exitMin.x, 4),
+                Math.max(exitMax.y - exitMin.y, 4)
             );
         }
 
@@ -366,13 +504,21 @@ class UIManager {
     /**
      * Show mission complete screen
      */
-    showMissionComplete(stats, rating) {
+    showMissionComplete(stats, rating, newBest = {}) {
         this.hideHUD();
 
         this.elements.statTime.textContent = stats.time;
+        this.elements.statObjectives.textContent = stats.objectives;
+        this.elements.statExit.textContent = stats.exitUsed || '-';
         this.elements.statKills.textContent = stats.enemiesKilled;
+        this.elements.statKnockouts.textContent = stats.knockouts;
         this.elements.statShots.textContent = stats.shotsFired;
         this.elements.statDetected.textContent = stats.timesDetected;
+        this.elements.statBodies.textContent = stats.bodiesFound;
+        this.elements.statUnconscious.textContent = stats.unconsciousFound;
+        this.elements.statCivilians.textContent = stats.civiliansKilled;
+        this.elements.statWounded.textContent = stats.civiliansWounded;
+        this.elements.statCamera.textContent = stats.caughtOnCamera ? 'Yes' : 'No';
 
         // Update rating
         const ratingEl = this.elements.missionComplete.querySelector('.rating');
@@ -380,17 +526,58 @@ class UIManager {
             ratingEl.textContent = rating;
         }
 
+        // Beaten records for this mission
+        const records = [];
+        if (newBest.bestRating) records.push('New best rating');
+        if (newBest.bestTime) records.push('New best time');
+        this.elements.missionRecord.textContent = records.join(' / ');
+
         this.elements.missionComplete.classList.add('visible');
     }
 
     /**
-     * Show game over screen
+     * Show game over screen with the reason the mission failed
      */
-    showGameOver() {
+    showGameOver(reason) {
         this.hideHUD();
+        this.elements.gameOverReason.textContent = reason;
         this.elements.gameOver.classList.add('visible');
     }
 
+    /**
+     * Show pause menu
+     */
+    showPauseMenu() {
+        this.hideSettings();
+        this.hideInteraction();
+        this.elements.pauseMenu.classList.add('visible');
+    }
+
+    /**
+     * Hide pause menu
+     */
+    hidePauseMenu() {
+        this.elements.pauseMenu.classList.remove('visible');
+    }
+
+    /**
+     * Show settings panel inside the pause menu
+     */
+    showSettings(volume, sensitivity) {
+        this.elements.volumeSlider.value = volume;
+        this.elements.sensitivitySlider.value = sensitivity;
+        this.elements.pauseMain.classList.add('hidden');
+        this.elements.settingsPanel.classList.remove('hidden');
+    }
+
+    /**
+     * Return from settings to the pause menu
+     */
+    hideSettings() {
+        this.elements.settingsPanel.classList.add('hidden');
+        this.elements.pauseMain.classList.remove('hidden');
+    }
+
     /**
      * Show interaction prompt
      */
@@ -409,6 +596,17 @@ class UIManager {
         this.elements.interactionPrompt.classList.remove('visible');
     }
 
+    /**
+     * Show hold-to-interact progress (null hides the bar)
+     */
+    updateInteractionProgress(progress) {
+        const el = this.elements.interactionProgress;
+        if (!el) return;
+
+        el.parentElement.classList.toggle('visible', progress !== null);
+        el.style.width = `${(progress || 0) * 100}%`;
+    }
+
     /**
      * Update frame (called every frame)
      */
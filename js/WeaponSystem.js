@@ -36,9 +36,44 @@ class WeaponSystem {
                 reloadTime: 1.2,
                 spread: 0.03,
                 range: 40
+            },
+            // Throwables: magSize is the most that can be carried
+            {
+                name: 'Coin',
+                throwable: true,
+                fireRate: 0.8,
+                magSize: 5,
+                reserveAmmo: 0,
+                currentAmmo: 3,
+                throwSpeed: 9,
+                loudness: 0.4,
+                breaks: false
+            },
+            {
+                name: 'Bottle',
+                throwable: true,
+                fireRate: 1,
+                magSize: 2,
+                reserveAmmo: 0,
+                currentAmmo: 1,
+                throwSpeed: 8,
+                loudness: 0.8,
+                breaks: true
             }
         ];
 
+        // Throwable physics
+        this.throwGravity = 9.8;
+        this.throwLift = 0.35; // Added to the aim direction's y for an arc
+        this.projectiles = [];
+        this.pickups = [];
+
+        // Aiming arc preview
+        this.arcSteps = 40;
+        this.arcTimeStep = 0.05;
+        this.arcPreview = null;
+        this.arcMarker = null;
+
         this.currentWeaponIndex = 0;
         this.fireCooldown = 0;
         this.isReloading = false;
@@ -63,13 +98,13 @@ class WeaponSystem {
      * Setup input handlers
      */
     setupInput() {
-        document.addEventListener('mousedown', (e) => {
+        this.onMouseDown = (e) => {
             if (e.button === 0 && window.game && window.game.stateManager.isPlaying()) {
                 this.shoot();
             }
-        });
+        };
 
-        document.addEventListener('keydown', (e) => {
+        this.onKeyDown = (e) => {
             if (!window.game || !window.game.stateManager.isPlaying()) return;
 
             switch (e.code) {
@@ -79,11 +114,20 @@ class WeaponSystem {
                 case 'Digit2':
                     this.switchWeapon(1);
                     break;
+                case 'Digit3':
+                    this.switchWeapon(2);
+                    break;
+                case 'Digit4':
+                    this.switchWeapon(3);
+                    break;
                 case 'KeyR':
                     this.reload();
                     break;
             }
-        });
+        };
+
+        document.addEventListener('mousedown', this.onMouseDown);
+        document.addEventListener('keydown', this.onKeyDown);
     }
 
     /**
@@ -112,12 +156,16 @@ class WeaponSystem {
      * Shoot the current weapon
      */
     shoot() {
-        if (!this.player.isAlive) return;
+        if (!this.player.isAlive || this.player.isHidden || this.player.isDragging) return;
         if (this.fireCooldown > 0) return;
         if (this.isReloading) return;
 
         const weapon = this.getCurrentWeapon();
 
+        if (weapon.throwable) {
+            return this.throwItem(weapon);
+        }
+
         // Check ammo
         if (weapon.currentAmmo <= 0) {
             if (this.audioManager) {
@@ -161,6 +209,240 @@ class WeaponSystem {
         return hit;
     }
 
+    /**
+     * Throw the current throwable along an arc
+     */
+    throwItem(weapon) {
+        if (weapon.currentAmmo <= 0) {
+            if (this.audioManager) {
+                this.audioManager.playEmptyClick();
+            }
+            return null;
+        }
+
+        weapon.currentAmmo--;
+        this.fireCooldown = weapon.fireRate;
+
+        const mesh = this.createThrowableMesh(weapon);
+        mesh.position.copy(this.player.getShootPosition());
+        this.scene.add(mesh);
+
+        this.projectiles.push({
+            mesh,
+            weapon,
+            velocity: this.getThrowVelocity(weapon)
+        });
+
+        return null;
+    }
+
+    /**
+     * Initial velocity of a throw: the aim direction tilted upwards
+     */
+    getThrowVelocity(weapon) {
+        const direction = this.player.getAimDirection();
+        direction.y += this.throwLift;
+        return direction.normalize().multiplyScalar(weapon.throwSpeed);
+    }
+
+    /**
+     * Create the mesh for a thrown item
+     */
+    createThrowableMesh(weapon) {
+        const geometry = weapon.breaks ?
+            new THREE.CylinderGeometry(0.03, 0.04, 0.25, 8) :
+            new THREE.CylinderGeometry(0.04, 0.04, 0.01, 8);
+        const material = new THREE.MeshStandardMaterial({
+            color: weapon.breaks ? 0x2e6b3a : 0xcc9900,
+            metalness: weapon.breaks ? 0.2 : 0.8,
+            roughness: 0.3
+        });
+        return new THREE.Mesh(geometry, material);
+    }
+
+    /**
+     * Advance a thrown item by one step. Returns true once it has landed.
+     */
+    stepProjectile(position, velocity, deltaTime) {
+        velocity.y -= this.throwGravity * deltaTime;
+        position.addScaledVector(velocity, deltaTime);
+
+        if (position.y <= 0.02) {
+            position.y = 0.02;
+            return true;
+        }
+
+        return this.hitsCollider(position);
+    }
+
+    /**
+     * Check if a point is inside level geometry
+     */
+    hitsCollider(position) {
+        for (const collider of this.player.colliders) {
+            if (collider.type === 'cylinder') {
+                const dx = position.x - collider.position.x;
+                const dz = position.z - collider.position.z;
+                if (dx * dx + dz * dz < collider.radius * collider.radius &&
+                    position.y < collider.position.y + collider.height) {
+                    return true;
+                }
+            } else if (collider.bounds && collider.bounds.containsPoint(position)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Update thrown items in flight
+     */
+    updateProjectiles(deltaTime) {
+        for (let i = this.projectiles.length - 1; i >= 0; i--) {
+            const projectile = this.projectiles[i];
+            const previous = projectile.mesh.position.clone();
+
+            projectile.mesh.rotation.x += deltaTime * 10;
+
+            if (this.stepProjectile(projectile.mesh.position, projectile.velocity, deltaTime)) {
+                // Settle just before whatever was hit
+                if (projectile.mesh.position.y > 0.02) {
+                    projectile.mesh.position.copy(previous);
+                }
+                this.landProjectile(projectile);
+                this.projectiles.splice(i, 1);
+            }
+        }
+    }
+
+    /**
+     * A thrown item hit something: make noise for the guards
+     */
+    landProjectile(projectile) {
+        const position = projectile.mesh.position;
+        const weapon = projectile.weapon;
+
+        if (this.audioManager) {
+            this.audioManager.playThrowImpact(weapon.breaks);
+        }
+
+        if (window.game && window.game.stealthSystem) {
+            window.game.stealthSystem.registerSound(position, weapon.loudness, 'distraction');
+        }
+
+        this.scene.remove(projectile.mesh);
+        projectile.mesh.geometry.dispose();
+        projectile.mesh.material.dispose();
+
+        // Glass shards
+        if (weapon.breaks) {
+            this.createImpactEffect(position.clone(), new THREE.Vector3(0, 1, 0));
+        }
+    }
+
+    /**
+     * Show where the selected throwable would land
+     */
+    updateArcPreview() {
+        const weapon = this.getCurrentWeapon();
+        const visible = weapon.throwable && weapon.currentAmmo > 0 &&
+            this.player.isAlive && !this.player.isHidden && !this.player.isDragging;
+
+        if (!visible) {
+            if (this.arcPreview) {
+                this.arcPreview.visible = false;
+                this.arcMarker.visible = false;
+            }
+            return;
+        }
+
+        if (!this.arcPreview) {
+            this.createArcPreview();
+        }
+
+        const position = this.player.getShootPosition();
+        const velocity = this.getThrowVelocity(weapon);
+        const attribute = this.arcPreview.geometry.getAttribute('position');
+        attribute.setXYZ(0, position.x, position.y, position.z);
+
+        let count = 1;
+        while (count <= this.arcSteps) {
+            const landed = this.stepProjectile(position, velocity, this.arcTimeStep);
+            attribute.setXYZ(count, position.x, position.y, position.z);
+            count++;
+            if (landed) break;
+        }
+
+        attribute.needsUpdate = true;
+        this.arcPreview.geometry.setDrawRange(0, count);
+        this.arcPreview.visible = true;
+
+        this.arcMarker.position.copy(position);
+        this.arcMarker.visible = true;
+    }
+
+    /**
+     * Create the aiming arc line and landing marker
+     */
+    createArcPreview() {
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array((this.arcSteps + 1) * 3), 3));
+
+        this.arcPreview = new THREE.Line(
+            geometry,
+            new THREE.LineBasicMaterial({ color: 0xffffff, transparent: true, opacity: 0.5 })
+        );
+        this.arcPreview.frustumCulled = false;
+        this.scene.add(this.arcPreview);
+
+        this.arcMarker = new THREE.Mesh(
+            new THREE.RingGeometry(0.15, 0.22, 16),
+            new THREE.MeshBasicMaterial({ color: 0xffffff, transparent: true, opacity: 0.6, side: THREE.DoubleSide })
+        );
+        this.arcMarker.rotation.x = -Math.PI / 2;
+        this.scene.add(this.arcMarker);
+
+        // Hidden previews stay where they were last drawn; keep them out of every raycast
+        for (const preview of [this.arcPreview, this.arcMarker]) {
+            preview.userData.isPreview = true;
+            preview.raycast = () => {};
+        }
+    }
+
+    /**
+     * Register pickup interactions for throwables lying around the level
+     */
+    registerPickups(pickups, interactionSystem) {
+        this.pickups = pickups;
+
+        for (const pickup of pickups) {
+            const weapon = this.weapons.find(w => w.name === pickup.name);
+            if (!weapon) {
+                console.warn(`Unknown pickup: ${pickup.name}`);
+                continue;
+            }
+
+            interactionSystem.register({
+                position: pickup.position,
+                radius: 1.8,
+                isAvailable: () => !pickup.collected && weapon.currentAmmo < weapon.magSize,
+                prompt: `Pick up ${pickup.name.toLowerCase()}`,
+                onInteract: () => {
+                    weapon.currentAmmo++;
+                    this.collectPickup(pickup);
+                }
+            });
+        }
+    }
+
+    /**
+     * Remove a pickup from the level
+     */
+    collectPickup(pickup) {
+        pickup.collected = true;
+        this.scene.remove(pickup.mesh);
+    }
+
     /**
      * Perform raycast and check for hits
      */
@@ -180,7 +462,7 @@ class WeaponSystem {
         // Get all objects to check
         const objects = [];
         this.scene.traverse((obj) => {
-            if (obj.isMesh) {
+            if (obj.isMesh && !obj.userData.isVisionCone && !obj.userData.isPlayer && !obj.userData.isPreview) {
                 objects.push(obj);
             }
         });
@@ -196,6 +478,8 @@ class WeaponSystem {
             // Check if hit an enemy
             if (hit.object.userData.isEnemy) {
                 return this.handleEnemyHit(hit, weapon);
+            } else if (hit.object.userData.isCamera) {
+                this.handleCameraHit(hit);
             } else {
                 // Hit environment
                 this.createImpactEffect(hit.point, hit.face.normal);
@@ -216,9 +500,10 @@ class WeaponSystem {
         const enemyId = hit.object.userData.enemyId;
         const isHeadshot = hit.object.userData.isHead;
 
-        // Find enemy in game
+        // Find enemy (or civilian) in game
         if (window.game && window.game.enemies) {
-            const enemy = window.game.enemies.find(e => e.id === enemyId);
+            const enemy = window.game.enemies.find(e => e.id === enemyId) ||
+                window.game.civilians.find(c => c.id === enemyId);
             if (enemy) {
                 const damage = isHeadshot ? 
                     weapon.damage * weapon.headshotMultiplier : 
@@ -246,12 +531,33 @@ class WeaponSystem {
         return null;
     }
 
+    /**
+     * Handle hitting a security camera
+     */
+    handleCameraHit(hit) {
+        if (window.game && window.game.cameras) {
+            const camera = window.game.cameras.find(c => c.id === hit.object.userData.cameraId);
+            if (camera && camera.isAlive) {
+                camera.destroy(window.game.stealthSystem);
+
+                // Shattering camera is louder than a suppressed shot
+                window.game.stealthSystem.registerSound(hit.point, 0.6, 'impact');
+                if (this.audioManager) {
+                    this.audioManager.playThrowImpact(true);
+                }
+            }
+        }
+
+        this.createImpactEffect(hit.point, hit.face.normal);
+    }
+
     /**
      * Reload current weapon
      */
     reload() {
         const weapon = this.getCurrentWeapon();
 
+        if (weapon.throwable) return;
         if (this.isReloading) return;
         if (weapon.currentAmmo === weapon.magSize) return;
         if (weapon.reserveAmmo <= 0) return;
@@ -291,6 +597,10 @@ class WeaponSystem {
             }
         }
 
+        // Thrown items and the aiming arc
+        this.updateProjectiles(deltaTime);
+        this.updateArcPreview();
+
         // Clean up effects
         this.updateEffects(deltaTime);
     }
@@ -502,7 +812,8 @@ class WeaponSystem {
         return {
             name: weapon.name,
             currentAmmo: weapon.currentAmmo,
-            reserveAmmo: weapon.reserveAmmo,
+            // Throwables show how many more can be carried instead
+            reserveAmmo: weapon.throwable ? weapon.magSize : weapon.reserveAmmo,
             isReloading: this.isReloading,
             reloadProgress: this.reloadProgress
         };
@@ -516,6 +827,44 @@ class WeaponSystem {
         weapon.reserveAmmo += amount;
     }
 
+    /**
+     * Snapshot ammo state for saving
+     */
+    serialize() {
+        return {
+            currentWeaponIndex: this.currentWeaponIndex,
+            shotsFired: this.shotsFired,
+            weapons: this.weapons.map(weapon => ({
+                currentAmmo: weapon.currentAmmo,
+                reserveAmmo: weapon.reserveAmmo
+            })),
+            pickups: this.pickups.map(pickup => pickup.collected)
+        };
+    }
+
+    /**
+     * Restore ammo state from a snapshot
+     */
+    deserialize(data) {
+        this.currentWeaponIndex = data.currentWeaponIndex;
+        this.shotsFired = data.shotsFired;
+        this.isReloading = false;
+        this.reloadProgress = 0;
+
+        data.weapons.forEach((saved, i) => {
+            if (this.weapons[i]) {
+                this.weapons[i].currentAmmo = saved.currentAmmo;
+                this.weapons[i].reserveAmmo = saved.reserveAmmo;
+            }
+        });
+
+        (data.pickups || []).forEach((collected, i) => {
+            if (collected && this.pickups[i]) {
+                this.collectPickup(this.pickups[i]);
+            }
+        });
+    }
+
     /**
      * Get total shots fired
      */
@@ -527,14 +876,35 @@ class WeaponSystem {
      * Clean up
      */
     cleanup() {
+        // Remove input handlers
+        document.removeEventListener('mousedown', this.onMouseDown);
+        document.removeEventListener('keydown', this.onKeyDown);
+
         // Remove all effects
-        this.muzzleFlashes.forEach(f => this.scene.remove(f.mesh));
-        this.bulletTrails.forEach(t => this.scene.remove(t.mesh));
-        this.impactMarkers.forEach(m => this.scene.remove(m.mesh));
+        const removeEffect = (effect) => {
+            this.scene.remove(effect.mesh);
+            effect.mesh.geometry.dispose();
+            effect.mesh.material.dispose();
+        };
+        this.muzzleFlashes.forEach(removeEffect);
+        this.bulletTrails.forEach(removeEffect);
+        this.impactMarkers.forEach(removeEffect);
+        this.projectiles.forEach(removeEffect);
 
         this.muzzleFlashes = [];
         this.bulletTrails = [];
         this.impactMarkers = [];
+        this.projectiles = [];
+
+        // Remove the aiming arc
+        for (const obj of [this.arcPreview, this.arcMarker]) {
+            if (!obj) continue;
+            this.scene.remove(obj);
+            obj.geometry.dispose();
+            obj.material.dispose();
+        }
+        this.arcPreview = null;
+        this.arcMarker = null;
     }
 }
 
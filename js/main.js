@@ -9,6 +9,8 @@ class Game {
         this.stateManager = new GameStateManager();
         this.audioManager = new AudioManager();
         this.uiManager = new UIManager();
+        this.saveManager = new SaveManager();
+        this.missionRegistry = new MissionRegistry();
 
         // Three.js core
         this.scene = null;
@@ -20,21 +22,39 @@ class Game {
         this.player = null;
         this.stealthSystem = null;
         this.weaponSystem = null;
+        this.interactionSystem = null;
+        this.disguiseSystem = null;
+        this.hidingSystem = null;
+        this.takedownSystem = null;
+        this.surveillanceSystem = null;
+        this.targetSchedule = null;
+        this.alarmSystem = null;
+        this.evacuationSystem = null;
+        this.squadCoordinator = null;
+        this.levelEditor = null;
 
         // Entities
         this.enemies = [];
         this.target = null;
+        this.cameras = [];
+        this.civilians = [];
 
         // Level data
+        this.missionId = this.missionRegistry.getDefaultId();
         this.levelData = null;
+        this.navGrid = null;
+        this.showNavDebug = false;
 
         // Timing
         this.clock = new THREE.Clock();
         this.lastTime = 0;
+        this.pausedAt = 0;
 
         // Bind methods
         this.update = this.update.bind(this);
         this.onWindowResize = this.onWindowResize.bind(this);
+        this.onKeyDown = this.onKeyDown.bind(this);
+        this.onPointerLockChange = this.onPointerLockChange.bind(this);
 
         // Initialize
         this.init();
@@ -61,12 +81,21 @@ class Game {
         this.setupEnemies();
         this.setupSystems();
 
+        // Editor lives outside the mission, in its own scene
+        this.levelEditor = new LevelEditor(
+            this.renderer,
+            () => this.closeEditor(),
+            levelDef => this.playLayout(levelDef),
+            levelDef => this.missionRegistry.register(levelDef)
+        );
+
         // Setup event listeners
         this.setupEventListeners();
 
         // Ready to play
         this.stateManager.forceState(GameState.MENU);
         this.uiManager.showStartButton();
+        this.showMissionSelect();
 
         // Start game loop
         this.update();
@@ -142,7 +171,11 @@ class Game {
      */
     setupLevel() {
         this.levelBuilder = new LevelBuilder(this.scene);
-        this.levelData = this.levelBuilder.build();
+        this.levelData = this.levelBuilder.build(this.missionRegistry.get(this.missionId));
+
+        // Pathfinding grid for enemies
+        this.navGrid = new NavigationGrid(this.scene, this.levelData.colliders, this.levelData.bounds);
+        this.navGrid.setDebugVisible(this.showNavDebug);
     }
 
     /**
@@ -152,7 +185,8 @@ class Game {
         this.player = new PlayerController(
             this.scene,
             this.camera,
-            this.levelData.colliders
+            this.levelData.colliders,
+            this.levelData.bounds
         );
 
         // Set spawn position
@@ -168,25 +202,65 @@ class Game {
 
         // Create guards from spawn points
         for (const spawnPoint of this.levelData.spawnPoints.guards) {
-            const enemy = new EnemyAI(
-                this.scene,
-                spawnPoint.pos,
-                spawnPoint.patrol,
-                false
-            );
-            this.enemies.push(enemy);
+            this.enemies.push(this.createGuard(spawnPoint));
         }
 
         // Create target
         this.target = new EnemyAI(
             this.scene,
-            this.levelData.spawnPoints.target,
-            this.levelBuilder.createPatrolRoute('office'),
+            this.levelData.spawnPoints.target.pos,
+            this.levelData.spawnPoints.target.patrol,
             true
         );
+        this.target.setNavigation(this.navGrid);
+        this.target.spawnId = 'target';
         this.enemies.push(this.target);
 
-        console.log(`Spawned ${this.enemies.length} enemies (including target)`);
+        // Security cameras
+        this.cameras = this.levelData.spawnPoints.cameras.map(spawnPoint => new SecurityCamera(
+            this.scene,
+            spawnPoint.pos,
+            spawnPoint.rotation,
+            { sweepAngle: spawnPoint.sweepAngle }
+        ));
+
+        // Civilians
+        this.civilians = this.levelData.spawnPoints.civilians.map(spawnPoint => {
+            const civilian = new Civilian(this.scene, spawnPoint.pos, spawnPoint.route, spawnPoint.role);
+            civilian.setNavigation(this.navGrid);
+            return civilian;
+        });
+
+        console.log(`Spawned ${this.enemies.length} enemies (including target), ` +
+            `${this.civilians.length} civilians and ${this.cameras.length} cameras`);
+    }
+
+    /**
+     * Create a guard from a spawn point
+     */
+    createGuard(spawnPoint) {
+        const enemy = new EnemyAI(
+            this.scene,
+            spawnPoint.pos,
+            spawnPoint.patrol,
+            false,
+            { outfit: spawnPoint.outfit, enforcer: spawnPoint.enforcer }
+        );
+        enemy.setNavigation(this.navGrid);
+        enemy.spawnId = spawnPoint.id || null;
+        return enemy;
+    }
+
+    /**
+     * Bring in a reinforcement guard mid-mission, hooked up like the original guards
+     */
+    spawnReinforcement(spawnPoint) {
+        const enemy = this.createGuard(spawnPoint);
+        this.enemies.push(enemy);
+
+        this.stealthSystem.createVisionCone(enemy);
+        this.hidingSystem.registerBodies([enemy]);
+        this.takedownSystem.registerEnemies([enemy]);
     }
 
     /**
@@ -195,11 +269,15 @@ class Game {
     setupSystems() {
         // Stealth system
         this.stealthSystem = new StealthSystem(this.scene, this.levelBuilder);
+        this.stealthSystem.civilians = this.civilians;
 
         // Create vision cones for all enemies
         for (const enemy of this.enemies) {
             this.stealthSystem.createVisionCone(enemy);
         }
+        for (const camera of this.cameras) {
+            this.stealthSystem.createVisionCone(camera);
+        }
 
         // Weapon system
         this.weaponSystem = new WeaponSystem(
@@ -207,6 +285,80 @@ class Game {
             this.player,
             this.audioManager
         );
+
+        // Contextual actions (E)
+        this.interactionSystem = new InteractionSystem(this.player, this.uiManager);
+        for (const interactable of this.levelData.interactables) {
+            this.interactionSystem.register(interactable);
+        }
+
+        // Throwables lying around the level
+        this.weaponSystem.registerPickups(this.levelData.pickups, this.interactionSystem);
+
+        // Disguises
+        this.disguiseSystem = new DisguiseSystem(this.player, this.uiManager);
+
+        // Body dragging and hiding spots
+        this.hidingSystem = new HidingSystem(
+            this.player,
+            this.levelBuilder,
+            this.interactionSystem,
+            this.disguiseSystem
+        );
+        this.hidingSystem.registerBodies(this.enemies);
+        this.hidingSystem.registerBodies(this.civilians);
+
+        // Melee takedowns
+        this.takedownSystem = new TakedownSystem(
+            this.player,
+            this.interactionSystem,
+            this.stealthSystem,
+            this.stateManager,
+            this.audioManager
+        );
+        this.takedownSystem.registerEnemies(this.enemies);
+        this.takedownSystem.registerEnemies(this.civilians);
+
+        // Cameras and footage
+        this.surveillanceSystem = new SurveillanceSystem(
+            this.cameras,
+            this.levelBuilder,
+            this.stealthSystem,
+            this.interactionSystem,
+            this.stateManager,
+            this.uiManager
+        );
+
+        // Target routine and phone lures
+        this.targetSchedule = new TargetSchedule(
+            this.target,
+            this.levelData.targetSchedule,
+            this.interactionSystem,
+            this.uiManager,
+            this.audioManager
+        );
+
+        // Compound alarm and reinforcements
+        this.alarmSystem = new AlarmSystem(
+            this.levelData.alarm,
+            this.stealthSystem,
+            this.audioManager,
+            this.uiManager
+        );
+
+        // Target's getaway once shooting starts
+        this.evacuationSystem = new EvacuationSystem(this.levelData.evacuation, this.uiManager);
+
+        // Guard teamwork in firefights
+        this.squadCoordinator = new SquadCoordinator();
+
+        // What the mission asks for, and the items it needs
+        this.objectiveSystem = new ObjectiveSystem(
+            this.levelData.objectives,
+            this.levelBuilder,
+            this.player,
+            this.interactionSystem
+        );
     }
 
     /**
@@ -216,6 +368,10 @@ class Game {
         // Window resize
         window.addEventListener('resize', this.onWindowResize);
 
+        // Pause input
+        document.addEventListener('keydown', this.onKeyDown);
+        document.addEventListener('pointerlockchange', this.onPointerLockChange);
+
         // Start button
         const startButton = document.getElementById('start-button');
         if (startButton) {
@@ -224,12 +380,126 @@ class Game {
             });
         }
 
+        // Level editor button
+        const editorButton = document.getElementById('editor-button');
+        if (editorButton) {
+            editorButton.addEventListener('click', () => {
+                this.openEditor();
+            });
+        }
+
+        // Pause menu
+        this.setupPauseMenu();
+
         // State change listener
-        this.stateManager.addListener((newState, oldState) => {
-            this.onStateChange(newState, oldState);
+        this.stateManager.addListener((newState, oldState, data) => {
+            this.onStateChange(newState, oldState, data);
+        });
+    }
+
+    /**
+     * Wire up pause menu buttons and settings
+     */
+    setupPauseMenu() {
+        const bind = (id, event, handler) => {
+            const el = document.getElementById(id);
+            if (el) el.addEventListener(event, handler);
+        };
+
+        bind('resume-button', 'click', () => this.resumeGame());
+        bind('pause-restart-button', 'click', () => this.restartMission());
+        bind('quit-button', 'click', () => this.stateManager.setState(GameState.MENU));
+        bind('play-again-button', 'click', () => this.restartMission());
+        bind('try-again-button', 'click', () => this.restartMission());
+        bind('load-checkpoint-button', 'click', () => this.loadGame(SaveSlot.CHECKPOINT));
+        bind('complete-menu-button', 'click', () => this.stateManager.setState(GameState.MENU));
+        bind('game-over-menu-button', 'click', () => this.stateManager.setState(GameState.MENU));
+        bind('settings-button', 'click', () => {
+            this.uiManager.showSettings(this.audioManager.volume, this.player.mouseSensitivity);
+        });
+        bind('settings-back-button', 'click', () => this.uiManager.hideSettings());
+        bind('volume-slider', 'input', (e) => this.audioManager.setVolume(parseFloat(e.target.value)));
+        bind('sensitivity-slider', 'input', (e) => {
+            this.player.mouseSensitivity = parseFloat(e.target.value);
         });
     }
 
+    /**
+     * Handle global key presses
+     */
+    onKeyDown(event) {
+        // The editor handles its own keys
+        if (this.stateManager.isState(GameState.EDITOR)) return;
+
+        switch (event.code) {
+            case 'Escape':
+            case 'KeyP':
+                this.togglePause();
+                break;
+            case 'F5':
+                event.preventDefault();
+                this.saveGame(SaveSlot.QUICK);
+                break;
+            case 'F9':
+                event.preventDefault();
+                this.loadGame(SaveSlot.QUICK);
+                break;
+            case 'F2':
+                event.preventDefault();
+                this.toggleNavDebug();
+                break;
+        }
+    }
+
+    /**
+     * Toggle the navigation debug overlay
+     */
+    toggleNavDebug() {
+        this.showNavDebug = !this.showNavDebug;
+        this.navGrid.setDebugVisible(this.showNavDebug);
+    }
+
+    /**
+     * Pause when the browser releases pointer lock mid-mission (e.g. ESC)
+     */
+    onPointerLockChange() {
+        if (!document.pointerLockElement && this.stateManager.isPlaying()) {
+            this.pauseGame();
+        }
+    }
+
+    /**
+     * Toggle pause state
+     */
+    togglePause() {
+        // Ignore the key event that follows a pointer lock release
+        if (performance.now() - this.pausedAt < 250) return;
+
+        if (this.stateManager.isPaused()) {
+            this.resumeGame();
+        } else {
+            this.pauseGame();
+        }
+    }
+
+    /**
+     * Pause the game
+     */
+    pauseGame() {
+        if (this.stateManager.pause()) {
+            this.pausedAt = performance.now();
+        }
+    }
+
+    /**
+     * Resume the game
+     */
+    resumeGame() {
+        if (this.stateManager.resume()) {
+            document.body.requestPointerLock();
+        }
+    }
+
     /**
      * Start the game
      */
@@ -239,28 +509,283 @@ class Game {
         this.stateManager.setState(GameState.PLAYING);
         this.uiManager.hideStartScreen();
         this.uiManager.showHUD();
-        this.uiManager.updateObjective('Eliminate the target');
+        this.uiManager.updateObjective('');
+    }
+
+    /**
+     * Open the level editor on the current mission
+     */
+    openEditor() {
+        if (!this.stateManager.setState(GameState.EDITOR)) return;
+
+        this.uiManager.hideStartScreen();
+        this.levelEditor.open(this.missionRegistry.get(this.missionId));
+    }
+
+    /**
+     * Leave the level editor for the start screen
+     */
+    closeEditor() {
+        this.levelEditor.close();
+        this.stateManager.setState(GameState.MENU);
+        this.uiManager.showStartScreen();
+        this.showMissionSelect();
+    }
+
+    /**
+     * Play the layout open in the editor: list it as a mission, build it and start it
+     */
+    playLayout(levelDef) {
+        const id = this.missionRegistry.register(levelDef);
+        this.closeEditor();
+        this.loadMission(id);
+        this.startGame();
+    }
+
+    /**
+     * Restart the current mission in place
+     */
+    restartMission() {
+        this.rebuildMission();
+        this.startGame();
+    }
+
+    /**
+     * Abandon the current mission and show the start screen
+     */
+    returnToMenu() {
+        document.exitPointerLock();
+        this.rebuildMission();
+        this.uiManager.hideHUD();
+        this.uiManager.showStartScreen();
+        this.showMissionSelect();
+        document.body.style.cursor = 'default';
+    }
+
+    /**
+     * Tear down the current mission and build another behind the start screen
+     */
+    loadMission(id) {
+        if (!this.missionRegistry.get(id)) {
+            console.warn(`Unknown mission: ${id}`);
+            return false;
+        }
+
+        this.missionId = id;
+        this.returnToMenu();
+        return true;
+    }
+
+    /**
+     * Pick a mission on the start screen
+     */
+    selectMission(id) {
+        if (id !== this.missionId) {
+            this.loadMission(id);
+        }
+    }
+
+    /**
+     * List the missions on the start screen
+     */
+    showMissionSelect() {
+        this.uiManager.showMissionSelect(
+            this.missionRegistry.list(),
+            id => this.missionRegistry.getRecord(id),
+            this.missionId,
+            id => this.selectMission(id)
+        );
+    }
+
+    /**
+     * Tear down the level, enemies and systems and build them again.
+     * Pointer lock is left alone: a restart or quick load mid-mission keeps playing, and
+     * releasing it would fire a late pointerlockchange that pauses the fresh mission.
+     */
+    rebuildMission() {
+        this.audioManager.stopAmbient();
+        this.uiManager.hideEndScreens();
+
+        // Keep the player mesh out of the scene disposal
+        this.scene.remove(this.player.playerGroup);
+        this.destroy(true);
+
+        this.stateManager.reset();
+        this._wasInCombat = false;
+
+        this.setupLevel();
+        this.scene.add(this.player.playerGroup);
+        this.player.colliders = this.levelData.colliders;
+        this.player.bounds = this.levelData.bounds;
+        this.player.respawn(this.levelData.spawnPoints.player);
+
+        this.setupEnemies();
+        this.setupSystems();
+
+        this.clock.start();
+        this.stateManager.forceState(GameState.MENU);
+    }
+
+    /**
+     * Snapshot the running mission
+     */
+    serialize() {
+        return {
+            missionId: this.missionId,
+            player: this.player.serialize(),
+            enemies: this.enemies.map(enemy => enemy.serialize()),
+            civilians: this.civilians.map(civilian => civilian.serialize()),
+            weapons: this.weaponSystem.serialize(),
+            hiding: this.hidingSystem.serialize([...this.enemies, ...this.civilians]),
+            cameras: this.surveillanceSystem.serialize(),
+            radio: this.stealthSystem.serializeRadio(this.enemies),
+            alarm: this.alarmSystem.serialize(),
+            evacuation: this.evacuationSystem.serialize(),
+            schedule: this.targetSchedule.serialize(),
+            objectives: this.objectiveSystem.serialize(),
+            mission: this.stateManager.serialize()
+        };
+    }
+
+    /**
+     * Rebuild the mission and restore it from a snapshot
+     */
+    deserialize(snapshot) {
+        // Saves from before there were several missions are all of the compound
+        const missionId = snapshot.missionId || 'compound';
+        if (this.missionRegistry.get(missionId)) {
+            this.missionId = missionId;
+        }
+        this.restartMission();
+
+        this.player.deserialize(snapshot.player);
+        this.weaponSystem.deserialize(snapshot.weapons);
+
+        // Reinforcements that had arrived come back first so enemy order matches
+        if (snapshot.alarm) {
+            for (const spawnPoint of this.alarmSystem.deserialize(snapshot.alarm)) {
+                this.spawnReinforcement(spawnPoint);
+            }
+        }
+
+        // Enemies are matched by spawn order, which is stable for a level
+        snapshot.enemies.forEach((data, i) => {
+            const enemy = this.enemies[i];
+            if (!enemy) return;
+
+            enemy.deserialize(data);
+            if (!enemy.isAlive) {
+                enemy._countedKill = !enemy.isUnconscious;
+                this.stealthSystem.removeVisionCone(enemy.id);
+            }
+        });
+
+        (snapshot.civilians || []).forEach((data, i) => {
+            const civilian = this.civilians[i];
+            if (!civilian) return;
+
+            civilian.deserialize(data);
+            civilian._countedWound = civilian.health < civilian.maxHealth;
+            if (!civilian.isAlive) {
+                civilian._countedKill = !civilian.isUnconscious;
+            }
+        });
+
+        // Hiding spots index into enemies followed by civilians
+        this.hidingSystem.deserialize(snapshot.hiding, [...this.enemies, ...this.civilians]);
+        this.surveillanceSystem.deserialize(snapshot.cameras || []);
+        this.stealthSystem.deserializeRadio(snapshot.radio || [], this.enemies);
+        if (snapshot.schedule) {
+            this.targetSchedule.deserialize(snapshot.schedule);
+        }
+        if (snapshot.evacuation) {
+            this.evacuationSystem.deserialize(snapshot.evacuation);
+        }
+        if (snapshot.objectives) {
+            this.objectiveSystem.deserialize(snapshot.objectives);
+            this.objectiveSystem.objectives
+                .filter(objective => objective.state === ObjectiveState.COMPLETE)
+                .forEach(objective => this.applyObjectiveEffect(objective));
+        }
+        this.stateManager.deserialize(snapshot.mission);
+    }
+
+    /**
+     * Save the running mission to a slot
+     */
+    saveGame(slot, message = 'Game saved') {
+        if (!this.stateManager.isPlaying()) return false;
+
+        const saved = this.saveManager.save(slot, this.serialize());
+        if (saved && message) {
+            this.uiManager.showNotification(message, 1500);
+        }
+        return saved;
+    }
+
+    /**
+     * Load a mission snapshot from a slot
+     */
+    loadGame(slot) {
+        if (this.stateManager.isState(GameState.LOADING)) return false;
+
+        const snapshot = this.saveManager.load(slot);
+        if (!snapshot) {
+            this.uiManager.showNotification('No save found', 1500);
+            return false;
+        }
+
+        this.deserialize(snapshot);
+        this.uiManager.showNotification('Game loaded', 1500);
+        return true;
     }
 
     /**
      * Handle state changes
      */
-    onStateChange(newState, oldState) {
+    onStateChange(newState, oldState, data = {}) {
         console.log(`State changed: ${oldState} -> ${newState}`);
 
+        // Resuming returns to the previous state without re-running its entry logic
+        if (oldState === GameState.PAUSED) {
+            this.uiManager.hidePauseMenu();
+            if (newState !== GameState.MENU) {
+                document.body.style.cursor = 'none';
+                this.audioManager.resume();
+                this.clock.start();
+                return;
+            }
+        }
+
         switch (newState) {
+            case GameState.MENU:
+                // Leaving a mission in progress or finished: rebuild it behind the start screen
+                if (oldState === GameState.PAUSED || oldState === GameState.MISSION_COMPLETE ||
+                    oldState === GameState.GAME_OVER || oldState === GameState.TARGET_ESCAPED) {
+                    this.returnToMenu();
+                }
+                break;
+
             case GameState.PLAYING:
                 document.body.style.cursor = 'none';
                 break;
 
-            case GameState.TARGET_ELIMINATED:
-                this.uiManager.updateObjective('Escape the compound');
-                this.uiManager.showNotification('TARGET ELIMINATED', 3000);
-                this.uiManager.flashObjective();
+            case GameState.PAUSED:
+                this.clock.stop();
+                this.player.resetInput();
+                this.interactionSystem.resetInput();
+                this.audioManager.suspend();
+                document.body.style.cursor = 'default';
+                document.exitPointerLock();
+                this.uiManager.showPauseMenu();
                 break;
 
-            case GameState.ESCAPE:
-                this.uiManager.updateObjective('Reach the exit point');
+            case GameState.TARGET_ELIMINATED:
+                if (!data.restored) {
+                    this.uiManager.showNotification('TARGET ELIMINATED', 3000);
+                    this.uiManager.flashObjective();
+                    this.saveGame(SaveSlot.CHECKPOINT, null);
+                }
                 break;
 
             case GameState.MISSION_COMPLETE:
@@ -268,7 +793,11 @@ class Game {
                 break;
 
             case GameState.GAME_OVER:
-                this.gameOver();
+                this.gameOver(data.reason || 'You have been eliminated');
+                break;
+
+            case GameState.TARGET_ESCAPED:
+                this.gameOver('The target has escaped');
                 break;
         }
     }
@@ -279,7 +808,15 @@ class Game {
     update() {
         requestAnimationFrame(this.update);
 
-        const deltaTime = Math.min(this.clock.getDelta(), 0.1);
+        // Clock is stopped while paused so no time accumulates
+        const deltaTime = this.stateManager.isPaused() ? 0 : Math.min(this.clock.getDelta(), 0.1);
+
+        // The editor draws its own scene instead of the mission
+        if (this.stateManager.isState(GameState.EDITOR)) {
+            this.levelEditor.update(deltaTime);
+            this.renderer.render(this.levelEditor.scene, this.levelEditor.camera);
+            return;
+        }
 
         // Update based on state
         if (this.stateManager.isPlaying()) {
@@ -298,27 +835,100 @@ class Game {
      */
     updateGame(deltaTime) {
         // Update player
-        this.player.update(deltaTime, this.audioManager);
+        this.player.update(deltaTime, this.audioManager, this.stealthSystem);
+
+        // Update contextual actions and body dragging
+        this.interactionSystem.update(deltaTime);
+        this.hidingSystem.update();
 
         // Update weapon system
         this.weaponSystem.update(deltaTime);
 
         // Update enemies
         for (const enemy of this.enemies) {
-            if (enemy.isAlive) {
+            if (enemy.isAlive || enemy.isUnconscious) {
                 enemy.update(
                     deltaTime,
                     this.player,
                     this.stealthSystem,
                     this.audioManager,
+                    this.levelData.colliders,
+                    this.enemies
+                );
+            }
+        }
+        this.squadCoordinator.update(deltaTime, this.enemies, this.target);
+
+        // Update civilians
+        const characters = [...this.enemies, ...this.civilians];
+        for (const civilian of this.civilians) {
+            if (civilian.isAlive || civilian.isUnconscious) {
+                civilian.update(
+                    deltaTime,
+                    this.player,
+                    this.stealthSystem,
+                    this.enemies,
+                    characters,
                     this.levelData.colliders
                 );
             }
         }
 
+        // Update cameras and ringing phones
+        this.surveillanceSystem.update(deltaTime, this.player);
+        this.targetSchedule.update(deltaTime);
+
+        // Check for discovered bodies
+        const foundBodies = this.stealthSystem.updateBodyAwareness(this.enemies, this.civilians);
+        for (const found of foundBodies) {
+            // Only the dead count against a clean run; knocked-out bodies are tallied apart
+            if (found.body.isUnconscious) {
+                this.stateManager.incrementStat('unconsciousFound');
+                this.uiManager.showNotification('Unconscious Body Found', 2500);
+            } else {
+                // The hit itself never costs Silent Assassin
+                if (!found.body.isTarget) {
+                    this.stateManager.incrementStat('bodiesFound');
+                }
+                this.uiManager.showNotification('Body Found', 2500);
+            }
+            this.audioManager.playAlert();
+        }
+
+        // Radio calls: the compound only hears of an alert once a call goes through
+        for (const event of this.stealthSystem.updateRadio(this.enemies, deltaTime)) {
+            if (event.type === 'bark') {
+                this.uiManager.showNotification(`"${event.bark}"`, 2000);
+                this.audioManager.playRadio();
+            } else if (event.type === 'alert') {
+                this.uiManager.showNotification('Guards alerted by radio', 2500);
+                this.audioManager.playRadio();
+
+                // Contact called in puts the whole compound on alarm
+                if (event.call.reason === 'combat') {
+                    this.alarmSystem.trigger();
+                }
+            } else {
+                this.uiManager.showNotification('Radio call cut off', 1500);
+            }
+        }
+
+        // Target flight: takes the target and their bodyguards before any alarm orders
+        this.evacuationSystem.update(
+            deltaTime,
+            this.enemies,
+            this.target,
+            this.stealthSystem.globalAlertState
+        );
+
+        // Alarm: lockdown orders, lights and reinforcement waves
+        for (const spawnPoint of this.alarmSystem.update(deltaTime, this.enemies, this.player)) {
+            this.spawnReinforcement(spawnPoint);
+        }
+
         // Update stealth system
         const globalAlert = this.stealthSystem.updateGlobalAlert(this.enemies);
-        const detectionMeter = this.stealthSystem.getDetectionMeter(this.enemies);
+        const detectionMeter = this.stealthSystem.getDetectionMeter([...this.enemies, ...this.cameras]);
 
         // Track detection for stats
         if (globalAlert === AlertState.COMBAT) {
@@ -332,10 +942,16 @@ class Game {
 
         // Update UI
         this.uiManager.updateDetection(detectionMeter, globalAlert);
-        this.uiManager.updateAlertStatus(globalAlert);
+        this.uiManager.updateAlertStatus(globalAlert, this.alarmSystem.isActive);
         this.uiManager.updateHealth(this.player.health, this.player.maxHealth);
+        this.uiManager.updateDisguise(
+            Outfits[this.player.outfit].name,
+            this.stealthSystem.isTrespassing(this.player),
+            this.stealthSystem.isInCrowd(this.player)
+        );
         this.uiManager.updateWeapon(this.weaponSystem.getDisplayInfo());
         this.uiManager.updateMinimap(this.player, this.enemies, this.levelData);
+        this.navGrid.updateDebug(this.enemies);
 
         // Check game conditions
         this.checkGameConditions();
@@ -356,39 +972,126 @@ class Game {
         }
 
         // Check target elimination
-        if (this.target && !this.target.isAlive) {
+        if (this.target && !this.target.isAlive && !this.stateManager.stateData.targetEliminated) {
+            // Determine if kill was silent
+            const wasSilent = this.stealthSystem.globalAlertState !== AlertState.COMBAT;
+            this.stateManager.incrementStat('enemiesKilled');
+
             if (this.stateManager.isState(GameState.PLAYING)) {
-                // Determine if kill was silent
-                const wasSilent = this.stealthSystem.globalAlertState !== AlertState.COMBAT;
                 this.stateManager.setState(GameState.TARGET_ELIMINATED, { silent: wasSilent });
-                this.stateManager.incrementStat('enemiesKilled');
+            } else {
+                // Already escaping (nothing else required the hit): record it all the same
+                this.stateManager.stateData.targetEliminated = true;
+                this.stateManager.stateData.silentKill = wasSilent;
+                this.uiManager.showNotification('TARGET ELIMINATED', 3000);
             }
         }
 
-        // Check escape
-        if (this.stateManager.isState(GameState.TARGET_ELIMINATED) || 
-            this.stateManager.isState(GameState.ESCAPE)) {
-            
-            if (this.levelBuilder.isInEscapeZone(this.player.position)) {
-                if (this.stateManager.isState(GameState.TARGET_ELIMINATED)) {
-                    this.stateManager.setState(GameState.ESCAPE);
-                }
-                // Small delay then complete
-                if (this.stateManager.isState(GameState.ESCAPE)) {
-                    this.stateManager.forceState(GameState.MISSION_COMPLETE);
-                }
-            }
-        }
+        // Objectives: progress, failure and extraction
+        if (this.updateObjectives()) return;
 
         // Track enemy kills
         for (const enemy of this.enemies) {
-            if (!enemy.isAlive && !enemy._countedKill && !enemy.isTarget) {
+            if (enemy.isAlive) continue;
+
+            // Downed enemies stop showing a vision cone
+            this.stealthSystem.removeVisionCone(enemy.id);
+
+            if (!enemy.isUnconscious && !enemy._countedKill && !enemy.isTarget) {
                 enemy._countedKill = true;
                 this.stateManager.incrementStat('enemiesKilled');
+                this.stateManager.incrementStat('nonTargetKills');
+            }
+        }
+
+        // Track civilian casualties
+        for (const civilian of this.civilians) {
+            if (civilian.health < civilian.maxHealth && !civilian._countedWound) {
+                civilian._countedWound = true;
+                if (civilian.isAlive) this.stateManager.incrementStat('civiliansWounded');
+            }
+            if (!civilian.isAlive && !civilian.isUnconscious && !civilian._countedKill) {
+                civilian._countedKill = true;
+                this.stateManager.incrementStat('civiliansKilled');
+                this.uiManager.showNotification('Civilian killed', 2000);
             }
         }
     }
 
+    /**
+     * Evaluate the mission objectives, report progress on the HUD and end the mission
+     * when a required objective fails or everything is done.
+     * @returns {boolean} true if the mission ended
+     */
+    updateObjectives() {
+        const events = this.objectiveSystem.update(this.enemies, {
+            [ObjectiveCondition.ALARM]: this.alarmSystem.isActive,
+            [ObjectiveCondition.SPOTTED]: this.stealthSystem.globalAlertState === AlertState.COMBAT,
+            [ObjectiveCondition.TARGET_ESCAPED]: this.evacuationSystem.targetEscaped,
+            [ObjectiveCondition.CIVILIAN_KILLED]: this.stateManager.stateData.civiliansKilled > 0
+        });
+
+        for (const event of events) {
+            switch (event.type) {
+                case 'completed':
+                    this.applyObjectiveEffect(event.objective);
+                    this.uiManager.showNotification(`Objective complete: ${event.objective.description}`, 2500);
+                    this.uiManager.flashObjective();
+                    break;
+                case 'failed':
+                    this.uiManager.showNotification(`Objective failed: ${event.objective.description}`, 2500);
+                    break;
+                case 'revealed':
+                    this.uiManager.showNotification(`New objective: ${event.objective.description}`, 3000);
+                    this.uiManager.flashObjective();
+                    break;
+                case 'blocked':
+                    this.uiManager.showNotification(event.reason, 2500);
+                    break;
+            }
+        }
+
+        if (this.objectiveSystem.changed) {
+            this.uiManager.updateObjectives(this.objectiveSystem.getChecklist());
+            this.objectiveSystem.changed = false;
+        }
+
+        const failed = this.objectiveSystem.getFailedObjective();
+        if (failed) {
+            if (failed.failedBy === ObjectiveCondition.TARGET_ESCAPED) {
+                this.stateManager.forceState(GameState.TARGET_ESCAPED);
+            } else {
+                this.stateManager.forceState(GameState.GAME_OVER, { reason: `Objective failed: ${failed.description}` });
+            }
+            return true;
+        }
+
+        // Everything but extraction done: the mission is now about getting out
+        if (this.objectiveSystem.canExtract() && !this.stateManager.isState(GameState.ESCAPE)) {
+            this.stateManager.setState(GameState.ESCAPE);
+        }
+
+        if (this.objectiveSystem.isMissionComplete()) {
+            const exit = this.objectiveSystem.exitUsed;
+            this.stateManager.stateData.exitUsed = exit ? exit.name : null;
+            this.stateManager.setState(GameState.MISSION_COMPLETE);
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * Apply what a completed objective changes in the mission (see ObjectiveSystem effect)
+     */
+    applyObjectiveEffect(objective) {
+        switch (objective.effect) {
+            case 'disableEvacuation':
+                this.evacuationSystem.disable();
+                break;
+        }
+    }
+
     /**
      * Complete the mission
      */
@@ -397,23 +1100,29 @@ class Game {
         document.exitPointerLock();
 
         this.audioManager.stopAmbient();
+        this.audioManager.stopSiren();
         this.audioManager.playMissionComplete();
 
-        const stats = this.stateManager.getStats();
+        const stats = {
+            ...this.stateManager.getStats(),
+            objectives: `${this.objectiveSystem.getCompletedCount()}/${this.objectiveSystem.objectives.length}`
+        };
         const rating = this.stateManager.getRating();
+        const newBest = this.missionRegistry.recordResult(this.missionId, rating, stats.timeMs);
 
-        this.uiManager.showMissionComplete(stats, rating);
+        this.uiManager.showMissionComplete(stats, rating, newBest);
     }
 
     /**
      * Game over
      */
-    gameOver() {
+    gameOver(reason) {
         document.body.style.cursor = 'default';
         document.exitPointerLock();
 
         this.audioManager.stopAmbient();
-        this.uiManager.showGameOver();
+        this.audioManager.stopSiren();
+        this.uiManager.showGameOver(reason);
     }
 
     /**
@@ -434,27 +1143,63 @@ class Game {
 
     /**
      * Cleanup
+     * @param {boolean} keepRenderer - Keep the renderer, player and window
+     *   listeners alive so the mission can be rebuilt in place
      */
-    destroy() {
-        // Remove event listeners
-        window.removeEventListener('resize', this.onWindowResize);
+    destroy(keepRenderer = false) {
+        if (!keepRenderer) {
+            // Remove event listeners
+            window.removeEventListener('resize', this.onWindowResize);
+            document.removeEventListener('keydown', this.onKeyDown);
+            document.removeEventListener('pointerlockchange', this.onPointerLockChange);
+            this.player.cleanup();
+        }
 
         // Cleanup systems
+        this.navGrid.cleanup();
         this.stealthSystem.cleanup();
         this.weaponSystem.cleanup();
+        this.hidingSystem.cleanup();
+        this.interactionSystem.cleanup();
+        this.alarmSystem.cleanup();
 
         // Cleanup enemies
         for (const enemy of this.enemies) {
             enemy.cleanup();
         }
+        this.enemies = [];
+        this.target = null;
+
+        for (const civilian of this.civilians) {
+            civilian.cleanup();
+        }
+        this.civilians = [];
 
-        // Dispose renderer
-        this.renderer.dispose();
+        for (const camera of this.cameras) {
+            camera.cleanup();
+        }
+        this.cameras = [];
+
+        // Free GPU resources still referenced by the scene
+        this.scene.traverse((obj) => {
+            if (obj.geometry) obj.geometry.dispose();
+            if (obj.material) {
+                const materials = Array.isArray(obj.material) ? obj.material : [obj.material];
+                materials.forEach(material => material.dispose());
+            }
+            if (obj.shadow && obj.shadow.map) obj.shadow.map.dispose();
+        });
 
         // Clear scene
         while (this.scene.children.length > 0) {
             this.scene.remove(this.scene.children[0]);
         }
+        this.scene.fog = null;
+
+        if (!keepRenderer) {
+            // Dispose renderer
+            this.renderer.dispose();
+        }
     }
 }
 
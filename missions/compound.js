@@ -0,0 +1,327 @@
+/**
+ * compound.js
+ * The walled compound: the first mission, registered as window.Missions.compound.
+ * The object is JSON-compatible (see LevelBuilder); the script is loaded by a tag in index.html
+ */
+
+window.Missions = window.Missions || {};
+
+window.Missions.compound = {
+    "id": "compound",
+    "name": "The Compound",
+    "briefing": "The target runs their business from an office at the back of a walled compound. Visitors and gardeners mill around the courtyard, security guards the interior, and a car stands ready by the west wall.",
+    "bounds": { "min": [-24, 0, -29], "max": [24, 0, 29] },
+    "floors": [
+        { "position": [0, 0, 0], "size": [100, 100], "material": "grass" },
+        { "position": [0, 0.01, 5], "size": [40, 50], "material": "floorLight", "surface": "concrete" },
+        { "position": [0, 0.02, -12.5], "size": [30, 15], "material": "floor", "surface": "concrete" },
+        { "position": [-10, 0.02, -15], "size": [7, 8], "material": "floor", "surface": "concrete" },
+        { "position": [10, 0.02, -15], "size": [7, 8], "material": "floor", "surface": "concrete" },
+        { "position": [0, 0.02, -24], "size": [20, 8], "material": "wood", "surface": "wood" }
+    ],
+    "walls": [
+        { "position": [0, 2, -30], "size": [50, 4, 0.5], "material": "concrete" },
+        { "position": [0, 2, 30], "size": [50, 4, 0.5], "material": "concrete" },
+        { "position": [25, 2, 0], "size": [0.5, 4, 60], "material": "concrete" },
+        { "position": [-25, 2, 0], "size": [0.5, 4, 60], "material": "concrete" },
+        { "position": [0, 2, -20], "size": [30, 4, 0.5], "material": "wall" },
+        { "position": [-10, 2, -5], "size": [10, 4, 0.5], "material": "wall" },
+        { "position": [10, 2, -5], "size": [10, 4, 0.5], "material": "wall" },
+        { "position": [-15, 2, -12.5], "size": [0.5, 4, 15], "material": "wall" },
+        { "position": [15, 2, -12.5], "size": [0.5, 4, 15], "material": "wall" },
+        { "position": [0, 2, -15], "size": [0.5, 4, 10], "material": "wall" },
+        { "position": [-13, 2, -10], "size": [4, 4, 0.5], "material": "wall" },
+        { "position": [-4.5, 2, -10], "size": [9, 4, 0.5], "material": "wall" },
+        { "position": [13, 2, -10], "size": [4, 4, 0.5], "material": "wall" },
+        { "position": [4.5, 2, -10], "size": [9, 4, 0.5], "material": "wall" }
+    ],
+    "prefabs": [
+        { "type": "guardTower", "position": [-22, 0, -27] },
+        { "type": "guardTower", "position": [22, 0, -27] },
+        { "type": "guardTower", "position": [-22, 0, 27] },
+        { "type": "guardTower", "position": [22, 0, 27] },
+        { "type": "gate", "position": [-24.7, 0, 18] },
+        { "type": "gate", "position": [24.7, 0, 18] },
+        { "type": "fountain", "position": [0, 0, 10] },
+        { "type": "bench", "position": [-8, 0, 10], "rotation": 0 },
+        { "type": "bench", "position": [8, 0, 10], "rotation": 0 },
+        { "type": "bench", "position": [0, 0, 15], "rotation": 90 },
+        { "type": "planter", "position": [-12, 0, 5] },
+        { "type": "planter", "position": [12, 0, 5] },
+        { "type": "planter", "position": [-12, 0, 15] },
+        { "type": "planter", "position": [12, 0, 15] },
+        { "type": "desk", "position": [0, 0, -25] },
+        { "type": "chair", "position": [-2, 0, -25], "rotation": 180 },
+        { "type": "chair", "position": [0, 0, -22], "rotation": 0 },
+        { "type": "bookshelf", "position": [-8, 0, -27] },
+        { "type": "bookshelf", "position": [8, 0, -27] },
+        { "type": "window", "position": [4, 1.8, -29.7] },
+        { "type": "crate", "position": [-12, 0, -17] },
+        { "type": "crate", "position": [-12, 0.8, -17] },
+        { "type": "crate", "position": [-8, 0, -14] },
+        { "type": "crate", "position": [12, 0, -17] },
+        { "type": "crate", "position": [12, 0.8, -17] },
+        { "type": "crate", "position": [8, 0, -14] },
+        { "type": "recorder", "position": [6, 0, -19.35] },
+        { "type": "crate", "position": [-15, 0, 20] },
+        { "type": "crate", "position": [-14.2, 0, 20] },
+        { "type": "crate", "position": [-14.6, 0.8, 20] },
+        { "type": "crate", "position": [15, 0, 20] },
+        { "type": "crate", "position": [16, 0, 20] },
+        { "type": "crate", "position": [-18, 0, 0] },
+        { "type": "crate", "position": [18, 0, 0] },
+        { "type": "crate", "position": [-18, 0, 1] },
+        { "type": "barrel", "position": [-20, 0, 15] },
+        { "type": "barrel", "position": [-20, 0, 16.5] },
+        { "type": "barrel", "position": [20, 0, 10] },
+        { "type": "barrel", "position": [19, 0, -5] },
+        { "type": "vehicle", "position": [18, 0, 20], "rotation": 17.19 },
+        { "type": "vehicle", "position": [-5, 0, 25], "rotation": -11.46 },
+        { "type": "dumpster", "position": [-23.6, 0, 6], "rotation": 90 },
+        { "type": "dumpster", "position": [23.6, 0, -12], "rotation": -90 },
+        { "type": "closet", "position": [-14.3, 0, -12.5], "rotation": 90 },
+        { "type": "closet", "position": [14.3, 0, -12.5], "rotation": -90 },
+        { "type": "largeCrate", "position": [-17, 0, 24], "rotation": 0 },
+        { "type": "lightPole", "position": [-10, 0, 0] },
+        { "type": "lightPole", "position": [10, 0, 0] },
+        { "type": "lightPole", "position": [-10, 0, 20] },
+        { "type": "lightPole", "position": [10, 0, 20] },
+        { "type": "lightPole", "position": [0, 0, -5] },
+        { "type": "pipe", "position": [-24.5, 2, -15], "length": 30, "vertical": true },
+        { "type": "pipe", "position": [24.5, 2, -15], "length": 30, "vertical": true },
+        { "type": "wallPhone", "position": [-14.68, 1.4, -16], "rotation": 90 },
+        { "type": "vehicle", "position": [-20, 0, 9], "rotation": 0 },
+        { "type": "vehicle", "position": [22.5, 0, -18], "rotation": 0 }
+    ],
+    "lights": [
+        { "type": "ambient", "color": "#404050", "intensity": 0.4 },
+        {
+            "type": "directional",
+            "color": "#8888aa",
+            "intensity": 0.6,
+            "position": [-20, 30, 10],
+            "castShadow": true
+        },
+        {
+            "type": "spot",
+            "color": "#ffeecc",
+            "intensity": 1,
+            "distance": 15,
+            "angle": 30,
+            "penumbra": 0.5,
+            "position": [0, 6, -5],
+            "target": [0, 0, 0],
+            "castShadow": true
+        },
+        {
+            "type": "point",
+            "color": "#ffddaa",
+            "intensity": 0.8,
+            "distance": 15,
+            "position": [-10, 4, 0],
+            "castShadow": true
+        },
+        {
+            "type": "point",
+            "color": "#ffddaa",
+            "intensity": 0.8,
+            "distance": 15,
+            "position": [10, 4, 0],
+            "castShadow": true
+        },
+        {
+            "type": "point",
+            "color": "#ffffee",
+            "intensity": 0.6,
+            "distance": 20,
+            "position": [0, 3, -12],
+            "switch": { "position": [-14.7, 1.3, -7], "darkZone": { "center": [0, 0, -12], "radius": 10 } }
+        },
+        { "type": "point", "color": "#ffeedd", "intensity": 0.4, "distance": 15, "position": [0, 3, -25] },
+        { "type": "point", "color": "#ff0000", "intensity": 0.3, "distance": 10, "position": [-22, 2, -27] },
+        { "type": "point", "color": "#ff0000", "intensity": 0.3, "distance": 10, "position": [22, 2, -27] },
+        { "type": "alarm", "position": [-24.3, 4.4, 18] },
+        { "type": "alarm", "position": [24.3, 4.4, 18] },
+        { "type": "alarm", "position": [0, 4.4, -4.6] }
+    ],
+    "fog": { "color": "#0a0a15", "near": 20, "far": 60 },
+    "zones": {
+        "restricted": [
+            { "id": "office", "min": [-10, 0, -28], "max": [10, 4, -18] },
+            { "id": "storage", "min": [-15, 0, -20], "max": [-5, 4, -10] },
+            { "id": "storage", "min": [5, 0, -20], "max": [15, 4, -10] }
+        ],
+        "light": [],
+        "dark": [{ "center": [0, 0, -25], "radius": 8 }]
+    },
+    "exits": [
+        {
+            "id": "gate",
+            "name": "Main gate",
+            "type": "gate",
+            "zone": { "min": [-5, 0, 24], "max": [5, 3, 30] },
+            "requires": { "outOfCombat": true }
+        },
+        {
+            "id": "car",
+            "name": "Staff car",
+            "type": "vehicle",
+            "zone": { "min": [20.3, 0, -19], "max": [21.3, 3, -17] },
+            "requires": { "item": "car_keys" }
+        },
+        {
+            "id": "sewer",
+            "name": "Sewer hatch",
+            "type": "hatch",
+            "zone": { "min": [-21.8, 0, -20.8], "max": [-20.2, 3, -19.2] },
+            "requires": { "item": "crowbar" }
+        }
+    ],
+    "routes": {
+        "courtyard_left": [[-10, 0, 5], [-10, 0, 15], [-15, 0, 15], [-15, 0, 5]],
+        "courtyard_right": [[10, 0, 5], [10, 0, 15], [15, 0, 15], [15, 0, 5]],
+        "interior_left": [[-5, 0, -12], [-5, 0, -8], [-10, 0, -8], [-10, 0, -15], [-5, 0, -15]],
+        "interior_right": [[5, 0, -12], [5, 0, -8], [10, 0, -8], [10, 0, -15], [5, 0, -15]],
+        "office": [[-5, 0, -22], [-5, 0, -26], [5, 0, -26], [5, 0, -22]],
+        "reinforce_west": [[-21, 0, 18], [-21, 0, -2], [-12, 0, -2], [-18, 0, 8]],
+        "reinforce_east": [[21, 0, 18], [21, 0, -2], [12, 0, -2], [18, 0, 8]],
+        "reinforce_courtyard": [[-6, 0, 20], [6, 0, 20], [6, 0, 2], [-6, 0, 2]],
+        "fountain": [[-2, 0, 6], [0, 0, 5.5], [2, 0, 6], [-4, 0, 7.5], [4, 0, 7.5], [-3.5, 0, 13.5], [3.5, 0, 13.5]],
+        "garden_left": [[-11, 0, 6.5], [-11, 0, 13.5], [-13.5, 0, 10]],
+        "garden_right": [[11, 0, 6.5], [11, 0, 13.5], [13.5, 0, 10]],
+        "hall": [[-3, 0, -7], [3, 0, -7], [0, 0, -11], [-6, 0, -6], [6, 0, -6]],
+        "perimeter": [[-20, 0, 25], [-20, 0, -25], [20, 0, -25], [20, 0, 25]]
+    },
+    "spawns": {
+        "player": [0, 0, 25],
+        "target": { "position": [0, 0, -25], "route": "office" },
+        "guards": [
+            { "position": [-10, 0, 5], "route": "courtyard_left", "outfit": "guard", "enforcer": true },
+            { "position": [10, 0, 5], "route": "courtyard_right", "outfit": "guard" },
+            { "position": [-5, 0, -22], "route": "office", "outfit": "security", "enforcer": true },
+            { "position": [-5, 0, -12], "route": "interior_left", "outfit": "security" },
+            { "position": [5, 0, -12], "route": "interior_right", "outfit": "security" }
+        ],
+        "civilians": [
+            { "position": [-2, 0, 6], "role": "visitor", "route": "fountain" },
+            { "position": [2, 0, 6], "role": "visitor", "route": "fountain" },
+            { "position": [0, 0, 5.5], "role": "visitor", "route": "fountain" },
+            { "position": [-4, 0, 7.5], "role": "visitor", "route": "fountain" },
+            { "position": [-11, 0, 6.5], "role": "gardener", "route": "garden_left" },
+            { "position": [11, 0, 13.5], "role": "gardener", "route": "garden_right" },
+            { "position": [-3, 0, -7], "role": "staff", "route": "hall" },
+            { "position": [6, 0, -6], "role": "staff", "route": "hall" }
+        ],
+        "cameras": [
+            { "position": [-6, 3.2, -20.6], "rotation": -28.65, "sweepAngle": 34.38 },
+            { "position": [-14.6, 3.2, -7.5], "rotation": -90, "sweepAngle": 28.65 },
+            { "position": [14.6, 3.2, -7.5], "rotation": 90, "sweepAngle": 28.65 }
+        ]
+    },
+    "pickups": [
+        { "name": "Coin", "position": [-3, 0, 21] },
+        { "name": "Coin", "position": [-13.4, 0, 18.9] },
+        { "name": "Coin", "position": [15.5, 0, 18.8] },
+        { "name": "Bottle", "position": [-19, 0, 15.8] },
+        { "name": "Bottle", "position": [-22.3, 0, 4.4] },
+        { "name": "Bottle", "position": [18.4, 0, -3.8] }
+    ],
+    "targetSchedule": {
+        "steps": [
+            {
+                "activity": "Phone call at the desk",
+                "position": [0.5, 0, -26.3],
+                "rotation": 180,
+                "duration": 20,
+                "animation": "phone"
+            },
+            {
+                "activity": "Looking out the window",
+                "position": [4, 0, -28.9],
+                "rotation": 0,
+                "duration": 15,
+                "animation": "look"
+            },
+            {
+                "activity": "Meeting in the east room",
+                "position": [10, 0, -12.5],
+                "rotation": 90,
+                "duration": 25,
+                "animation": "talk"
+            },
+            {
+                "activity": "Walk to the fountain",
+                "position": [0, 0, 6.3],
+                "rotation": 180,
+                "duration": 20,
+                "animation": "idle"
+            }
+        ],
+        "lures": [
+            {
+                "prompt": "Ring the phone (lures the target)",
+                "position": [-14.6, 1.4, -16],
+                "step": {
+                    "activity": "Answering the phone",
+                    "position": [-14, 0, -16],
+                    "rotation": 90,
+                    "duration": 12,
+                    "animation": "phone"
+                }
+            }
+        ]
+    },
+    "alarm": {
+        "posts": [
+            { "position": [-2, 0, -3.5], "rotation": 180 },
+            { "position": [2, 0, -3.5], "rotation": 180 },
+            { "position": [0, 0, 22], "rotation": 0 },
+            { "position": [0, 0, -12], "rotation": 180 }
+        ],
+        "safeRoom": {
+            "position": [-9, 0, -18],
+            "rotation": 180,
+            "door": { "position": [-10, 0, -8.8], "rotation": 180 }
+        },
+        "waves": [
+            {
+                "delay": 8,
+                "guards": [{ "gate": 0, "route": "reinforce_west" }, { "gate": 1, "route": "reinforce_east" }]
+            },
+            {
+                "delay": 30,
+                "guards": [
+                    { "gate": 0, "route": "reinforce_courtyard" },
+                    { "gate": 1, "route": "reinforce_courtyard", "reverse": true }
+                ]
+            }
+        ],
+        "resetTime": 60
+    },
+    "evacuation": {
+        "boarding": { "position": [-18.4, 0, 9.5], "rotation": 90 },
+        "guardPosts": [{ "position": [-17.6, 0, 6.5], "rotation": -90 }, { "position": [-17.6, 0, 12], "rotation": -90 }],
+        "boardTime": 3
+    },
+    "items": [
+        { "id": "codes", "name": "Security codes", "position": [10.5, 0, -18.5], "model": "document" },
+        { "id": "car_keys", "name": "Car keys", "position": [-0.8, 0.85, -25], "model": "key" },
+        { "id": "crowbar", "name": "Crowbar", "position": [-13, 0, 21.5], "model": "crowbar" }
+    ],
+    "objectives": [
+        { "id": "target", "type": "eliminate", "description": "Eliminate the target" },
+        { "id": "codes", "type": "retrieve", "item": "codes", "description": "Steal the security codes", "optional": true },
+        {
+            "type": "sabotage",
+            "description": "Disable the getaway car",
+            "prompt": "Hold to cut the brake lines",
+            "position": [-20, 0.5, 11.3],
+            "holdDuration": 3,
+            "effect": "disableEvacuation",
+            "optional": true,
+            "hidden": true,
+            "revealedBy": "codes"
+        },
+        { "type": "escape", "description": "Escape the compound" }
+    ]
+};
@@ -0,0 +1,330 @@
+/**
+ * harbor.js
+ * The harbor warehouse at night: the second mission, registered as window.Missions.harbor.
+ * The object is JSON-compatible (see LevelBuilder); the script is loaded by a tag in index.html
+ */
+
+window.Missions = window.Missions || {};
+
+window.Missions.harbor = {
+    "id": "harbor",
+    "name": "Night at the Harbor",
+    "briefing": "A smuggler is moving a shipment through a warehouse on the docks tonight. The smuggler works from the office by the loading bay and checks every crate on the quay in person. Guards patrol the yard and the quay, and a getaway car waits by the water.",
+    "bounds": { "min": [-24, 0, -29], "max": [24, 0, 29] },
+    "floors": [
+        { "position": [0, 0, 0], "size": [100, 100], "material": "floor" },
+        { "position": [0, 0.01, 0], "size": [50, 60], "material": "concrete", "surface": "concrete" },
+        { "position": [0, 0.02, -2], "size": [30, 20], "material": "floor", "surface": "concrete" },
+        { "position": [9, 0.03, -8], "size": [12, 8], "material": "wood", "surface": "wood" },
+        { "position": [0, 0.03, -45], "size": [100, 30], "material": "water" }
+    ],
+    "walls": [
+        { "position": [0, 0.5, -30], "size": [50, 1, 0.5], "material": "concrete" },
+        { "position": [0, 2, 30], "size": [50, 4, 0.5], "material": "concrete" },
+        { "position": [25, 2, 0], "size": [0.5, 4, 60], "material": "concrete" },
+        { "position": [-25, 2, 0], "size": [0.5, 4, 60], "material": "concrete" },
+        { "position": [-12, 2, -12], "size": [6, 4, 0.5], "material": "wallDark" },
+        { "position": [5, 2, -12], "size": [20, 4, 0.5], "material": "wallDark" },
+        { "position": [-8.5, 2, 8], "size": [13, 4, 0.5], "material": "wallDark" },
+        { "position": [8.5, 2, 8], "size": [13, 4, 0.5], "material": "wallDark" },
+        { "position": [-15, 2, -7], "size": [0.5, 4, 10], "material": "wallDark" },
+        { "position": [-15, 2, 4.5], "size": [0.5, 4, 7], "material": "wallDark" },
+        { "position": [15, 2, -2], "size": [0.5, 4, 20], "material": "wallDark" },
+        { "position": [3, 2, -9.5], "size": [0.5, 4, 5], "material": "wall" },
+        { "position": [3, 2, -4.25], "size": [0.5, 4, 1], "material": "wall" },
+        { "position": [9, 2, -4], "size": [12, 4, 0.5], "material": "wall" },
+        { "position": [-18, 1.3, 16], "size": [2.4, 2.6, 6], "material": "red" },
+        { "position": [-18, 1.3, 5], "size": [2.4, 2.6, 6], "material": "metal" },
+        { "position": [18, 1.3, 14], "size": [2.4, 2.6, 6], "material": "dumpster" },
+        { "position": [10, 1.3, 21], "size": [6, 2.6, 2.4], "material": "red" },
+        { "position": [-10, 1.3, 21], "size": [6, 2.6, 2.4], "material": "metal" },
+        { "position": [-20, 1.3, -24], "size": [6, 2.6, 2.4], "material": "red" },
+        { "position": [-20, 3.9, -24], "size": [6, 2.6, 2.4], "material": "dumpster" },
+        { "position": [-8, 1.3, -26], "size": [6, 2.6, 2.4], "material": "metal" }
+    ],
+    "prefabs": [
+        { "type": "guardTower", "position": [-22, 0, 27] },
+        { "type": "guardTower", "position": [22, 0, 27] },
+        { "type": "gate", "position": [-24.7, 0, 18] },
+        { "type": "gate", "position": [24.7, 0, 18] },
+        { "type": "desk", "position": [9, 0, -8.5] },
+        { "type": "chair", "position": [9, 0, -6.8], "rotation": 0 },
+        { "type": "bookshelf", "position": [6, 0, -11.5] },
+        { "type": "window", "position": [11, 1.8, -11.7] },
+        { "type": "recorder", "position": [6, 0, -3.35] },
+        { "type": "wallPhone", "position": [-14.68, 1.4, -5], "rotation": 90 },
+        { "type": "largeCrate", "position": [-12, 0, -9], "rotation": 0 },
+        { "type": "largeCrate", "position": [-12, 0, 3], "rotation": 90 },
+        { "type": "closet", "position": [14.3, 0, 0], "rotation": -90 },
+        { "type": "crate", "position": [-10, 0, -2] },
+        { "type": "crate", "position": [-9, 0, -2] },
+        { "type": "crate", "position": [-9.5, 0.8, -2] },
+        { "type": "crate", "position": [-4, 0, -5] },
+        { "type": "crate", "position": [-3, 0, -5] },
+        { "type": "crate", "position": [2, 0, 2] },
+        { "type": "crate", "position": [3, 0, 2] },
+        { "type": "crate", "position": [2.5, 0.8, 2] },
+        { "type": "crate", "position": [8, 0, 2] },
+        { "type": "crate", "position": [9, 0, 2] },
+        { "type": "crate", "position": [-13, 0, 6] },
+        { "type": "crate", "position": [-2, 0, -18] },
+        { "type": "crate", "position": [-1, 0, -18] },
+        { "type": "crate", "position": [6, 0, -24] },
+        { "type": "crate", "position": [7, 0, -24] },
+        { "type": "crate", "position": [6.5, 0.8, -24] },
+        { "type": "barrel", "position": [12, 0, 5] },
+        { "type": "barrel", "position": [13, 0, 5] },
+        { "type": "barrel", "position": [12.5, 0, 6.5] },
+        { "type": "barrel", "position": [-22, 0, -16] },
+        { "type": "barrel", "position": [-22, 0, -14.5] },
+        { "type": "barrel", "position": [22, 0, -28] },
+        { "type": "vehicle", "position": [14, 0, 25], "rotation": 0 },
+        { "type": "vehicle", "position": [-14, 0, 25], "rotation": 0 },
+        { "type": "dumpster", "position": [-17, 0, -6], "rotation": -90 },
+        { "type": "dumpster", "position": [23.6, 0, 2], "rotation": -90 },
+        { "type": "lightPole", "position": [-8, 0, 14] },
+        { "type": "lightPole", "position": [8, 0, 14] },
+        { "type": "lightPole", "position": [0, 0, -21] },
+        { "type": "lightPole", "position": [-14, 0, -20] },
+        { "type": "lightPole", "position": [14, 0, -19] },
+        { "type": "vehicle", "position": [15, 0, -24], "rotation": 0 }
+    ],
+    "lights": [
+        { "type": "ambient", "color": "#303048", "intensity": 0.35 },
+        {
+            "type": "directional",
+            "color": "#6677aa",
+            "intensity": 0.5,
+            "position": [20, 30, -10],
+            "castShadow": true
+        },
+        {
+            "type": "spot",
+            "color": "#aaccff",
+            "intensity": 1,
+            "distance": 18,
+            "angle": 35,
+            "penumbra": 0.5,
+            "position": [0, 6, -21],
+            "target": [0, 0, -16],
+            "castShadow": true
+        },
+        {
+            "type": "point",
+            "color": "#ffddaa",
+            "intensity": 0.8,
+            "distance": 15,
+            "position": [-8, 4, 14],
+            "castShadow": true
+        },
+        { "type": "point", "color": "#ffddaa", "intensity": 0.8, "distance": 15, "position": [8, 4, 14] },
+        { "type": "point", "color": "#ffddaa", "intensity": 0.6, "distance": 14, "position": [-14, 4, -20] },
+        { "type": "point", "color": "#ffddaa", "intensity": 0.6, "distance": 14, "position": [14, 4, -19] },
+        {
+            "type": "point",
+            "color": "#ffe0b0",
+            "intensity": 0.7,
+            "distance": 16,
+            "position": [-7, 3.5, -3],
+            "castShadow": true,
+            "switch": { "position": [-14.7, 1.3, 3], "darkZone": { "center": [-7, 0, -3], "radius": 8 } }
+        },
+        { "type": "point", "color": "#ffe0b0", "intensity": 0.6, "distance": 14, "position": [7, 3.5, 2] },
+        { "type": "point", "color": "#ffeedd", "intensity": 0.5, "distance": 12, "position": [9, 3, -8] },
+        { "type": "point", "color": "#ff0000", "intensity": 0.3, "distance": 10, "position": [-22, 2, 27] },
+        { "type": "point", "color": "#ff0000", "intensity": 0.3, "distance": 10, "position": [22, 2, 27] },
+        { "type": "alarm", "position": [-24.3, 4.4, 18] },
+        { "type": "alarm", "position": [24.3, 4.4, 18] },
+        { "type": "alarm", "position": [0, 4.4, 8.4] }
+    ],
+    "fog": { "color": "#05070f", "near": 15, "far": 50 },
+    "zones": {
+        "restricted": [
+            { "id": "office", "min": [3, 0, -12], "max": [15, 4, -4] },
+            { "id": "storage", "min": [-15, 0, -12], "max": [3, 4, 8] },
+            { "id": "storage", "min": [3, 0, -4], "max": [15, 4, 8] }
+        ],
+        "light": [{ "center": [0, 0, -17], "radius": 5 }],
+        "dark": [{ "center": [-20, 0, -6], "radius": 5 }, { "center": [20, 0, -7], "radius": 5 }]
+    },
+    "exits": [
+        {
+            "id": "gate",
+            "name": "Main gate",
+            "type": "gate",
+            "zone": { "min": [-5, 0, 24], "max": [5, 3, 30] },
+            "requires": { "outOfCombat": true }
+        },
+        {
+            "id": "boat",
+            "name": "Speedboat",
+            "type": "boat",
+            "zone": { "min": [-3, 0, -29.7], "max": [1, 3, -28] },
+            "position": [-1, 0, -32.5],
+            "rotation": 90
+        },
+        {
+            "id": "van",
+            "name": "Delivery van",
+            "type": "vehicle",
+            "zone": { "min": [-12.8, 0, 24], "max": [-11.8, 3, 26] },
+            "requires": { "item": "van_keys" }
+        }
+    ],
+    "routes": {
+        "yard_west": [[-8, 0, 10], [-8, 0, 17], [-14, 0, 17], [-14, 0, 10]],
+        "yard_east": [[8, 0, 10], [8, 0, 17], [15, 0, 17], [15, 0, 10]],
+        "perimeter": [[-20, 0, 10], [-20, 0, -10], [20, 0, -10], [20, 0, 10]],
+        "quay": [[-20, 0, -16], [20, 0, -16], [20, 0, -21], [-12, 0, -21]],
+        "hall": [[-8, 0, -8], [-1, 0, -8], [-1, 0, 5], [-8, 0, 5]],
+        "office": [[5, 0, -6], [13, 0, -6], [13, 0, -10.5], [5, 0, -10.5]],
+        "dock_work": [[-12, 0, -16], [-4, 0, -20], [4, 0, -16], [10, 0, -20]],
+        "warehouse_work": [[-6, 0, -1], [0, 0, -2], [-2, 0, 4], [6, 0, -1]],
+        "reinforce_west": [[-21, 0, 18], [-21, 0, -16], [-10, 0, -16], [-12, 0, 12]],
+        "reinforce_east": [[21, 0, 18], [21, 0, -16], [10, 0, -16], [12, 0, 12]],
+        "reinforce_hall": [[-1, 0, 6], [-1, 0, -8], [-8, 0, -8], [-8, 0, 6]]
+    },
+    "spawns": {
+        "player": [0, 0, 27],
+        "target": { "position": [9, 0, -10.5], "route": "office" },
+        "guards": [
+            { "position": [-8, 0, 10], "route": "yard_west", "outfit": "guard", "enforcer": true },
+            { "position": [8, 0, 10], "route": "yard_east", "outfit": "guard" },
+            { "position": [-20, 0, 10], "route": "perimeter", "outfit": "guard" },
+            { "id": "foreman", "position": [-20, 0, -16], "route": "quay", "outfit": "guard" },
+            { "position": [-8, 0, -8], "route": "hall", "outfit": "security" },
+            { "position": [5, 0, -6], "route": "office", "outfit": "security", "enforcer": true }
+        ],
+        "civilians": [
+            { "position": [-12, 0, -16], "role": "staff", "route": "dock_work" },
+            { "position": [4, 0, -16], "role": "staff", "route": "dock_work" },
+            { "position": [-6, 0, -1], "role": "staff", "route": "warehouse_work" },
+            { "position": [6, 0, -1], "role": "staff", "route": "warehouse_work" }
+        ],
+        "cameras": [
+            { "position": [0, 3.2, 8.6], "rotation": 180, "sweepAngle": 40 },
+            { "position": [-14.6, 3.2, -8], "rotation": -90, "sweepAngle": 30 },
+            { "position": [-3, 3.2, -12.6], "rotation": 0, "sweepAngle": 40 }
+        ]
+    },
+    "pickups": [
+        { "name": "Coin", "position": [-2, 0, 20] },
+        { "name": "Coin", "position": [12, 0, 16] },
+        { "name": "Coin", "position": [-6, 0, -20] },
+        { "name": "Bottle", "position": [-19, 0, -8] },
+        { "name": "Bottle", "position": [21.5, 0, -27] },
+        { "name": "Bottle", "position": [-12, 0, 7] }
+    ],
+    "targetSchedule": {
+        "steps": [
+            {
+                "activity": "Phone call at the desk",
+                "position": [9.5, 0, -10],
+                "rotation": 180,
+                "duration": 20,
+                "animation": "phone"
+            },
+            {
+                "activity": "Watching the quay",
+                "position": [11, 0, -11.2],
+                "rotation": 0,
+                "duration": 15,
+                "animation": "look"
+            },
+            {
+                "activity": "Checking the shipment",
+                "position": [-1.5, 0, -16.8],
+                "rotation": 0,
+                "duration": 25,
+                "animation": "look"
+            },
+            {
+                "activity": "Talking on the quay",
+                "position": [5, 0, -19],
+                "rotation": 90,
+                "duration": 20,
+                "animation": "talk"
+            }
+        ],
+        "lures": [
+            {
+                "prompt": "Ring the phone (lures the target)",
+                "position": [-14.6, 1.4, -5],
+                "step": {
+                    "activity": "Answering the phone",
+                    "position": [-14, 0, -5],
+                    "rotation": 90,
+                    "duration": 12,
+                    "animation": "phone"
+                }
+            }
+        ]
+    },
+    "alarm": {
+        "posts": [
+            { "position": [-7, 0, -13.5], "rotation": 0 },
+            { "position": [0, 0, 9.5], "rotation": 180 },
+            { "position": [0, 0, 23], "rotation": 0 },
+            { "position": [-16.5, 0, -0.5], "rotation": 90 }
+        ],
+        "safeRoom": {
+            "position": [13, 0, -10.5],
+            "rotation": 180,
+            "door": { "position": [2, 0, -6.2], "rotation": 90 }
+        },
+        "waves": [
+            {
+                "delay": 8,
+                "guards": [{ "gate": 0, "route": "reinforce_west" }, { "gate": 1, "route": "reinforce_east" }]
+            },
+            {
+                "delay": 30,
+                "guards": [
+                    { "gate": 0, "route": "reinforce_hall" },
+                    { "gate": 1, "route": "reinforce_hall", "reverse": true }
+                ]
+            }
+        ],
+        "resetTime": 60
+    },
+    "evacuation": {
+        "boarding": { "position": [16.8, 0, -23.5], "rotation": 90 },
+        "guardPosts": [{ "position": [17.6, 0, -20.5], "rotation": 180 }, { "position": [17.6, 0, -26.5], "rotation": 0 }],
+        "boardTime": 3
+    },
+    "items": [
+        { "id": "manifest", "name": "Shipping manifest", "position": [8.4, 0.85, -8.5], "model": "document" },
+        { "id": "van_keys", "name": "Van keys", "position": [10.2, 0.85, -8.5], "model": "key" }
+    ],
+    "objectives": [
+        { "id": "target", "type": "eliminate", "description": "Eliminate the smuggler" },
+        { "id": "manifest", "type": "retrieve", "item": "manifest", "description": "Take the shipping manifest" },
+        {
+            "type": "eliminate",
+            "targets": ["foreman"],
+            "description": "Eliminate the dock foreman before the alarm sounds",
+            "failOn": ["alarm"],
+            "optional": true,
+            "hidden": true,
+            "revealedBy": "manifest"
+        },
+        {
+            "type": "reach",
+            "zone": { "center": [-20, 0, -21.5], "radius": 1.5 },
+            "description": "Find the stash on the quay",
+            "optional": true,
+            "hidden": true,
+            "revealedBy": "manifest"
+        },
+        {
+            "type": "sabotage",
+            "description": "Disable the getaway car",
+            "prompt": "Hold to cut the brake lines",
+            "position": [15, 0.5, -21.7],
+            "holdDuration": 3,
+            "effect": "disableEvacuation",
+            "optional": true
+        },
+        { "type": "escape", "description": "Escape the harbor" }
+    ]
+};